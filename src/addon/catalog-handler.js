@@ -1,9 +1,14 @@
-const fileCache = require('../cache/file-cache');
+const catalogIndex = require('../cache/catalog-index');
 const logger = require('../utils/logger');
 const constants = require('../utils/constants');
+const { compareNewestFirst } = require('../scraper/extractors');
+const { searchCatalog } = require('../utils/catalog-search');
+const { parseYearOption } = require('./year-filter');
+const { isCertificationAllowed } = require('../utils/certification');
 
 /**
- * Build the consolidated series list across all languages, deduped by id.
+ * Build the consolidated series list across all languages, deduped by id,
+ * newest topic first.
  *
  * Filtering precedence:
  *   1. An explicit `language` dropdown value (not 'All') always wins — the user
@@ -18,19 +23,6 @@ const constants = require('../utils/constants');
  * @returns {Promise<Array>} series catalog items
  */
 async function getConsolidatedSeries(extra) {
-  const byId = new Map();
-  for (const language of Object.values(constants.LANGUAGES)) {
-    const catalog = await fileCache.getCatalog(language);
-    if (!Array.isArray(catalog)) continue;
-    for (const item of catalog) {
-      if (item.type === 'series' && !byId.has(item.id)) {
-        byId.set(item.id, item);
-      }
-    }
-  }
-
-  let series = Array.from(byId.values());
-
   const selected = extra && extra.language;
   const configured = extra && Array.isArray(extra.configuredSeriesLanguages)
     ? extra.configuredSeriesLanguages.map(l => String(l).toLowerCase())
@@ -38,23 +30,91 @@ async function getConsolidatedSeries(extra) {
 
   if (selected && selected !== 'All') {
     // Explicit dropdown pick overrides the configured default.
-    const wanted = String(selected).toLowerCase();
-    series = series.filter(item =>
-      Array.isArray(item.languages) && item.languages.includes(wanted)
-    );
+    const series = await catalogIndex.getSeries([String(selected).toLowerCase()]);
     logger.debug(`Filtered series catalog by language "${selected}": ${series.length} results`);
-  } else if (configured.length > 0) {
+    return series;
+  }
+  if (configured.length > 0) {
     // Default view limited to the configured languages (any-match).
-    const wanted = new Set(configured);
-    series = series.filter(item =>
-      Array.isArray(item.languages) && item.languages.some(l => wanted.has(l))
-    );
+    const series = await catalogIndex.getSeries(configured);
     logger.debug(`Filtered series catalog by configured languages [${configured.join(', ')}]: ${series.length} results`);
+    return series;
   }
+  return catalogIndex.getSeries();
+}
 
-  return series;
+/**
+ * Build the cross-language "Recently Added" list: every movie and series,
+ * deduped by id, in the order they first appeared in our cache.
+ *
+ * Respects the token's preferences: movies only from visible language
+ * catalogs, series only when the Series row is visible, limited to the
+ * configured series languages (see getConsolidatedSeries).
+ *
+ * @param {object} extra - request extra props. May include `visibleCatalogs`
+ *   and `configuredSeriesLanguages` from the token config.
+ * @returns {Promise<Array>} movie and series catalog items
+ */
+async function getRecentlyAdded(extra) {
+  const visible = extra && Array.isArray(extra.visibleCatalogs) && extra.visibleCatalogs.length > 0
+    ? new Set(extra.visibleCatalogs)
+    : null;
+
+  const series = !visible || visible.has('series')
+    ? new Set(await getConsolidatedSeries({ configuredSeriesLanguages: extra && extra.configuredSeriesLanguages }))
+    : new Set();
+
+  const recent = [];
+  for (const item of await catalogIndex.getRecent()) {
+    if (item.type === 'series') {
+      if (series.has(item)) recent.push(item);
+    } else if (!visible || [...await catalogIndex.getLanguages(item.id)].some(language => visible.has(language))) {
+      recent.push(item);
+    }
+  }
+  return recent;
 }
 
+/**
+ * Catalog orders offered by the `sort` extra (constants.CATALOG_SORT_OPTIONS).
+ * Items missing the sorted field go last, in cache order.
+ */
+const descending = field => (a, b) => {
+  const valueA = Number(a[field]) || 0;
+  const valueB = Number(b[field]) || 0;
+  return valueB - valueA;
+};
+
+const releaseDate = item => item.released || (item.releaseInfo ? String(item.releaseInfo).slice(0, 4) : '');
+
+const CATALOG_SORTS = {
+  'Recently added': compareNewestFirst,
+  'Release date': (a, b) => {
+    const dateA = releaseDate(a);
+    const dateB = releaseDate(b);
+    if (dateA === dateB) return 0;
+    return dateA > dateB ? -1 : 1;
+  },
+  'Rating': descending('imdbRating'),
+  'Popularity': descending('popularity'),
+  'Title A–Z': (a, b) => (a.name || '').localeCompare(b.name || '', undefined, { sensitivity: 'base', numeric: true })
+};
+
+/**
+ * Catalog filters offered by the `quality` extra (constants.CATALOG_QUALITY_OPTIONS),
+ * matched against the qualities/hdr the scraper records on each item.
+ * 'HDR' is any HDR format, Dolby Vision included.
+ */
+const hasQuality = (field, value) => item => Array.isArray(item[field]) && item[field].includes(value);
+
+const QUALITY_FILTERS = {
+  '4K': hasQuality('qualities', '4K'),
+  'HDR': item => Array.isArray(item.hdr) && item.hdr.length > 0,
+  'Dolby Vision': hasQuality('hdr', 'DV'),
+  '1080p': hasQuality('qualities', '1080p'),
+  '720p': hasQuality('qualities', '720p')
+};
+
 /**
  * Handle catalog requests by language
  * READ-ONLY from cache - no on-demand scraping
@@ -72,6 +132,15 @@ async function handleCatalog({ type, id, extra }) {
     let metas;
     if (type === 'series' && id === 'series') {
       metas = await getConsolidatedSeries(extra);
+    } else if (id === 'recent') {
+      // Cross-language "Recently Added": movies and series together
+      metas = await getRecentlyAdded(extra);
+    } else if (id === 'search') {
+      // Search-only catalogs: the whole cache of one type, each title once
+      if (!extra || !extra.search) {
+        return { metas: [] };
+      }
+      metas = type === 'series' ? await catalogIndex.getSeries() : await catalogIndex.getMovies();
     } else {
       // Movie catalogs (and legacy '<lang>-series'): id maps directly to language.
       let language = id;
@@ -85,37 +154,66 @@ async function handleCatalog({ type, id, extra }) {
         return { metas: [] };
       }
 
-      // Load catalog from cache
-      const catalog = await fileCache.getCatalog(language);
-
-      if (!catalog || !Array.isArray(catalog)) {
-        logger.debug(`No catalog found in cache for language: ${language}`);
-        return { metas: [] };
-      }
+      // Items of the requested type (movie or series), in cache order
+      metas = await catalogIndex.getCatalog(language, type);
+    }
 
-      // Filter by type (movie or series)
-      metas = catalog.filter(item => item.type === type);
+    // Leave out titles above the token's maximum certification (unrated titles
+    // stay unless the token hides them)
+    if (extra && extra.maxCertification) {
+      metas = metas.filter(meta => isCertificationAllowed(meta.certification, extra.maxCertification, extra.hideUnrated));
+      logger.debug(`Filtered catalog by maximum certification "${extra.maxCertification}": ${metas.length} results`);
     }
 
-    // Handle search if provided
+    // Handle search if provided: fuzzy, any script, ranked by relevance.
+    // The index narrows to items matching every query word; only those get scored.
     if (extra && extra.search) {
-      const searchTerm = extra.search.toLowerCase();
-      metas = metas.filter(meta =>
-        meta.name && meta.name.toLowerCase().includes(searchTerm)
-      );
+      const matches = await catalogIndex.getSearchMatches(extra.search);
+      metas = searchCatalog(metas.filter(meta => matches.has(meta.id)), extra.search);
       logger.debug(`Filtered catalog by search "${extra.search}": ${metas.length} results`);
     }
 
     // Handle genre filter if provided (case-insensitive match against meta.genres)
     if (extra && extra.genre) {
-      const genre = extra.genre.toLowerCase();
-      metas = metas.filter(meta =>
-        Array.isArray(meta.genres) &&
-        meta.genres.some(g => typeof g === 'string' && g.toLowerCase() === genre)
-      );
+      const inGenre = await catalogIndex.getGenre(extra.genre);
+      metas = metas.filter(meta => inGenre.has(meta.id));
       logger.debug(`Filtered catalog by genre "${extra.genre}": ${metas.length} results`);
     }
 
+    // Handle year filter if provided: a year ("2024") or a decade ("1990s")
+    if (extra && extra.year) {
+      const range = parseYearOption(extra.year);
+      if (range) {
+        const inYears = await catalogIndex.getYears(range.from, range.to);
+        metas = metas.filter(meta => inYears.has(meta.id));
+        logger.debug(`Filtered catalog by year "${extra.year}": ${metas.length} results`);
+      } else {
+        logger.warn(`Invalid catalog year requested: ${extra.year}`);
+      }
+    }
+
+    // Handle quality filter if provided: items with at least one stream of that quality
+    if (extra && extra.quality) {
+      const matches = QUALITY_FILTERS[extra.quality];
+      if (matches) {
+        metas = metas.filter(matches);
+        logger.debug(`Filtered catalog by quality "${extra.quality}": ${metas.length} results`);
+      } else {
+        logger.warn(`Unknown catalog quality requested: ${extra.quality}`);
+      }
+    }
+
+    // Handle sort if provided (unknown values keep the cache's newest-first order)
+    if (extra && extra.sort) {
+      const compare = CATALOG_SORTS[extra.sort];
+      if (compare) {
+        metas = [...metas].sort(compare);
+        logger.debug(`Sorted catalog by "${extra.sort}"`);
+      } else {
+        logger.warn(`Unknown catalog sort requested: ${extra.sort}`);
+      }
+    }
+
     // Handle pagination: Stremio requests pages of PAGE_SIZE (default 100) via skip.
     // Returning fewer than a full page signals the end of the catalog.
     const skip = extra && extra.skip ? parseInt(extra.skip, 10) || 0 : 0;
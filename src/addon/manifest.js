@@ -1,7 +1,21 @@
 const constants = require('../utils/constants');
 
 /**
- * Build a movie catalog definition for a language with search/genre/skip filters.
+ * Year filter options, shared by every catalog and filled from the cache
+ * (see year-filter.js); updated in place so served manifests pick them up.
+ */
+const yearOptions = [];
+
+/**
+ * Replace the year filter options
+ * @param {string[]} options - e.g. ['2025', '2024', ..., '2000s', '1990s']
+ */
+function setYearOptions(options) {
+  yearOptions.splice(0, yearOptions.length, ...options);
+}
+
+/**
+ * Build a movie catalog definition for a language with genre/year/quality/sort/skip filters.
  */
 function buildCatalog(language) {
   return {
@@ -9,8 +23,10 @@ function buildCatalog(language) {
     id: language,
     name: `${constants.LANGUAGE_NAMES[language]} Movies`,
     extra: [
-      { name: 'search', isRequired: false },
       { name: 'genre', isRequired: false, options: constants.CATALOG_GENRES },
+      { name: 'year', isRequired: false, options: yearOptions },
+      { name: 'quality', isRequired: false, options: constants.CATALOG_QUALITY_OPTIONS },
+      { name: 'sort', isRequired: false, options: constants.CATALOG_SORT_OPTIONS },
       { name: 'skip', isRequired: false }
     ]
   };
@@ -25,13 +41,51 @@ const seriesCatalog = {
   id: 'series',
   name: 'Series',
   extra: [
-    { name: 'search', isRequired: false },
     { name: 'language', isRequired: false, options: constants.CATALOG_LANGUAGE_OPTIONS },
     { name: 'genre', isRequired: false, options: constants.CATALOG_GENRES },
+    { name: 'year', isRequired: false, options: yearOptions },
+    { name: 'quality', isRequired: false, options: constants.CATALOG_QUALITY_OPTIONS },
+    { name: 'sort', isRequired: false, options: constants.CATALOG_SORT_OPTIONS },
     { name: 'skip', isRequired: false }
   ]
 };
 
+/**
+ * Cross-language "Recently Added" row: movies and series from every language,
+ * newest to our cache first, as one list.
+ * Mixed type: a manifest catalog has a single type, so the row is declared as
+ * `movie` (it sits on the Board and under Discover > Movies) but also returns
+ * series. Each item keeps its own `type`, and Stremio requests meta and
+ * streams by the item's type, so series open as series.
+ */
+const recentCatalog = {
+  type: 'movie',
+  id: 'recent',
+  name: 'Recently Added',
+  extra: [
+    { name: 'genre', isRequired: false, options: constants.CATALOG_GENRES },
+    { name: 'year', isRequired: false, options: yearOptions },
+    { name: 'quality', isRequired: false, options: constants.CATALOG_QUALITY_OPTIONS },
+    { name: 'sort', isRequired: false, options: constants.CATALOG_SORT_OPTIONS },
+    { name: 'skip', isRequired: false }
+  ]
+};
+
+/**
+ * Search-only catalogs (`search` required, so never shown as rows): Stremio's
+ * global search queries these once per type instead of every language row,
+ * and gets one ranked, deduped list across the whole cache.
+ */
+const searchCatalogs = ['movie', 'series'].map(type => ({
+  type,
+  id: 'search',
+  name: 'IndiaStreamz',
+  extra: [
+    { name: 'search', isRequired: true },
+    { name: 'skip', isRequired: false }
+  ]
+}));
+
 const manifest = {
   id: constants.ADDON_ID,
   version: constants.ADDON_VERSION,
@@ -43,13 +97,14 @@ const manifest = {
     'stream'
   ],
   types: ['movie', 'series'],
-  catalogs: [...Object.values(constants.LANGUAGES).map(buildCatalog), seriesCatalog],
+  catalogs: [recentCatalog, ...Object.values(constants.LANGUAGES).map(buildCatalog), seriesCatalog, ...searchCatalogs],
   // Only our catalog IDs - don't include tt/tmdb so we're not asked for content from other addons
-  idPrefixes: ['tamil-', 'telugu-', 'hindi-', 'malayalam-', 'kannada-', 'english-', 'multi-']
+  idPrefixes: ['tamil-', 'telugu-', 'hindi-', 'malayalam-', 'kannada-', 'english-', 'multi-', 'series-']
 };
 
 /**
- * Get manifest filtered by visible catalogs.
+ * Get manifest filtered by visible catalogs. The search catalogs aren't rows
+ * and are always kept.
  * @param {string[]} [visibleCatalogs] - Catalog IDs to show. Empty/undefined = show all
  * @returns {object} Manifest with filtered catalogs
  *
@@ -64,10 +119,11 @@ function getManifestForCatalogs(visibleCatalogs) {
   const visibleSet = new Set(visibleCatalogs);
   return {
     ...manifest,
-    catalogs: manifest.catalogs.filter((cat) => visibleSet.has(cat.id))
+    catalogs: manifest.catalogs.filter((cat) => cat.id === 'search' || visibleSet.has(cat.id))
   };
 }
 
 module.exports = manifest;
 module.exports.getManifestForCatalogs = getManifestForCatalogs;
+module.exports.setYearOptions = setYearOptions;
 
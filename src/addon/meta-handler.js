@@ -1,14 +1,17 @@
 const fileCache = require('../cache/file-cache');
+const aliasIndex = require('../cache/alias-index');
 const logger = require('../utils/logger');
 const constants = require('../utils/constants');
+const { isCertificationAllowed } = require('../utils/certification');
 
 /**
  * Handle metadata requests for individual movies and series
  * READ-ONLY from cache - no on-demand scraping.
  * Meta is sanitized once at cache write-time (see file-cache.setAll), so this
  * handler is a pure echo of the cached object.
+ * `extra.maxCertification` (from the token route) hides titles rated above it.
  */
-async function handleMeta({ type, id }) {
+async function handleMeta({ type, id, extra }) {
   try {
     logger.info(`[META] Request received: type=${type}, id=${id}`);
     
@@ -19,11 +22,14 @@ async function handleMeta({ type, id }) {
     }
 
     // Load metadata from cache - check correct directory based on type
-    let content = null;
-    if (type === 'movie') {
-      content = await fileCache.getMovie(id);
-    } else if (type === 'series') {
-      content = await fileCache.getSeries(id);
+    // Content merged into another entry keeps answering under its old ID,
+    // so Stremio library items saved with it stay intact
+    const contentId = await aliasIndex.resolve(id);
+    let content = type === 'movie'
+      ? await fileCache.getMovie(contentId)
+      : await fileCache.getSeries(contentId);
+    if (content && contentId !== id) {
+      content = { ...content, id };
     }
     
     if (!content) {
@@ -37,6 +43,11 @@ async function handleMeta({ type, id }) {
       return { meta: null };
     }
 
+    if (!isCertificationAllowed(content.certification, extra?.maxCertification, extra?.hideUnrated)) {
+      logger.info(`[META] ${type} ${id} is above the maximum certification (${extra.maxCertification})`);
+      return { meta: null };
+    }
+
     logger.info(`[META] Returning metadata for ${type}: ${id} (name: ${content.name})`);
     // Already sanitized at write-time; echo directly.
     return {
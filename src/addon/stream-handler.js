@@ -1,10 +1,12 @@
 const fileCache = require('../cache/file-cache');
+const aliasIndex = require('../cache/alias-index');
 const logger = require('../utils/logger');
 const constants = require('../utils/constants');
 const TorboxClient = require('../integrations/torbox-client');
 const torboxConfig = require('../utils/torbox-config');
 const tokenManager = require('../utils/token-manager');
 const { encodeMagnet } = require('../utils/magnet-encoder');
+const { isCertificationAllowed } = require('../utils/certification');
 
 /**
  * Handle stream requests for movies and series
@@ -26,8 +28,17 @@ async function handleStream({ type, id, extra }) {
     }
 
     // Load streams from cache
-    // For series, the id might be episode-specific (series-id-s1-e1)
-    const cachedStreams = await fileCache.getStreams(id);
+    // For series, the id is episode-specific (<seriesId>:<season>:<episode>).
+    // Content merged into another entry is served under its old ID too.
+    const streamsId = await resolveStreamsId(id);
+
+    // Titles above the token's maximum certification get no streams
+    if (extra?.maxCertification && !(await isTitleAllowed(type, streamsId, extra.maxCertification, extra.hideUnrated))) {
+      logger.info(`[STREAM] ${type} ${id} is above the maximum certification (${extra.maxCertification})`);
+      return { streams: [] };
+    }
+
+    let cachedStreams = await fileCache.getStreams(streamsId);
     
     if (!cachedStreams || !Array.isArray(cachedStreams) || cachedStreams.length === 0) {
       logger.warn(`[STREAM] No streams found in cache for ${type}: ${id}`);
@@ -36,6 +47,9 @@ async function handleStream({ type, id, extra }) {
     
     logger.info(`[STREAM] Found ${cachedStreams.length} streams in cache for ${type}: ${id}`);
 
+    // Narrow to the token's preferred audio languages (if configured)
+    cachedStreams = filterStreamsByAudioLanguages(cachedStreams, extra?.audioLanguages);
+
     // Extract Torbox config - passed per-request via `extra` by the token route.
     // Only needed when the user plays a movie.
     let torboxApiKey = extra?.torboxApiKey;
@@ -62,9 +76,13 @@ async function handleStream({ type, id, extra }) {
     // Get encrypted token part from extra (passed from server route)
     const encrypted = extra?.encrypted;
     
+    // Episode ids are <seriesId>:<season>:<episode>; the proxy route uses them
+    // to pick the right file out of season packs
+    const episodeRef = type === 'series' ? parseEpisodeRef(id) : null;
+
     // Convert magnets to streaming URLs (check-only mode)
     logger.debug(`Checking cache status for ${cachedStreams.length} streams with Torbox`);
-    const convertedStreams = await convertStreams(cachedStreams, torbox, token, encrypted, baseUrl);
+    const convertedStreams = await convertStreams(cachedStreams, torbox, token, encrypted, baseUrl, episodeRef);
     
     logger.debug(`Returning ${convertedStreams.length} converted streams for ${type}: ${id}`);
     return { streams: convertedStreams };
@@ -80,6 +98,68 @@ async function handleStream({ type, id, extra }) {
   }
 }
 
+/**
+ * Keep streams whose audio includes one of the preferred languages.
+ * Streams without language info are kept (the file name just didn't say),
+ * and if nothing matches the full list is returned rather than an empty one.
+ * @param {Array} streams - Cached stream objects (with optional `languages`)
+ * @param {string[]} [audioLanguages] - Lowercase language ids from the token config
+ * @returns {Array}
+ */
+function filterStreamsByAudioLanguages(streams, audioLanguages) {
+  if (!Array.isArray(audioLanguages) || audioLanguages.length === 0) {
+    return streams;
+  }
+
+  const wanted = new Set(audioLanguages.map(l => String(l).toLowerCase()));
+  const filtered = streams.filter(stream =>
+    !Array.isArray(stream.languages) || stream.languages.length === 0 ||
+    stream.languages.some(l => wanted.has(l))
+  );
+
+  if (filtered.length === 0) {
+    logger.debug(`[STREAM] No streams in preferred audio languages (${audioLanguages.join(', ')}), returning all`);
+    return streams;
+  }
+  return filtered;
+}
+
+/**
+ * Whether the movie or series a stream id belongs to is within a maximum certification
+ * @param {string} type - 'movie' | 'series'
+ * @param {string} streamsId - Movie id, or episode id (<seriesId>:<season>:<episode>)
+ * @param {string} maxCertification - Token setting (constants.CERTIFICATIONS)
+ * @param {boolean} [hideUnrated] - Token setting; titles without a rating are not allowed
+ * @returns {Promise<boolean>}
+ */
+async function isTitleAllowed(type, streamsId, maxCertification, hideUnrated) {
+  const content = type === 'movie'
+    ? await fileCache.getMovie(streamsId)
+    : await fileCache.getSeries(String(streamsId).replace(/:\d+:\d+$/, ''));
+  return isCertificationAllowed(content?.certification, maxCertification, hideUnrated);
+}
+
+/**
+ * Streams key of a requested id, with its movie or series part resolved
+ * through the alias index (<oldSeriesId>:1:2 -> <seriesId>:1:2)
+ * @param {string} id
+ * @returns {Promise<string>}
+ */
+async function resolveStreamsId(id) {
+  const [, contentId, episodeRef = ''] = String(id).match(/^(.*?)((?::\d+:\d+)?)$/);
+  return `${await aliasIndex.resolve(contentId)}${episodeRef}`;
+}
+
+/**
+ * Season/episode of an episode stream id (<seriesId>:<season>:<episode>)
+ * @param {string} id
+ * @returns {{season: number, episode: number}|null}
+ */
+function parseEpisodeRef(id) {
+  const match = String(id).match(/:(\d+):(\d+)$/);
+  return match ? { season: parseInt(match[1], 10), episode: parseInt(match[2], 10) } : null;
+}
+
 /**
  * Convert cached streams (with magnet links) to streaming URLs using Torbox
  * @param {Array} cachedStreams - Array of stream objects with infoHash and externalUrl
@@ -92,14 +172,16 @@ async function handleStream({ type, id, extra }) {
  * @param {string} token - The user's token
  * @param {string} encrypted - The encrypted token part from URL
  * @param {string} baseUrl - The base URL of the server
+ * @param {Object} [episodeRef] - { season, episode } for series episodes
  * @returns {string} - The proxy URL
  */
-function generateProxyUrl(magnetLink, token, encrypted, baseUrl) {
+function generateProxyUrl(magnetLink, token, encrypted, baseUrl, episodeRef = null) {
   try {
     const encodedMagnet = encodeMagnet(magnetLink);
     // Use the encrypted part from the URL path
-    // Format: /stremio/:token/:encrypted/proxy/:magnetHash
-    return `${baseUrl}/stremio/${token}/${encrypted}/proxy/${encodedMagnet}`;
+    // Format: /stremio/:token/:encrypted/proxy/:magnetHash[?s=&e=]
+    const query = episodeRef ? `?s=${episodeRef.season}&e=${episodeRef.episode}` : '';
+    return `${baseUrl}/stremio/${token}/${encrypted}/proxy/${encodedMagnet}${query}`;
   } catch (error) {
     logger.error(`[STREAM] Failed to generate proxy URL: ${error.message}`);
     return null;
@@ -170,7 +252,7 @@ function resolveCacheStatus(torbox, magnetLink, infraCacheMap, torrentsByHash) {
   };
 }
 
-async function convertStreams(cachedStreams, torbox, token, encrypted, baseUrl) {
+async function convertStreams(cachedStreams, torbox, token, encrypted, baseUrl, episodeRef = null) {
   // Defensive: fix HTML-escaped magnets (&amp;) in cached data so stremio-core
   // does not silently drop streams with malformed externalUrl magnet URIs.
   cachedStreams = cachedStreams.map((s) =>
@@ -235,10 +317,14 @@ async function convertStreams(cachedStreams, torbox, token, encrypted, baseUrl)
       // If torrent is cached (infrastructure or mylist), check if we have immediate streaming URL
       // IMPORTANT: Don't call getStreamingUrl() here - that will be done in proxy route when user plays
       let streamingUrl = null;
+      // mylist URLs point at the torrent's default file; for an episode of a
+      // (possible) season pack, let the proxy route pick the file instead
+      const mylistFiles = torrentsByHash.get((stream.infoHash || '').toLowerCase())?.files;
+      const needsFileSelection = !!episodeRef && !(Array.isArray(mylistFiles) && mylistFiles.length === 1);
       if (cached && cached.cached && cached.data) {
         // Only use streaming URL if it's already in the mylist response (no API call needed)
         // Don't call getStreamingUrl() here - that will be done in proxy route when user plays
-        if (cached.data.hls_url || cached.data.stream_url) {
+        if (!needsFileSelection && (cached.data.hls_url || cached.data.stream_url)) {
           streamingUrl = cached.data.hls_url || cached.data.stream_url;
           logger.debug(`Found cached torrent with streaming URL in mylist: ${streamingUrl.substring(0, 50)}...`);
         } else {
@@ -307,13 +393,14 @@ async function convertStreams(cachedStreams, torbox, token, encrypted, baseUrl)
       } else {
         // Not in mylist or not cached - return proxy URL (will add to Torbox when user plays)
         logger.debug(`Torrent not cached, generating proxy URL (will add to Torbox when user plays)`);
-        const proxyUrl = token && encrypted && baseUrl ? generateProxyUrl(magnetLink, token, encrypted, baseUrl) : null;
+        const proxyUrl = token && encrypted && baseUrl ? generateProxyUrl(magnetLink, token, encrypted, baseUrl, episodeRef) : null;
         
         return {
           name: streamName,
           description: stream.description, // Preserve description
           url: proxyUrl || undefined, // Use proxy URL if available
           infoHash: stream.infoHash, // Keep infoHash as fallback for desktop Stremio
+          fileIdx: stream.fileIdx,
           externalUrl: magnetLink,
           isCached,
           behaviorHints: stream.behaviorHints
@@ -326,6 +413,7 @@ async function convertStreams(cachedStreams, torbox, token, encrypted, baseUrl)
         name: formatStreamNameWithEmoji(stream.name, false),
         description: stream.description, // Preserve description
         infoHash: stream.infoHash,
+        fileIdx: stream.fileIdx,
         externalUrl: stream.externalUrl,
         isCached: false,
         behaviorHints: stream.behaviorHints
@@ -346,6 +434,7 @@ async function convertStreams(cachedStreams, torbox, token, encrypted, baseUrl)
         name: formatStreamNameWithEmoji(stream.name, false),
         description: stream.description, // Preserve description
         infoHash: stream.infoHash,
+        fileIdx: stream.fileIdx,
         externalUrl: stream.externalUrl,
         isCached: false,
         behaviorHints: stream.behaviorHints
@@ -388,4 +477,7 @@ async function convertStreams(cachedStreams, torbox, token, encrypted, baseUrl)
 }
 
 module.exports = handleStream;
+module.exports.filterStreamsByAudioLanguages = filterStreamsByAudioLanguages;
+module.exports.generateProxyUrl = generateProxyUrl;
+module.exports.parseEpisodeRef = parseEpisodeRef;
 
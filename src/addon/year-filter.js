@@ -0,0 +1,75 @@
+const fileCache = require('../cache/file-cache');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+const { setYearOptions } = require('./manifest');
+
+/**
+ * Catalog `year` extra: options are the years present in the cache, the most
+ * recent one by one ("2025") and older ones grouped by decade ("1990s").
+ */
+
+/**
+ * Release year of a catalog item, from releaseInfo ("2023", "2019-2022") or released
+ * @returns {number|null}
+ */
+function itemYear(item) {
+  const match = String(item.releaseInfo || item.released || '').match(/\b(19|20)\d{2}\b/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Build the option list, newest first
+ * @param {Iterable<number>} years - Years present in the catalogs
+ * @param {number} [currentYear]
+ * @returns {string[]}
+ */
+function buildYearOptions(years, currentYear = new Date().getFullYear()) {
+  const oldestSingleYear = currentYear - constants.CATALOG_YEAR_RECENT_YEARS + 1;
+  const options = new Set();
+  for (const year of [...new Set(years)].sort((a, b) => b - a)) {
+    options.add(year >= oldestSingleYear ? String(year) : `${Math.floor(year / 10) * 10}s`);
+  }
+  return [...options];
+}
+
+/**
+ * Years covered by a year option: "2024" or a decade "1990s"
+ * @param {string} option
+ * @returns {{ from: number, to: number }|null} - to is exclusive; null when not a year or decade
+ */
+function parseYearOption(option) {
+  const match = String(option).trim().match(/^((?:19|20)\d{2})(s?)$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  if (match[2]) {
+    if (year % 10 !== 0) return null;
+    return { from: year, to: year + 10 };
+  }
+  return { from: year, to: year + 1 };
+}
+
+/**
+ * Recompute the manifest's year options from the cached catalogs
+ * Called at startup and on every fileCache 'change'.
+ */
+async function refreshYearOptions() {
+  try {
+    const { movies, series } = await fileCache.getAllCachedContent();
+    const years = [...movies, ...series].map(itemYear).filter(year => year !== null);
+    const options = buildYearOptions(years);
+    setYearOptions(options);
+    logger.debug(`Catalog year filter: ${options.length} options`);
+    return options;
+  } catch (error) {
+    logger.error('Error rebuilding catalog year options:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  itemYear,
+  buildYearOptions,
+  parseYearOption,
+  refreshYearOptions
+};
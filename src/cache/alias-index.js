@@ -0,0 +1,89 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+/**
+ * Persistent map of merged-away content id -> the id it was merged into
+ * Duplicate movie topics are folded into one entry (see
+ * BaseScraper.mergeMoviesByIdentity), as are series matched to one show and
+ * series cached under the old per-season IDs; Stremio libraries may still hold
+ * the old IDs, so the meta and stream handlers resolve them through this index.
+ */
+class AliasIndex {
+  constructor() {
+    this.filePath = constants.CACHE_ALIASES_FILE;
+    this.aliases = null; // Lazily loaded from disk
+  }
+
+  /**
+   * Load the index from disk (once)
+   */
+  async load() {
+    if (this.aliases) return this.aliases;
+
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      this.aliases = JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error reading alias index, starting fresh:', error.message);
+      }
+      this.aliases = {};
+    }
+
+    return this.aliases;
+  }
+
+  /**
+   * The id content is currently stored under (the id itself when not an alias)
+   * @param {string} id
+   * @returns {Promise<string>}
+   */
+  async resolve(id) {
+    if (!id) return id;
+    const aliases = await this.load();
+
+    // Follow chains (A -> B -> C) but never loop
+    const seen = new Set([id]);
+    let current = id;
+    while (aliases[current] && !seen.has(aliases[current])) {
+      current = aliases[current];
+      seen.add(current);
+    }
+    return current;
+  }
+
+  /**
+   * Add aliases and persist atomically (temp file + rename)
+   * Existing aliases of a newly merged-away id are re-pointed at its target,
+   * and an id that is a target again stops being an alias.
+   * @param {Object} entries - { oldId: targetId }
+   * @returns {Promise<boolean>}
+   */
+  async update(entries) {
+    const aliases = await this.load();
+    Object.assign(aliases, entries);
+
+    for (const [aliasId, targetId] of Object.entries(entries)) {
+      delete aliases[targetId];
+      for (const [key, value] of Object.entries(aliases)) {
+        if (value === aliasId) aliases[key] = targetId;
+      }
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(aliases, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+      logger.debug(`Alias index updated: ${Object.keys(entries).length} aliases`);
+      return true;
+    } catch (error) {
+      logger.error('Error writing alias index:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new AliasIndex();
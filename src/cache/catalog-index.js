@@ -0,0 +1,232 @@
+const fileCache = require('./file-cache');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+const { compareNewestFirst } = require('../scraper/extractors');
+const { parseSearchQuery, searchTerms, termMatches } = require('../utils/catalog-search');
+const { itemYear } = require('../addon/year-filter');
+
+// firstSeen: when a scrape first picked the topic up (postedAt for items cached before it)
+const firstAppeared = item => item.firstSeen || item.postedAt || '';
+
+function compareFirstAppeared(a, b) {
+  const dateA = firstAppeared(a);
+  const dateB = firstAppeared(b);
+  if (dateA === dateB) return 0;
+  return dateA > dateB ? -1 : 1;
+}
+
+const addTo = (map, key, item) => {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(item);
+};
+
+/**
+ * Build the lookup tables from the language catalogs
+ * @param {Object} catalogs - { language: [...items] } in cache order
+ * @returns {Object}
+ */
+function buildIndex(catalogs) {
+  const index = {
+    byLanguage: new Map(), // language -> { movie: [], series: [] }, cache order
+    languagesById: new Map(), // id -> Set of catalogs holding it
+    movies: [], // Deduped ("multi-" movies sit in several catalogs), newest topic first
+    series: [], // Deduped, newest topic first
+    seriesByLanguage: new Map(), // language -> Set (from the series' own languages[])
+    recent: [], // Movies and series deduped, newest to our cache first
+    // Filter lookups hold IDs, since a "multi-" item is a separate object in
+    // each language catalog
+    byGenre: new Map(), // lowercased genre -> Set of IDs
+    byYear: new Map(), // year -> Set of IDs
+    terms: new Map() // search token -> { term, ids: Set }
+  };
+
+  const byId = new Map();
+  for (const [language, catalog] of Object.entries(catalogs)) {
+    const lists = { movie: [], series: [] };
+    index.byLanguage.set(language, lists);
+    for (const item of catalog) {
+      if (!lists[item.type]) continue;
+      lists[item.type].push(item);
+      addTo(index.languagesById, item.id, language);
+      // First occurrence wins, as when each catalog file was read in turn
+      if (!byId.has(item.id)) byId.set(item.id, item);
+    }
+  }
+
+  for (const item of byId.values()) {
+    if (item.type === 'movie') {
+      index.movies.push(item);
+    } else {
+      index.series.push(item);
+      for (const language of Array.isArray(item.languages) ? item.languages : []) {
+        addTo(index.seriesByLanguage, language, item);
+      }
+    }
+    for (const genre of Array.isArray(item.genres) ? item.genres : []) {
+      if (typeof genre === 'string') addTo(index.byGenre, genre.toLowerCase(), item.id);
+    }
+    const year = itemYear(item);
+    if (year !== null) addTo(index.byYear, year, item.id);
+    for (const term of searchTerms(item)) {
+      if (!index.terms.has(term.token)) index.terms.set(term.token, { term, ids: new Set() });
+      index.terms.get(term.token).ids.add(item.id);
+    }
+  }
+
+  index.movies.sort(compareNewestFirst);
+  index.series.sort(compareNewestFirst);
+  index.recent = Array.from(byId.values()).sort(compareFirstAppeared);
+  return index;
+}
+
+/**
+ * In-memory index of the cached catalogs, so catalog requests are lookups
+ * rather than re-reading and scanning every language catalog.
+ * Built on first use and again after each fileCache 'change' (a committed
+ * scrape or a clear); items are the catalog entries themselves.
+ */
+class CatalogIndex {
+  constructor() {
+    this.index = null;
+    this.building = null;
+    this.generation = 0; // Bumped on every change; a build started before one is discarded
+    fileCache.on('change', () => this.invalidate());
+  }
+
+  /**
+   * Drop the index; the next lookup rebuilds it from the cache
+   */
+  invalidate() {
+    this.generation++;
+    this.index = null;
+    this.building = null;
+  }
+
+  /**
+   * Get the index, building it from the cached catalogs if needed
+   * @returns {Promise<Object>}
+   */
+  async load() {
+    if (this.index) return this.index;
+    if (this.building) return this.building;
+
+    const generation = this.generation;
+    const building = (async () => {
+      const catalogs = {};
+      for (const language of Object.values(constants.LANGUAGES)) {
+        const catalog = await fileCache.getCatalog(language);
+        catalogs[language] = Array.isArray(catalog) ? catalog : [];
+      }
+      const index = buildIndex(catalogs);
+      if (generation === this.generation) {
+        this.index = index;
+        logger.debug(`Catalog index built: ${index.languagesById.size} items, ${index.terms.size} search terms`);
+      }
+      return index;
+    })();
+    this.building = building;
+
+    try {
+      return await building;
+    } finally {
+      if (this.building === building) this.building = null;
+    }
+  }
+
+  /**
+   * Items of one type in a language catalog, in cache order
+   * @returns {Promise<Array>}
+   */
+  async getCatalog(language, type) {
+    const lists = (await this.load()).byLanguage.get(language);
+    return lists && lists[type] ? lists[type] : [];
+  }
+
+  /**
+   * Every movie across languages, deduped, newest topic first
+   * @returns {Promise<Array>}
+   */
+  async getMovies() {
+    return (await this.load()).movies;
+  }
+
+  /**
+   * Every series across languages, deduped, newest topic first
+   * @param {string[]} [languages] - Only series in any of these languages (lowercase ids)
+   * @returns {Promise<Array>}
+   */
+  async getSeries(languages) {
+    const index = await this.load();
+    if (!languages) return index.series;
+    const matching = new Set();
+    for (const language of languages) {
+      for (const item of index.seriesByLanguage.get(language) || []) matching.add(item);
+    }
+    return index.series.filter(item => matching.has(item));
+  }
+
+  /**
+   * Every movie and series, deduped, in the order they first appeared in our cache
+   * @returns {Promise<Array>}
+   */
+  async getRecent() {
+    return (await this.load()).recent;
+  }
+
+  /**
+   * Language catalogs an item is listed in
+   * @returns {Promise<Set<string>>}
+   */
+  async getLanguages(id) {
+    return (await this.load()).languagesById.get(id) || new Set();
+  }
+
+  /**
+   * IDs of items tagged with a genre (case-insensitive)
+   * @returns {Promise<Set<string>>}
+   */
+  async getGenre(genre) {
+    return (await this.load()).byGenre.get(String(genre).toLowerCase()) || new Set();
+  }
+
+  /**
+   * IDs of items released in [from, to)
+   * @returns {Promise<Set<string>>}
+   */
+  async getYears(from, to) {
+    const index = await this.load();
+    const ids = new Set();
+    for (let year = from; year < to; year++) {
+      for (const id of index.byYear.get(year) || []) ids.add(id);
+    }
+    return ids;
+  }
+
+  /**
+   * IDs of items matching every term of a search query (see catalog-search.js);
+   * ranking is left to searchCatalog
+   * @returns {Promise<Set<string>>}
+   */
+  async getSearchMatches(search) {
+    const index = await this.load();
+    const query = parseSearchQuery(search);
+    if (!query) return new Set();
+
+    let matches = null;
+    for (const queryTerm of query.terms) {
+      const termMatchesIds = new Set();
+      for (const { term, ids } of index.terms.values()) {
+        if (!termMatches(queryTerm, term)) continue;
+        for (const id of ids) {
+          if (!matches || matches.has(id)) termMatchesIds.add(id);
+        }
+      }
+      matches = termMatchesIds;
+      if (matches.size === 0) break;
+    }
+    return matches;
+  }
+}
+
+module.exports = new CatalogIndex();
+module.exports.buildIndex = buildIndex;
@@ -1,15 +1,24 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
 const constants = require('../utils/constants');
 const cacheKeys = require('./cache-keys');
+const topicIndex = require('./topic-index');
+const aliasIndex = require('./alias-index');
 const { sanitizeMeta } = require('../utils/sanitize-meta');
 
-class FileCache {
+/**
+ * Emits 'change' after each successful write (setAll) or clear, so derived
+ * data such as the manifest's year filter options can be rebuilt.
+ */
+class FileCache extends EventEmitter {
   constructor() {
+    super();
     this.catalogsDir = constants.CACHE_CATALOGS_DIR;
     this.moviesDir = constants.CACHE_MOVIES_DIR;
     this.streamsDir = constants.CACHE_STREAMS_DIR;
+    this.torrentsDir = constants.CACHE_TORRENTS_DIR;
     
     // In-memory cache for catalogs, movies, and streams
     // Structure: Map<key, { data, mtime }>
@@ -43,6 +52,7 @@ class FileCache {
       await fs.mkdir(this.catalogsDir, { recursive: true });
       await fs.mkdir(this.moviesDir, { recursive: true });
       await fs.mkdir(this.streamsDir, { recursive: true });
+      await fs.mkdir(this.torrentsDir, { recursive: true });
     } catch (error) {
       logger.error('Failed to create cache directories:', error);
     }
@@ -190,6 +200,25 @@ class FileCache {
     }
   }
 
+  /**
+   * Get the stored file list of a torrent ingested from a .torrent attachment
+   * @param {string} infoHash
+   * @returns {Promise<Object|null>} - { name, trackers, totalSize, files }
+   */
+  async getTorrent(infoHash) {
+    if (!/^[a-f0-9]{40}$/i.test(infoHash || '')) return null;
+
+    try {
+      const data = await fs.readFile(path.join(this.torrentsDir, `${infoHash.toLowerCase()}.json`), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Error reading torrent ${infoHash}:`, error);
+      }
+      return null;
+    }
+  }
+
   /**
    * Check if catalog exists
    */
@@ -242,7 +271,7 @@ class FileCache {
 
   /**
    * Atomic write all cache data
-   * Structure: { catalogs: { language: [...content] }, movies: { id: {...} }, series: { id: {...} }, streams: { id: [...] } }
+   * Structure: { catalogs: { language: [...content] }, movies: { id: {...} }, series: { id: {...} }, streams: { id: [...] }, topics: { topicId: {...} }, aliases: { oldId: id } }
    */
   async setAll(data) {
     const tempFiles = [];
@@ -303,6 +332,18 @@ class FileCache {
         }
       }
 
+      // Write torrent file lists (keyed by info hash)
+      if (data.torrents) {
+        for (const [infoHash, torrentData] of Object.entries(data.torrents)) {
+          const tempPath = path.join(this.torrentsDir, `${infoHash}.json.tmp`);
+          const finalPath = path.join(this.torrentsDir, `${infoHash}.json`);
+
+          await fs.writeFile(tempPath, JSON.stringify(torrentData, null, 2), 'utf8');
+          tempFiles.push(tempPath);
+          finalFiles.push({ temp: tempPath, final: finalPath });
+        }
+      }
+
       // Atomically rename all temp files to final files and invalidate cache
       for (const { temp, final, language, movieId, contentId } of finalFiles) {
         await fs.rename(temp, final);
@@ -319,7 +360,17 @@ class FileCache {
         }
       }
 
+      // Record topic fingerprints only once their content is committed, so a
+      // failed write never marks a topic as up to date
+      if (data.topics && Object.keys(data.topics).length > 0) {
+        await topicIndex.update(data.topics);
+      }
+      if (data.aliases && Object.keys(data.aliases).length > 0) {
+        await aliasIndex.update(data.aliases);
+      }
+
       logger.success(`Cache updated: ${finalFiles.length} files written`);
+      this.emit('change');
       return true;
     } catch (error) {
       logger.error('Error writing cache, cleaning up temp files:', error);
@@ -413,7 +464,7 @@ class FileCache {
    */
   async clear() {
     try {
-      const dirs = [this.catalogsDir, this.moviesDir, this.streamsDir];
+      const dirs = [this.catalogsDir, this.moviesDir, this.streamsDir, this.torrentsDir];
       for (const dir of dirs) {
         const files = await fs.readdir(dir);
         for (const file of files) {
@@ -427,6 +478,7 @@ class FileCache {
       this.clearAllCaches();
       
       logger.info('Cache cleared');
+      this.emit('change');
       return true;
     } catch (error) {
       logger.error('Error clearing cache:', error);
@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+// Run ids are ISO timestamps plus a random suffix, so names sort chronologically
+const REPORT_ID_PATTERN = /^[0-9TZ-]+-[0-9a-f]+$/;
+
+/**
+ * Persist a finished scrape report and prune all but the newest
+ * SCRAPE_REPORT_RETENTION reports
+ * @param {ScrapeReport} report
+ * @returns {Promise<boolean>}
+ */
+async function saveReport(report) {
+  const dir = constants.CACHE_REPORTS_DIR;
+  const filePath = path.join(dir, `${report.runId}.json`);
+
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(`${filePath}.tmp`, JSON.stringify(report, null, 2), 'utf8');
+    await fs.rename(`${filePath}.tmp`, filePath);
+
+    const runIds = await listRunIds();
+    for (const runId of runIds.slice(constants.SCRAPE_REPORT_RETENTION)) {
+      await fs.unlink(path.join(dir, `${runId}.json`));
+    }
+    return true;
+  } catch (error) {
+    logger.error('Error saving scrape report:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Stored run ids, newest first
+ * @returns {Promise<string[]>}
+ */
+async function listRunIds() {
+  try {
+    const files = await fs.readdir(constants.CACHE_REPORTS_DIR);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.slice(0, -'.json'.length))
+      .sort()
+      .reverse();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * Load a stored report
+ * @param {string} runId
+ * @returns {Promise<Object|null>}
+ */
+async function getReport(runId) {
+  if (!REPORT_ID_PATTERN.test(runId || '')) return null;
+  try {
+    const data = await fs.readFile(path.join(constants.CACHE_REPORTS_DIR, `${runId}.json`), 'utf8');
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Error reading scrape report ${runId}:`, error.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Summaries (everything except the item list) of stored reports, newest first
+ * @returns {Promise<Array>}
+ */
+async function listReports() {
+  const summaries = [];
+  for (const runId of await listRunIds()) {
+    const report = await getReport(runId);
+    if (report) {
+      const { items, ...summary } = report;
+      summaries.push(summary);
+    }
+  }
+  return summaries;
+}
+
+/**
+ * Summary counts of the newest successful run (the baseline for anomaly checks)
+ * @returns {Promise<Object|null>}
+ */
+async function getLastSuccessfulSummary() {
+  for (const runId of await listRunIds()) {
+    const report = await getReport(runId);
+    if (report && report.status === 'success') return report.summary;
+  }
+  return null;
+}
+
+module.exports = {
+  saveReport,
+  getReport,
+  listReports,
+  getLastSuccessfulSummary
+};
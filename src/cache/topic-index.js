@@ -0,0 +1,95 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+
+/**
+ * Persistent map of forum topic id -> what we cached for it
+ * Entry: { id, type, languages, fingerprint, editedAt, url, scrapedAt, tmdbId, titleKey }
+ * Lets scrapeAll tell unchanged topics (skip) from edited ones (re-scrape
+ * and merge) without relying on generated IDs, which change when titles do.
+ */
+class TopicIndex {
+  constructor() {
+    this.filePath = constants.CACHE_TOPICS_FILE;
+    this.topics = null; // Lazily loaded from disk
+  }
+
+  /**
+   * Load the index from disk (once)
+   */
+  async load() {
+    if (this.topics) return this.topics;
+
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      this.topics = JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Error reading topic index, starting fresh:', error.message);
+      }
+      this.topics = {};
+    }
+
+    return this.topics;
+  }
+
+  /**
+   * Get the cached entry for a topic
+   * @param {string} topicId
+   * @returns {Promise<Object|null>}
+   */
+  async get(topicId) {
+    if (!topicId) return null;
+    const topics = await this.load();
+    return topics[topicId] || null;
+  }
+
+  /**
+   * First entry of a type matched to a TMDB id (all topics of one show share it)
+   * @param {string} type - 'movie' | 'series'
+   * @param {number} tmdbId
+   * @returns {Promise<Object|null>}
+   */
+  async findByTmdbId(type, tmdbId) {
+    if (!tmdbId) return null;
+    const topics = await this.load();
+    return Object.values(topics).find(entry => entry.type === type && entry.tmdbId === tmdbId) || null;
+  }
+
+  /**
+   * First entry of a type with a title key (movies: name + year, see movieTitleKey)
+   * @param {string} type - 'movie' | 'series'
+   * @param {string} titleKey
+   * @returns {Promise<Object|null>}
+   */
+  async findByTitleKey(type, titleKey) {
+    if (!titleKey) return null;
+    const topics = await this.load();
+    return Object.values(topics).find(entry => entry.type === type && entry.titleKey === titleKey) || null;
+  }
+
+  /**
+   * Merge entries into the index and persist atomically (temp file + rename)
+   * @param {Object} entries - { topicId: entry }
+   * @returns {Promise<boolean>}
+   */
+  async update(entries) {
+    const topics = await this.load();
+    Object.assign(topics, entries);
+
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(topics, null, 2), 'utf8');
+      await fs.rename(tempPath, this.filePath);
+      logger.debug(`Topic index updated: ${Object.keys(entries).length} topics`);
+      return true;
+    } catch (error) {
+      logger.error('Error writing topic index:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new TopicIndex();
@@ -1,12 +1,17 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const constants = require('../utils/constants');
+const { getAxiosProxyOptions } = require('../utils/proxy-agent');
+const { levenshteinDistance } = require('../utils/levenshtein');
+const { CERTIFICATION_COUNTRIES, toCertification } = require('../utils/certification');
 
 class TMDBClient {
   constructor(apiKey) {
     this.apiKey = apiKey || constants.TMDB_API_KEY;
     this.baseUrl = constants.TMDB_API_URL || 'https://api.themoviedb.org/3';
     this.posterBaseUrl = constants.TMDB_POSTER_BASE_URL || 'https://image.tmdb.org/t/p';
+    // Routed through TMDB_PROXY_URL (or OUTBOUND_PROXY_URL) when configured
+    this.http = axios.create(getAxiosProxyOptions('tmdb'));
   }
 
   /**
@@ -33,7 +38,7 @@ class TMDBClient {
         params.year = year;
       }
 
-      const response = await axios.get(`${this.baseUrl}/search/movie`, {
+      const response = await this.http.get(`${this.baseUrl}/search/movie`, {
         params,
         timeout: 10000
       });
@@ -63,21 +68,23 @@ class TMDBClient {
     try {
       // Fetch movie details, credits, and videos in parallel
       const [movieResponse, creditsResponse, videosResponse] = await Promise.allSettled([
-        axios.get(`${this.baseUrl}/movie/${tmdbId}`, {
+        this.http.get(`${this.baseUrl}/movie/${tmdbId}`, {
           params: {
             api_key: this.apiKey,
-            language: 'en-US'
+            language: 'en-US',
+            // Other names the title is searched by; per-country release certifications
+            append_to_response: 'alternative_titles,release_dates'
           },
           timeout: 10000
         }),
-        axios.get(`${this.baseUrl}/movie/${tmdbId}/credits`, {
+        this.http.get(`${this.baseUrl}/movie/${tmdbId}/credits`, {
           params: {
             api_key: this.apiKey,
             language: 'en-US'
           },
           timeout: 10000
         }),
-        axios.get(`${this.baseUrl}/movie/${tmdbId}/videos`, {
+        this.http.get(`${this.baseUrl}/movie/${tmdbId}/videos`, {
           params: {
             api_key: this.apiKey,
             language: 'en-US'
@@ -127,21 +134,23 @@ class TMDBClient {
     try {
       // Fetch TV details, credits, and videos in parallel
       const [tvResponse, creditsResponse, videosResponse] = await Promise.allSettled([
-        axios.get(`${this.baseUrl}/tv/${tmdbId}`, {
+        this.http.get(`${this.baseUrl}/tv/${tmdbId}`, {
           params: {
             api_key: this.apiKey,
-            language: 'en-US'
+            language: 'en-US',
+            // Other names the title is searched by; per-country content ratings
+            append_to_response: 'alternative_titles,content_ratings'
           },
           timeout: 10000
         }),
-        axios.get(`${this.baseUrl}/tv/${tmdbId}/credits`, {
+        this.http.get(`${this.baseUrl}/tv/${tmdbId}/credits`, {
           params: {
             api_key: this.apiKey,
             language: 'en-US'
           },
           timeout: 10000
         }),
-        axios.get(`${this.baseUrl}/tv/${tmdbId}/videos`, {
+        this.http.get(`${this.baseUrl}/tv/${tmdbId}/videos`, {
           params: {
             api_key: this.apiKey,
             language: 'en-US'
@@ -201,7 +210,7 @@ class TMDBClient {
         params.first_air_date_year = year;
       }
 
-      const response = await axios.get(`${this.baseUrl}/search/tv`, {
+      const response = await this.http.get(`${this.baseUrl}/search/tv`, {
         params,
         timeout: 10000
       });
@@ -513,34 +522,52 @@ class TMDBClient {
   }
 
   /**
-   * Calculate Levenshtein distance between two strings
+   * Alternative titles from `append_to_response=alternative_titles`, deduped,
+   * without the official title
+   * @param {Object} tmdbData - Movie or TV details
+   * @param {string|null} officialTitle
+   * @returns {Array<string>|null}
    */
-  levenshteinDistance(str1, str2) {
-    const matrix = [];
-
-    for (let i = 0; i <= str2.length; i++) {
-      matrix[i] = [i];
-    }
-
-    for (let j = 0; j <= str1.length; j++) {
-      matrix[0][j] = j;
+  extractAlternativeTitles(tmdbData, officialTitle) {
+    const alternatives = tmdbData.alternative_titles || {};
+    const entries = alternatives.titles || alternatives.results || []; // movie: titles, tv: results
+    const seen = new Set([(officialTitle || '').toLowerCase()]);
+    const titles = [];
+    for (const { title } of entries) {
+      if (!title || seen.has(title.toLowerCase())) continue;
+      seen.add(title.toLowerCase());
+      titles.push(title);
     }
+    return titles.length > 0 ? titles.slice(0, 20) : null; // Limit to 20 titles
+  }
 
-    for (let i = 1; i <= str2.length; i++) {
-      for (let j = 1; j <= str1.length; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
+  /**
+   * Certification on the CBFC scale (see certification.js): India's rating,
+   * else the US one. Movies carry `release_dates`, TV shows `content_ratings`.
+   * @param {Object} tmdbData - Movie or TV details
+   * @returns {string|null}
+   */
+  extractCertification(tmdbData) {
+    for (const country of CERTIFICATION_COUNTRIES) {
+      const releases = (tmdbData.release_dates?.results || []).find(entry => entry.iso_3166_1 === country);
+      const ratings = releases
+        ? releases.release_dates.map(release => release.certification)
+        : (tmdbData.content_ratings?.results || [])
+          .filter(entry => entry.iso_3166_1 === country)
+          .map(entry => entry.rating);
+      for (const rating of ratings) {
+        const certification = toCertification(country, rating);
+        if (certification) return certification;
       }
     }
+    return null;
+  }
 
-    return matrix[str2.length][str1.length];
+  /**
+   * Calculate Levenshtein distance between two strings
+   */
+  levenshteinDistance(str1, str2) {
+    return levenshteinDistance(str1, str2);
   }
 
   /**
@@ -658,6 +685,9 @@ class TMDBClient {
       releaseInfo: releaseInfo,
       tmdbId: tmdbData.id,
       tmdbTitle: tmdbData.title || null, // TMDB official title (prioritize this)
+      tmdbOriginalTitle: tmdbData.original_title || null, // Title in the original language
+      alternativeTitles: this.extractAlternativeTitles(tmdbData, tmdbData.title),
+      certification: this.extractCertification(tmdbData), // CBFC scale, from the IN or US rating
       
       // New fields from existing API response
       released: released,
@@ -853,6 +883,9 @@ class TMDBClient {
       releaseInfo: releaseInfo,
       tmdbId: tmdbData.id,
       tmdbName: tmdbData.name || null, // TMDB official name (prioritize this)
+      tmdbOriginalTitle: tmdbData.original_name || null, // Name in the original language
+      alternativeTitles: this.extractAlternativeTitles(tmdbData, tmdbData.name),
+      certification: this.extractCertification(tmdbData), // CBFC scale, from the IN or US rating
       
       // New fields from existing API response
       released: released,
@@ -4,6 +4,7 @@ const https = require('https');
 const FormData = require('form-data');
 const logger = require('../utils/logger');
 const constants = require('../utils/constants');
+const { getAxiosProxyOptions } = require('../utils/proxy-agent');
 
 // Shared keep-alive agents so repeated TorBox calls reuse TCP/TLS connections
 // instead of paying a fresh handshake (~100-300ms) every request.
@@ -32,6 +33,8 @@ class TorboxClient {
       timeout: 10000, // 10 seconds for individual requests
       httpAgent: keepAliveHttpAgent,
       httpsAgent: keepAliveHttpsAgent,
+      // TORBOX_PROXY_URL (or OUTBOUND_PROXY_URL) swaps in a keep-alive proxy agent
+      ...getAxiosProxyOptions('torbox', { keepAlive: true }),
       headers: {
         'Authorization': `Bearer ${this.apiKey}`
         // Note: Don't set Content-Type for multipart/form-data - axios will set it with boundary
@@ -509,13 +512,36 @@ class TorboxClient {
     }
   }
 
+  /**
+   * Get the file list of a torrent in mylist (fresh, not from the mylist cache,
+   * since the torrent may have just been added)
+   * @param {string} torrentId - Torrent ID from Torbox
+   * @returns {Promise<Array|null>} - [{ id, name, short_name, size, ... }] or null on failure
+   */
+  async getTorrentFiles(torrentId) {
+    try {
+      const response = await this.client.get('/api/torrents/mylist', {
+        params: { id: torrentId, bypass_cache: true }
+      });
+      const data = response.data?.data ?? response.data;
+      const torrent = Array.isArray(data)
+        ? data.find(t => String(t.id) === String(torrentId) || String(t.torrent_id) === String(torrentId))
+        : data;
+      return Array.isArray(torrent?.files) ? torrent.files : null;
+    } catch (error) {
+      logger.error(`Torbox: Error getting files for torrent ${torrentId}:`, error.response?.data || error.message);
+      return null;
+    }
+  }
+
   /**
    * Wait for torrent to be ready (downloaded/cached)
    * @param {string} torrentId - Torrent ID from Torbox
    * @param {number} maxWaitTime - Maximum time to wait in ms (default: 30s, use TORBOX_PROXY_TIMEOUT for proxy route)
+   * @param {Function} [selectFile] - (torrent) => file id to stream, for multi-file torrents (default: first file)
    * @returns {Promise<string|null>} - Returns streaming URL when ready, or null on timeout/failure
    */
-  async waitForReady(torrentId, maxWaitTime = constants.TORBOX_TIMEOUT) {
+  async waitForReady(torrentId, maxWaitTime = constants.TORBOX_TIMEOUT, selectFile = null) {
     const startTime = Date.now();
     const pollInterval = constants.TORBOX_POLL_INTERVAL;
 
@@ -540,7 +566,8 @@ class TorboxClient {
           // Check if completed/ready
           if (status === 'completed' || status === 'ready' || status === 'downloaded') {
             logger.debug(`Torbox: Torrent ${torrentId} is ready, getting streaming URL`);
-            return await this.getStreamingUrl(torrentId);
+            const fileId = selectFile ? selectFile(torrent) : null;
+            return await this.getStreamingUrl(torrentId, fileId ?? 0);
           }
           
           // Check if failed
@@ -11,14 +11,26 @@ const CATALOG_OPTIONS = [
   { id: constants.LANGUAGES.ENGLISH, name: constants.LANGUAGE_NAMES.english }
 ];
 
+// Language movie rows plus the cross-language "Recently Added" row
+const VISIBLE_CATALOG_IDS = [...CATALOG_OPTIONS.map(c => c.id), 'recent'];
+
 const catalogCheckboxesHtml = CATALOG_OPTIONS.map(c =>
   `<label class="checkbox-label"><input type="checkbox" name="catalog" value="${c.id}" checked> ${c.name} Movies</label>`
-).join('');
+).join('') + '<label class="checkbox-label"><input type="checkbox" name="catalog" value="recent" checked> Recently Added (all languages)</label>';
 
 const seriesLangCheckboxesHtml = CATALOG_OPTIONS.map(c =>
   `<label class="checkbox-label"><input type="checkbox" name="seriesLang" value="${c.id}" checked> ${c.name}</label>`
 ).join('');
 
+const audioLangCheckboxesHtml = CATALOG_OPTIONS.map(c =>
+  `<label class="checkbox-label"><input type="checkbox" name="audioLang" value="${c.id}" checked> ${c.name}</label>`
+).join('');
+
+// Maximum certification: "No limit" or a CBFC level below A (A itself allows everything)
+const certificationOptionsHtml = ['<option value="">No limit</option>'].concat(
+  constants.CERTIFICATIONS.slice(0, -1).map(c => `<option value="${c}">Up to ${c}</option>`)
+).join('');
+
 module.exports = (req, res) => {
   try {
     logger.info('[CONFIGURE] Route handler called');
@@ -84,6 +96,11 @@ module.exports = (req, res) => {
     }
     input[type="text"]::placeholder { color: #5c6885; }
     input[type="text"]:focus { outline: none; border-color: var(--border-focus); box-shadow: 0 0 0 3px rgba(108,140,255,.18); }
+    select {
+      width: 100%; padding: 12px 14px; border: 1px solid var(--border); border-radius: 10px;
+      font-size: 14px; background: var(--bg-input); color: var(--text);
+    }
+    select:focus { outline: none; border-color: var(--border-focus); box-shadow: 0 0 0 3px rgba(108,140,255,.18); }
     button {
       background: linear-gradient(135deg, var(--brand), var(--brand-2)); color: #fff; padding: 13px 22px;
       border: none; cursor: pointer; border-radius: 10px; font-size: 15px; font-weight: 700;
@@ -99,7 +116,7 @@ module.exports = (req, res) => {
     .loading { display: none; color: var(--brand); font-size: 14px; margin-top: 10px; }
     .catalog-group { margin: 16px 0; }
     .catalog-group .section-label { font-weight: 600; margin-bottom: 12px; font-size: 14px; }
-    #catalogCheckboxes, #updateCatalogCheckboxes, #seriesLangCheckboxes, #updateSeriesLangCheckboxes { display: grid; grid-template-columns: repeat(2, minmax(0,1fr)); gap: 8px; }
+    #catalogCheckboxes, #updateCatalogCheckboxes, #seriesLangCheckboxes, #updateSeriesLangCheckboxes, #audioLangCheckboxes, #updateAudioLangCheckboxes { display: grid; grid-template-columns: repeat(2, minmax(0,1fr)); gap: 8px; }
     .checkbox-label {
       display: flex; align-items: center; gap: 9px; margin: 0; font-weight: 500; font-size: 14px;
       background: var(--bg-input); border: 1px solid var(--border); padding: 11px 13px; border-radius: 10px;
@@ -122,7 +139,7 @@ module.exports = (req, res) => {
     #toast.ok { border-color: var(--accent); }
     #toast.err { border-color: var(--danger); }
     @media (max-width: 480px) {
-      #catalogCheckboxes, #updateCatalogCheckboxes, #seriesLangCheckboxes, #updateSeriesLangCheckboxes { grid-template-columns: 1fr; }
+      #catalogCheckboxes, #updateCatalogCheckboxes, #seriesLangCheckboxes, #updateSeriesLangCheckboxes, #audioLangCheckboxes, #updateAudioLangCheckboxes { grid-template-columns: 1fr; }
       .logo { font-size: 26px; }
     }
   </style>
@@ -152,9 +169,9 @@ module.exports = (req, res) => {
       </div>
       
       <div class="form-group catalog-group">
-        <div class="section-label">Movie catalogs to display (uncheck to hide):</div>
+        <div class="section-label">Catalogs to display (uncheck to hide):</div>
         <div id="catalogCheckboxes">${catalogCheckboxesHtml}</div>
-        <div class="info">Only checked movie catalogs will appear in Stremio. Leave all checked to show everything.</div>
+        <div class="info">Only checked catalogs will appear in Stremio. Recently Added mixes new movies from the checked languages with new series. Leave all checked to show everything.</div>
       </div>
 
       <div class="form-group catalog-group">
@@ -162,6 +179,19 @@ module.exports = (req, res) => {
         <div id="seriesLangCheckboxes">${seriesLangCheckboxesHtml}</div>
         <div class="info">The single Series row shows only series in these languages. You can still pick any language from its dropdown to see more. Leave all checked to show every language.</div>
       </div>
+
+      <div class="form-group catalog-group">
+        <div class="section-label">Preferred audio languages (streams):</div>
+        <div id="audioLangCheckboxes">${audioLangCheckboxesHtml}</div>
+        <div class="info">Only streams whose audio includes one of these languages are listed. Files that don't state their audio are always shown. Leave all checked to show every stream.</div>
+      </div>
+
+      <div class="form-group catalog-group">
+        <label for="maxCertification" class="section-label">Maximum certification:</label>
+        <select id="maxCertification" name="maxCertification">${certificationOptionsHtml}</select>
+        <label class="checkbox-label"><input type="checkbox" id="hideUnrated" name="hideUnrated"> Also hide titles without a rating</label>
+        <div class="info">Hides titles rated above this (Indian CBFC ratings; US ratings are mapped onto them) from catalogs, search and playback. Titles TMDB has no rating for are still shown unless you also hide them; many forum releases have none.</div>
+      </div>
       
       <button type="submit">Generate Addon URL</button>
       <div class="loading" id="loading">Generating unique URL...</div>
@@ -193,13 +223,22 @@ module.exports = (req, res) => {
           <button type="button" id="loadPrefsBtn" class="load-btn">Load current preferences</button>
         </div>
         <div class="form-group catalog-group">
-          <div class="section-label">Movie catalogs to display:</div>
+          <div class="section-label">Catalogs to display:</div>
           <div id="updateCatalogCheckboxes">${catalogCheckboxesHtml}</div>
         </div>
         <div class="form-group catalog-group">
           <div class="section-label">Series languages (shown in the Series row):</div>
           <div id="updateSeriesLangCheckboxes">${seriesLangCheckboxesHtml}</div>
         </div>
+        <div class="form-group catalog-group">
+          <div class="section-label">Preferred audio languages (streams):</div>
+          <div id="updateAudioLangCheckboxes">${audioLangCheckboxesHtml}</div>
+        </div>
+        <div class="form-group catalog-group">
+          <label for="updateMaxCertification" class="section-label">Maximum certification:</label>
+          <select id="updateMaxCertification" name="maxCertification">${certificationOptionsHtml}</select>
+          <label class="checkbox-label"><input type="checkbox" id="updateHideUnrated" name="hideUnrated"> Also hide titles without a rating</label>
+        </div>
         <button type="submit">Update Preferences</button>
         <div class="loading" id="updateLoading">Updating...</div>
       </form>
@@ -222,6 +261,7 @@ module.exports = (req, res) => {
       window.__toastTimer = setTimeout(function() { t.className = t.className.replace('show', '').trim(); }, 2600);
     }
     const allCatalogIds = ${JSON.stringify(CATALOG_OPTIONS.map(c => c.id))};
+    const allVisibleCatalogIds = ${JSON.stringify(VISIBLE_CATALOG_IDS)};
     
     document.getElementById('configForm').addEventListener('submit', async function(e) {
       e.preventDefault();
@@ -234,10 +274,15 @@ module.exports = (req, res) => {
       
       const checkboxes = document.querySelectorAll('#catalogCheckboxes input[name="catalog"]:checked');
       const checked = Array.from(checkboxes).map(cb => cb.value);
-      const visibleCatalogs = (checked.length === allCatalogIds.length || checked.length === 0) ? [] : checked;
+      const visibleCatalogs = (checked.length === allVisibleCatalogIds.length || checked.length === 0) ? [] : checked;
 
       const seriesChecked = Array.from(document.querySelectorAll('#seriesLangCheckboxes input[name="seriesLang"]:checked')).map(cb => cb.value);
       const seriesLanguages = (seriesChecked.length === allCatalogIds.length || seriesChecked.length === 0) ? [] : seriesChecked;
+
+      const audioChecked = Array.from(document.querySelectorAll('#audioLangCheckboxes input[name="audioLang"]:checked')).map(cb => cb.value);
+      const audioLanguages = (audioChecked.length === allCatalogIds.length || audioChecked.length === 0) ? [] : audioChecked;
+      const maxCertification = document.getElementById('maxCertification').value;
+      const hideUnrated = document.getElementById('hideUnrated').checked;
       
       const loadingEl = document.getElementById('loading');
       const resultEl = document.getElementById('result');
@@ -251,7 +296,7 @@ module.exports = (req, res) => {
         const response = await fetch('/api/create-token', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ torboxApiKey: apiKey, visibleCatalogs: visibleCatalogs, seriesLanguages: seriesLanguages })
+          body: JSON.stringify({ torboxApiKey: apiKey, visibleCatalogs: visibleCatalogs, seriesLanguages: seriesLanguages, audioLanguages: audioLanguages, maxCertification: maxCertification, hideUnrated: hideUnrated })
         });
         
         const data = await response.json();
@@ -310,6 +355,16 @@ module.exports = (req, res) => {
         checkboxes.forEach(cb => { cb.checked = set.has(cb.value); });
       }
     }
+
+    function setUpdateAudioLangCheckboxes(audioLanguages) {
+      const checkboxes = document.querySelectorAll('#updateAudioLangCheckboxes input[name="audioLang"]');
+      if (!audioLanguages || audioLanguages.length === 0) {
+        checkboxes.forEach(cb => cb.checked = true);
+      } else {
+        const set = new Set(audioLanguages);
+        checkboxes.forEach(cb => { cb.checked = set.has(cb.value); });
+      }
+    }
     
     document.getElementById('loadPrefsBtn').addEventListener('click', async function() {
       const addonUrl = document.getElementById('addonUrlInput').value.trim();
@@ -324,6 +379,9 @@ module.exports = (req, res) => {
         if (data.success) {
           setUpdateCheckboxes(data.visibleCatalogs);
           setUpdateSeriesLangCheckboxes(data.seriesLanguages);
+          setUpdateAudioLangCheckboxes(data.audioLanguages);
+          document.getElementById('updateMaxCertification').value = data.maxCertification || '';
+          document.getElementById('updateHideUnrated').checked = data.hideUnrated === true;
           showToast('Preferences loaded', 'ok');
         } else {
           showToast('Could not load: ' + (data.error || 'Invalid token'), 'err');
@@ -345,10 +403,15 @@ module.exports = (req, res) => {
       
       const checkboxes = document.querySelectorAll('#updateCatalogCheckboxes input[name="catalog"]:checked');
       const checked = Array.from(checkboxes).map(cb => cb.value);
-      const visibleCatalogs = (checked.length === allCatalogIds.length || checked.length === 0) ? [] : checked;
+      const visibleCatalogs = (checked.length === allVisibleCatalogIds.length || checked.length === 0) ? [] : checked;
 
       const seriesChecked = Array.from(document.querySelectorAll('#updateSeriesLangCheckboxes input[name="seriesLang"]:checked')).map(cb => cb.value);
       const seriesLanguages = (seriesChecked.length === allCatalogIds.length || seriesChecked.length === 0) ? [] : seriesChecked;
+
+      const audioChecked = Array.from(document.querySelectorAll('#updateAudioLangCheckboxes input[name="audioLang"]:checked')).map(cb => cb.value);
+      const audioLanguages = (audioChecked.length === allCatalogIds.length || audioChecked.length === 0) ? [] : audioChecked;
+      const maxCertification = document.getElementById('updateMaxCertification').value;
+      const hideUnrated = document.getElementById('updateHideUnrated').checked;
       
       const loadingEl = document.getElementById('updateLoading');
       const resultEl = document.getElementById('updateResult');
@@ -362,7 +425,7 @@ module.exports = (req, res) => {
         const response = await fetch('/api/update-token-catalogs', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ token: token, visibleCatalogs: visibleCatalogs, seriesLanguages: seriesLanguages })
+          body: JSON.stringify({ token: token, visibleCatalogs: visibleCatalogs, seriesLanguages: seriesLanguages, audioLanguages: audioLanguages, maxCertification: maxCertification, hideUnrated: hideUnrated })
         });
         
         const data = await response.json();
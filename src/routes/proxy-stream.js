@@ -3,18 +3,54 @@ const constants = require('../utils/constants');
 const TorboxClient = require('../integrations/torbox-client');
 const tokenManager = require('../utils/token-manager');
 const { decodeMagnet } = require('../utils/magnet-encoder');
+const {
+  isVideoFile,
+  isExtraFile,
+  parseEpisodeFromFilename,
+  selectEpisodeFile,
+  selectMainVideoFile
+} = require('../utils/file-selector');
+
+/**
+ * TorBox file id of the requested episode within a (season pack) torrent
+ * When no video file carries episode markers (e.g. a single-episode torrent
+ * named "Show 1080p.mkv"), the largest non-extra video is used rather than
+ * the first file, which is often a sample or .nfo. A pack whose files are
+ * marked but lack the episode gets null: any other file is the wrong episode.
+ * @param {Array} files - TorBox file list ({ id, name, short_name, size })
+ * @returns {number|null} - null when there is no matching video file (TorBox then serves the first file)
+ */
+function selectTorboxFileId(files, season, episode) {
+  if (!Array.isArray(files) || files.length === 0) return null;
+  const list = files.map(file => ({ name: file.name || file.short_name || '', size: file.size || 0 }));
+  let index = selectEpisodeFile(list, season, episode);
+  if (index == null) {
+    const marked = list.some(file => isVideoFile(file.name) && !isExtraFile(file.name) && parseEpisodeFromFilename(file.name));
+    if (marked) {
+      logger.warn(`[PROXY] S${season}E${episode} is not among the episodes of this pack`);
+      return null;
+    }
+    index = selectMainVideoFile(list);
+  }
+  if (index == null) return null;
+  return files[index].id ?? index;
+}
 
 /**
  * Proxy stream route handler
  * Handles requests to add non-cached torrents to Torbox and redirect to streaming URL
- * Route: /stremio/:token/:encrypted/proxy/:magnetHash
+ * Route: /stremio/:token/:encrypted/proxy/:magnetHash[?s=<season>&e=<episode>]
+ * With s/e (series episodes), the matching file of a season pack is streamed.
  */
 async function proxyStreamHandler(req, res) {
   const { token, magnetHash } = req.params;
+  const season = parseInt(req.query.s, 10);
+  const episode = parseInt(req.query.e, 10);
+  const wantsEpisode = Number.isFinite(episode);
   const startTime = Date.now();
   
   try {
-    logger.info(`[PROXY] Request received: token=${token.substring(0, 8)}..., magnetHash=${magnetHash.substring(0, 16)}...`);
+    logger.info(`[PROXY] Request received: token=${token.substring(0, 8)}..., magnetHash=${magnetHash.substring(0, 16)}...${wantsEpisode ? ` (S${season}E${episode})` : ''}`);
     
     // Validate token
     const config = tokenManager.getConfigForToken(token);
@@ -38,6 +74,19 @@ async function proxyStreamHandler(req, res) {
     
     // Initialize Torbox client
     const torbox = new TorboxClient(config.torboxApiKey, config.torboxApiUrl || constants.TORBOX_API_URL);
+
+    // File to stream for episode requests; files come from mylist when known, else fetched
+    const resolveFileId = async (torrentId, files = null) => {
+      if (!wantsEpisode) return null;
+      const fileList = files || await torbox.getTorrentFiles(torrentId);
+      const fileId = selectTorboxFileId(fileList, season, episode);
+      if (fileId == null) {
+        logger.debug(`[PROXY] No video file for S${season}E${episode} in torrent ${torrentId}, using default file`);
+      } else {
+        logger.debug(`[PROXY] Selected file ${fileId} for S${season}E${episode} in torrent ${torrentId}`);
+      }
+      return fileId;
+    };
     
     // Check if torrent is already in mylist (avoid duplicate adds)
     const infoHash = torbox.extractInfoHash(magnetLink);
@@ -56,7 +105,8 @@ async function proxyStreamHandler(req, res) {
           logger.debug(`[PROXY] Torrent already in mylist (hash: ${infoHash.substring(0, 8)}...)`);
           
           // Check if it has streaming URL directly in mylist response
-          if (existingTorrent.hls_url || existingTorrent.stream_url) {
+          // (torrent-level URL: only usable when no specific episode file is needed)
+          if (!wantsEpisode && (existingTorrent.hls_url || existingTorrent.stream_url)) {
             const streamingUrl = existingTorrent.hls_url || existingTorrent.stream_url;
             logger.info(`[PROXY] Found existing torrent with streaming URL, redirecting: ${streamingUrl.substring(0, 50)}...`);
             const duration = Date.now() - startTime;
@@ -68,7 +118,8 @@ async function proxyStreamHandler(req, res) {
           const torrentId = existingTorrent.torrent_id || existingTorrent.id;
           if (torrentId) {
             logger.debug(`[PROXY] Getting streaming URL for existing torrent_id: ${torrentId}`);
-            const streamingUrl = await torbox.getStreamingUrl(torrentId);
+            const fileId = await resolveFileId(torrentId, existingTorrent.files);
+            const streamingUrl = await torbox.getStreamingUrl(torrentId, fileId ?? 0);
             if (streamingUrl) {
               logger.info(`[PROXY] Got streaming URL for existing torrent, redirecting: ${streamingUrl.substring(0, 50)}...`);
               const duration = Date.now() - startTime;
@@ -116,9 +167,9 @@ async function proxyStreamHandler(req, res) {
       // Cached torrents are ready immediately - get URL right away
       logger.debug(`[PROXY] Torrent ${torrentId} is cached, getting streaming URL immediately`);
       
-      // Try to get URL from addResult first (sometimes it's already there)
-      if (addResult.data?.url || addResult.data?.stream_url || addResult.data?.hls_url || 
-          addResult.url || addResult.stream_url || addResult.hls_url) {
+      // Try to get URL from addResult first (sometimes it's already there; torrent-level only)
+      if (!wantsEpisode && (addResult.data?.url || addResult.data?.stream_url || addResult.data?.hls_url || 
+          addResult.url || addResult.stream_url || addResult.hls_url)) {
         const url = addResult.data?.url || addResult.data?.stream_url || addResult.data?.hls_url || 
                    addResult.url || addResult.stream_url || addResult.hls_url;
         logger.info(`[PROXY] Got streaming URL from addMagnet response, redirecting: ${url.substring(0, 50)}...`);
@@ -130,7 +181,8 @@ async function proxyStreamHandler(req, res) {
       // For cached torrents, getStreamingUrl uses createstream (which works
       // immediately for cached torrents) with its own requestdl fallbacks, so
       // no extra mylist re-fetch or direct createstream call is needed here.
-      const streamingUrl = await torbox.getStreamingUrl(torrentId);
+      const fileId = await resolveFileId(torrentId);
+      const streamingUrl = await torbox.getStreamingUrl(torrentId, fileId ?? 0);
       if (streamingUrl) {
         logger.info(`[PROXY] Got streaming URL for cached torrent, redirecting: ${streamingUrl.substring(0, 50)}...`);
         const duration = Date.now() - startTime;
@@ -144,7 +196,11 @@ async function proxyStreamHandler(req, res) {
     
     // Not cached - wait for it to be ready (max 5 minutes)
     logger.debug(`[PROXY] Torrent ${torrentId} is not cached, waiting for it to be ready (max ${constants.TORBOX_PROXY_TIMEOUT / 1000}s)`);
-    const streamingUrl = await torbox.waitForReady(torrentId, constants.TORBOX_PROXY_TIMEOUT);
+    const streamingUrl = await torbox.waitForReady(
+      torrentId,
+      constants.TORBOX_PROXY_TIMEOUT,
+      wantsEpisode ? torrent => selectTorboxFileId(torrent.files, season, episode) : null
+    );
     
     if (streamingUrl) {
       logger.info(`[PROXY] Torrent ${torrentId} is ready, redirecting: ${streamingUrl.substring(0, 50)}...`);
@@ -156,7 +212,7 @@ async function proxyStreamHandler(req, res) {
       logger.warn(`[PROXY] Timeout waiting for torrent ${torrentId}, checking status one more time...`);
       
       // Try to get streaming URL one more time (might be ready now)
-      const finalUrl = await torbox.getStreamingUrl(torrentId);
+      const finalUrl = await torbox.getStreamingUrl(torrentId, (await resolveFileId(torrentId)) ?? 0);
       if (finalUrl) {
         logger.info(`[PROXY] Torrent ${torrentId} became ready after timeout check, redirecting: ${finalUrl.substring(0, 50)}...`);
         const duration = Date.now() - startTime;
@@ -194,3 +250,4 @@ async function proxyStreamHandler(req, res) {
 }
 
 module.exports = proxyStreamHandler;
+module.exports.selectTorboxFileId = selectTorboxFileId;
@@ -1,12 +1,15 @@
 const cron = require('node-cron');
 const logger = require('../utils/logger');
 const constants = require('../utils/constants');
-const TamilMVScraper = require('../scraper/tamilmv-scraper');
+const { createProviders, mergeScrapeResults } = require('../scraper/provider-registry');
+const ScrapeReport = require('../scraper/scrape-report');
 const fileCache = require('../cache/file-cache');
+const { saveReport, getLastSuccessfulSummary } = require('../cache/report-store');
+const { createAbortError, findScrapeAnomaly } = require('../scraper/scrape-guard');
 
 class ScraperScheduler {
   constructor() {
-    this.scraper = new TamilMVScraper();
+    this.providers = createProviders();
     this.isRunning = false;
     this.cronJob = null;
   }
@@ -41,21 +44,22 @@ class ScraperScheduler {
       
       if (!hasAnyCache) {
         logger.info('Cache is empty, running initial scrape...');
-        await this.runScrape();
+        await this.runScrape('initial');
       } else {
         logger.info('Cache exists, skipping initial scrape');
       }
     } catch (error) {
       logger.error('Error checking cache for initial scrape:', error);
       // Run scrape anyway to be safe
-      await this.runScrape();
+      await this.runScrape('initial');
     }
   }
 
   /**
    * Run the scrape job
+   * @param {string} trigger - Recorded in the run's scrape report
    */
-  async runScrape() {
+  async runScrape(trigger = 'scheduled') {
     if (this.isRunning) {
       logger.warn('Scrape job already running, skipping...');
       return;
@@ -63,22 +67,21 @@ class ScraperScheduler {
 
     this.isRunning = true;
     const startTime = Date.now();
+    const report = new ScrapeReport({ trigger });
 
     try {
-      logger.info('=== Starting scheduled scrape (cache will be cleared first) ===');
-      
-      // Clear existing cache before scraping fresh data
-      logger.info('Clearing existing cache...');
-      await fileCache.clear();
+      logger.info('=== Starting scheduled scrape ===');
       
-      // Scrape all languages and movies
-      const scrapedData = await this.scraper.scrapeAll();
+      // Scrape all languages and movies from every provider
+      const scrapedData = await this.scrapeProviders(false, report);
       
       // Validate data structure
       if (!scrapedData || typeof scrapedData !== 'object') {
         throw new Error('Invalid scraped data structure');
       }
 
+      await this.checkForAnomalies(report);
+
       // Check if we have any new data
       const hasNewMovies = scrapedData.movies && Object.keys(scrapedData.movies).length > 0;
       const hasNewSeries = scrapedData.series && Object.keys(scrapedData.series).length > 0;
@@ -88,10 +91,10 @@ class ScraperScheduler {
       const hasCatalogData = scrapedData.catalogs && Object.values(scrapedData.catalogs).some(catalog => Array.isArray(catalog) && catalog.length > 0);
       
       if (!hasNewData && !hasCatalogData) {
-        logger.warn('No data scraped - cache will be empty');
+        logger.warn('No data scraped - keeping the existing cache');
       }
       
-      // Update cache atomically (cache already cleared above)
+      // Merge into the existing cache atomically
       const success = await fileCache.setAll(scrapedData);
       
       if (success) {
@@ -102,27 +105,73 @@ class ScraperScheduler {
         
         logger.success(`=== Scrape completed successfully in ${duration}s ===`);
         logger.info(`Languages: ${languageCount}, Movies: ${totalMovies}, Series: ${totalSeries}`);
+        report.finish('success');
       } else {
         throw new Error('Failed to update cache');
       }
     } catch (error) {
-      logger.error('=== Scrape failed ===');
-      logger.error('Error details:', error.message);
-      logger.error('Stack:', error.stack);
-      logger.warn('Cache has been cleared but update failed - cache will be empty until next successful scrape');
+      if (error.code === 'SCRAPE_ABORTED') {
+        report.finish('aborted', error);
+        logger.warn(`=== Scrape aborted (${error.reason}): ${error.message} ===`);
+        logger.warn('Existing cache left untouched');
+      } else {
+        report.finish('failed', error);
+        logger.error('=== Scrape failed ===');
+        logger.error('Error details:', error.message);
+        logger.error('Stack:', error.stack);
+      }
     } finally {
+      await saveReport(report);
       this.isRunning = false;
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       logger.info(`Total scrape duration: ${duration}s`);
     }
   }
 
+  /**
+   * Run every configured provider and merge their results into one
+   * { catalogs, movies, series, streams } for fileCache.setAll.
+   * A failing provider aborts the whole run: the cache is replaced per
+   * catalog, so writing the others' results alone would drop its titles.
+   * @param {boolean} skipCacheCheck - Passed through to each provider's scrapeAll
+   * @param {ScrapeReport} [report] - Shared by all providers for per-listing outcomes
+   */
+  async scrapeProviders(skipCacheCheck = false, report = new ScrapeReport()) {
+    const results = [];
+
+    for (const provider of this.providers) {
+      try {
+        logger.info(`--- Scraping provider: ${provider.name} ---`);
+        results.push(await provider.scrapeAll(skipCacheCheck, { report }));
+      } catch (error) {
+        if (error.code === 'SCRAPE_ABORTED') throw error;
+        logger.error(`Provider ${provider.name} failed:`, error.message);
+        throw createAbortError('provider-failed', `Provider ${provider.name} failed: ${error.message}`);
+      }
+    }
+
+    if (results.length === 0) {
+      throw new Error('No scrape providers configured');
+    }
+
+    return mergeScrapeResults(results);
+  }
+
+  /**
+   * Abort the run when it is far smaller than the last successful one
+   * @param {ScrapeReport} report - This run's report (filled by scrapeProviders)
+   */
+  async checkForAnomalies(report) {
+    const anomaly = findScrapeAnomaly(report.getSummary(), await getLastSuccessfulSummary());
+    if (anomaly) throw anomaly;
+  }
+
   /**
    * Manually trigger a scrape (for testing or admin)
    */
   async triggerManual() {
     logger.info('Manual scrape triggered');
-    await this.runScrape();
+    await this.runScrape('manual');
   }
 
   /**
@@ -136,18 +185,22 @@ class ScraperScheduler {
 
     this.isRunning = true;
     const startTime = Date.now();
+    const report = new ScrapeReport({ trigger: 'full-replace' });
 
     try {
       logger.info('=== Starting FULL REPLACEMENT scrape (cache will be cleared) ===');
       
       // Scrape all languages and movies without checking cache
-      const scrapedData = await this.scraper.scrapeAll(true); // skipCacheCheck = true
+      const scrapedData = await this.scrapeProviders(true, report); // skipCacheCheck = true
       
       // Validate data structure
       if (!scrapedData || typeof scrapedData !== 'object') {
         throw new Error('Invalid scraped data structure');
       }
 
+      // Nothing is cleared until the new data has passed the same checks
+      await this.checkForAnomalies(report);
+
       // Check if we have any data
       const hasMovies = scrapedData.movies && Object.keys(scrapedData.movies).length > 0;
       const hasSeries = scrapedData.series && Object.keys(scrapedData.series).length > 0;
@@ -168,15 +221,18 @@ class ScraperScheduler {
         
         logger.success(`=== Full replacement scrape completed successfully in ${duration}s ===`);
         logger.info(`Languages: ${languageCount}, Movies: ${totalMovies}, Series: ${totalSeries}`);
+        report.finish('success');
       } else {
         throw new Error('Failed to replace cache');
       }
     } catch (error) {
+      report.finish(error.code === 'SCRAPE_ABORTED' ? 'aborted' : 'failed', error);
       logger.error('=== Full replacement scrape failed ===');
       logger.error('Error details:', error.message);
       logger.error('Stack:', error.stack);
       throw error; // Re-throw so caller can handle it
     } finally {
+      await saveReport(report);
       this.isRunning = false;
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       logger.info(`Total scrape duration: ${duration}s`);
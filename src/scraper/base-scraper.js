@@ -0,0 +1,1342 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+const TMDBClient = require('../integrations/tmdb-client');
+const HostThrottle = require('../utils/host-throttle');
+const { retryRequest, isThrottled, getRetryAfter, getStatus } = require('../utils/retry-policy');
+const httpArchive = require('../utils/http-archive');
+const { getAxiosProxyOptions } = require('../utils/proxy-agent');
+const { mapWithConcurrency } = require('../utils/work-queue');
+const ScrapeReport = require('./scrape-report');
+const { createAbortError } = require('./scrape-guard');
+const { selectEpisodeFile } = require('../utils/file-selector');
+const {
+  detectLanguagesFromTitle,
+  detectSeriesFromTitle,
+  extractEpisodeRangeFromDescription,
+  extractEpisodeFromText,
+  extractTopicId
+} = require('./parsers');
+const {
+  computeTopicFingerprint,
+  mergeStreams,
+  generateMovieId,
+  generateSeriesId,
+  generateEpisodeStreamId,
+  structureMovieForCatalog,
+  structureMovieForMeta,
+  structureSeriesForCatalog,
+  structureSeriesForMeta,
+  getEpisodesBySeason,
+  mergeSeriesMeta,
+  movieTitleKey,
+  mergeMovieMeta,
+  mergeTopicDates,
+  compareNewestFirst,
+  summarizeStreamQualities,
+  cleanTitleForTMDB
+} = require('./extractors');
+
+// Series IDs from before show-level merging hashed title + season ("...-s1-1a2b3c4d")
+const LEGACY_SERIES_ID = /-s\d+-[0-9a-f]{8}$/;
+
+// Catalog item fields added after items were first cached; carried-forward
+// items lacking one are rebuilt from their cached meta
+const BACKFILLED_CATALOG_FIELDS = ['popularity', 'alternativeTitles', 'certification'];
+
+// TMDB fields added after metas were first enriched; carried-forward metas
+// lacking one have their TMDB details fetched again (see backfillTmdbFields)
+const BACKFILLED_TMDB_FIELDS = ['alternativeTitles', 'certification'];
+
+/**
+ * { fileIdx } of an episode inside a season pack whose file list we know
+ * (from a .torrent attachment), or {} when unknown
+ */
+function episodeFileHint(torrents, stream, season, episode) {
+  const torrent = torrents && stream.infoHash && torrents[stream.infoHash.toLowerCase()];
+  if (!torrent || !Array.isArray(torrent.files) || torrent.files.length < 2) return {};
+  const fileIdx = selectEpisodeFile(
+    torrent.files.map(file => ({ name: file.path, size: file.length })),
+    season,
+    episode
+  );
+  return fileIdx != null ? { fileIdx } : {};
+}
+
+/**
+ * Shared scrape pipeline for content-source providers.
+ *
+ * A provider subclasses this and implements the source-specific steps:
+ * - discoverListings(): topics to scrape, as [{ title, url }]
+ * - scrapeContentDetails(url, title, outcome): detail parsing, returning
+ *   { title, originalTitle, url, year, description, streams, qualities, postedAt, editedAt, torrents? } or null
+ *   (setting outcome.reason, and outcome.error on failures, when it returns null)
+ * - extractMagnetsWithDescriptions(html, $): magnet extraction used by the detail parser
+ * and optionally resolveDomain(). Language/series detection, ID generation,
+ * change detection, caching merges and TMDB enrichment are handled here.
+ */
+class BaseScraper {
+  /**
+   * @param {Object} options
+   * @param {string} options.id - Stable provider id (namespaces topic keys, e.g. 'tamilmv')
+   * @param {string} options.name - Display name for logs
+   * @param {string} options.baseUrl - Initial base URL (providers may re-resolve it)
+   */
+  constructor({ id, name, baseUrl }) {
+    this.id = id;
+    this.name = name || id;
+    this.baseUrl = baseUrl;
+    this.languages = Object.values(constants.LANGUAGES);
+    this.requestDelay = constants.SCRAPE_RETRY_BASE_DELAY; // Backoff before the first retry of a failed request
+    this.throttle = new HostThrottle({
+      minInterval: constants.SCRAPE_HOST_MIN_INTERVAL,
+      maxInterval: constants.SCRAPE_HOST_MAX_INTERVAL,
+      throttleBudget: constants.SCRAPE_THROTTLE_BUDGET,
+      throttleWindow: constants.SCRAPE_THROTTLE_WINDOW,
+      throttlePause: constants.SCRAPE_THROTTLE_PAUSE
+    });
+    
+    // Initialize TMDB client
+    // Check both constants and process.env directly (Bun loads .env automatically)
+    const apiKey = constants.TMDB_API_KEY || process.env.TMDB_API_KEY;
+    if (httpArchive.isReplay()) {
+      // Replayed runs must be deterministic and offline, so no live TMDB lookups
+      this.tmdbClient = null;
+      logger.info('TMDB enrichment disabled in replay mode');
+    } else if (apiKey && apiKey.trim().length > 0) {
+      this.tmdbClient = new TMDBClient(apiKey.trim());
+      logger.info(`TMDB client initialized with API key (length: ${apiKey.trim().length})`);
+    } else {
+      this.tmdbClient = null;
+      logger.warn('TMDB API key not found. Set TMDB_API_KEY environment variable or in .env file');
+      logger.debug('Checked constants.TMDB_API_KEY:', constants.TMDB_API_KEY ? 'exists' : 'null');
+      logger.debug('Checked process.env.TMDB_API_KEY:', process.env.TMDB_API_KEY ? 'exists' : 'undefined');
+    }
+  }
+
+  /**
+   * Get all supported languages
+   */
+  getAllLanguages() {
+    return this.languages;
+  }
+
+  /**
+   * Resolve the provider's current domain (no-op unless the source moves around)
+   */
+  async resolveDomain() {}
+
+  /**
+   * Make HTTP request with retry logic
+   * Every attempt waits for the host's throttle slot; failures slow the host down
+   * and 429/503 responses count against the run-wide throttle budget.
+   * Retries use exponential backoff with jitter (or the server's Retry-After);
+   * 404/410 and other client errors fail immediately.
+   * In replay mode the archived response is returned instead (no network);
+   * in record mode successful responses are archived.
+   * @param {number} [attempts] - Total attempts
+   * @param {Object} [options] - { binary } returns a Buffer (e.g. .torrent attachments)
+   */
+  async fetchWithRetry(url, attempts = 3, { binary = false } = {}) {
+    if (httpArchive.isReplay()) {
+      const entry = await httpArchive.replay(url);
+      return binary && !Buffer.isBuffer(entry.body) ? Buffer.from(entry.body) : entry.body;
+    }
+
+    return retryRequest(async () => {
+      await this.throttle.acquire(url);
+      try {
+        const response = await axios.get(url, {
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'en-US,en;q=0.5'
+          },
+          timeout: 30000,
+          ...getAxiosProxyOptions('scraper'),
+          ...(binary && { responseType: 'arraybuffer' })
+        });
+        const body = binary ? Buffer.from(response.data) : response.data;
+        this.throttle.reportSuccess(url);
+        if (httpArchive.isRecording()) {
+          await httpArchive.record(url, {
+            body,
+            status: response.status,
+            finalUrl: response.request?.res?.responseUrl || url,
+            contentType: response.headers?.['content-type'] || null
+          });
+        }
+        return body;
+      } catch (error) {
+        this.throttle.reportFailure(url);
+        if (isThrottled(error)) {
+          this.throttle.reportThrottled(url, getRetryAfter(error));
+        }
+        throw error;
+      }
+    }, {
+      attempts,
+      baseDelay: this.requestDelay,
+      onRetry: (error, attempt, delay) => {
+        logger.warn(`Request failed (${getStatus(error) || error.code || error.message}), retrying in ${delay}ms (${attempt}/${attempts - 1}):`, url);
+      }
+    });
+  }
+
+  /**
+   * Delay helper
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Collect topic listings for a run
+   * @returns {Promise<Array>} - [{ title, url, href }]
+   */
+  async discoverListings() {
+    throw new Error(`${this.name} provider must implement discoverListings()`);
+  }
+
+  /**
+   * Scrape a topic page into content data (see class docs for the shape)
+   * @param {Object} [outcome] - Receives { reason, error } when null is returned
+   * @returns {Promise<Object|null>}
+   */
+  async scrapeContentDetails(contentUrl, originalTitle, outcome = {}) {
+    throw new Error(`${this.name} provider must implement scrapeContentDetails()`);
+  }
+
+  /**
+   * Extract magnet links with their descriptions from a topic page
+   * @returns {{ magnets: string[], descriptions: string[] }}
+   */
+  extractMagnetsWithDescriptions(html, $) {
+    throw new Error(`${this.name} provider must implement extractMagnetsWithDescriptions()`);
+  }
+
+  /**
+   * Topic index key for a listing, namespaced by provider so topic ids from
+   * different forums can't collide
+   * @returns {string|null}
+   */
+  getTopicKey(listing) {
+    const topicId = extractTopicId(listing.url);
+    return topicId ? `${this.id}:${topicId}` : null;
+  }
+
+  /**
+   * Scrape all movies and series from this provider's listings
+   * @param {boolean} skipCacheCheck - If true, skip checking cache before scraping
+   * @param {Object} [options]
+   * @param {ScrapeReport} [options.report] - Receives one outcome per listing
+   */
+  async scrapeAll(skipCacheCheck = false, { report = new ScrapeReport() } = {}) {
+    // Resolve latest domain before scraping
+    await this.resolveDomain();
+    
+    logger.info(`Starting full scrape from ${this.name}...`);
+    const result = {
+      catalogs: {},
+      movies: {},
+      series: {},
+      streams: {},
+      torrents: {}, // infoHash -> { name, trackers, totalSize, files } from .torrent attachments
+      aliases: {} // Merged-away or legacy content id -> surviving id
+    };
+
+    // Initialize catalogs for all languages
+    for (const language of this.languages) {
+      result.catalogs[language] = [];
+    }
+
+    // Step 1: Collect listings (provider-specific)
+    const listings = await this.discoverListings();
+    
+    if (listings.length === 0) {
+      throw createAbortError('no-listings', `No listings found on ${this.name}`);
+    }
+
+    // Import fileCache/topicIndex for checking existing movies/series
+    const fileCache = require('../cache/file-cache');
+    const topicIndex = require('../cache/topic-index');
+
+    // Fingerprints of every topic seen this run; committed by fileCache.setAll
+    result.topics = {};
+    const runStartedAt = new Date().toISOString(); // firstSeen of topics new this run (see getTopicFirstSeen)
+
+    // Step 2: Fetch topic pages concurrently (spacing per host is enforced in fetchWithRetry)
+    const limit = Math.min(listings.length, constants.SCRAPE_MAX_LISTINGS);
+    logger.info(`Fetching ${limit} topic pages (concurrency: ${constants.SCRAPE_CONCURRENCY})...`);
+    for (const listing of listings.slice(limit)) {
+      report.add({ provider: this.id, url: listing.url, title: listing.title, outcome: 'skipped', reason: 'listing-limit' });
+    }
+    const fetched = await mapWithConcurrency(listings.slice(0, limit), constants.SCRAPE_CONCURRENCY, async (listing, i) => {
+      logger.debug(`Fetching ${i + 1}/${limit}: ${listing.title.substring(0, 50)}...`);
+      
+      // Look up what we already cached for this topic (skip if skipCacheCheck is true)
+      const topicKey = this.getTopicKey(listing);
+      const knownTopic = skipCacheCheck
+        ? null
+        : await this.findCachedTopic(listing, topicKey, topicIndex, fileCache);
+      
+      const firstSeen = await this.getTopicFirstSeen(listing, topicKey, topicIndex, runStartedAt);
+      
+      const outcome = {};
+      const contentData = await this.scrapeContentDetails(listing.url, listing.title, outcome);
+      return { listing, topicKey, knownTopic, firstSeen, contentData, outcome };
+    });
+
+    // Step 3: Process each content item in listing order, so merges and
+    // catalog order don't depend on which fetch finished first
+    let processed = 0;
+    let updated = 0;
+    let skipped = 0;
+    let skippedCached = 0;
+
+    for (let i = 0; i < fetched.length; i++) {
+      const listing = listings[i];
+      const record = (outcome, details = {}) => report.add({
+        provider: this.id,
+        url: listing.url,
+        title: listing.title,
+        outcome,
+        ...details
+      });
+
+      try {
+        if (fetched[i].status === 'rejected') {
+          throw fetched[i].reason;
+        }
+        const { topicKey, knownTopic, firstSeen, contentData, outcome } = fetched[i].value;
+        
+        if (!contentData) {
+          // Keep serving the cached entry if the topic page can't be read this run
+          if (knownTopic && await this.carryForwardCachedTopic(result, knownTopic, fileCache)) {
+            result.topics[topicKey] = knownTopic;
+            skippedCached++;
+            record('unchanged', { reason: outcome.reason, error: outcome.error, id: knownTopic.id });
+          } else {
+            skipped++;
+            record(outcome.error ? 'failed' : 'skipped', { reason: outcome.reason || 'no-content', error: outcome.error });
+          }
+          continue;
+        }
+
+        // Unchanged topic (same magnet set and edit time): reuse the cached entry
+        const fingerprint = computeTopicFingerprint(contentData.streams, contentData.editedAt);
+        if (knownTopic && knownTopic.fingerprint === fingerprint &&
+            await this.carryForwardCachedTopic(result, knownTopic, fileCache)) {
+          logger.debug(`Skipping unchanged topic: ${listing.title.substring(0, 50)}... (ID: ${knownTopic.id})`);
+          result.topics[topicKey] = knownTopic;
+          skippedCached++;
+          record('unchanged', { id: knownTopic.id });
+          continue;
+        }
+
+        // Detect languages from original title (before normalization, which removes brackets/parentheses)
+        // Forum dates: the topic page's, else the listing row's. firstSeen
+        // sticks from the first run that scraped the topic.
+        contentData.postedAt = contentData.postedAt || listing.postedAt || null;
+        contentData.updatedAt = contentData.editedAt || listing.updatedAt || contentData.postedAt;
+        contentData.firstSeen = firstSeen;
+
+        // Use originalTitle from detail page, or fallback to listing title
+        const titleForDetection = contentData.originalTitle || contentData.title || listing.title;
+        const detectedLanguages = detectLanguagesFromTitle(titleForDetection);
+        if (detectedLanguages.length === 0) {
+          // Also try the original listing title as fallback
+          const fallbackLanguages = detectLanguagesFromTitle(listing.title);
+          if (fallbackLanguages.length > 0) {
+            detectedLanguages.push(...fallbackLanguages);
+          } else {
+            logger.warn(`No languages detected for: ${titleForDetection.substring(0, 100)}`);
+            skipped++;
+            record('skipped', { reason: 'no-languages' });
+            continue;
+          }
+        }
+
+        // Check if it's a series (use original title for detection)
+        const seriesInfo = detectSeriesFromTitle(titleForDetection);
+        let contentId;
+        
+        if (seriesInfo.isSeries) {
+          // Re-detect from detail page title to get accurate episode info
+          // The detail page title may have more accurate episode ranges than listing title
+          const detailPageTitle = contentData.originalTitle || contentData.title;
+          const detailSeriesInfo = detectSeriesFromTitle(detailPageTitle);
+          
+          // If detail page has episode info, use it (more accurate)
+          if (detailSeriesInfo.isSeries && detailSeriesInfo.episodes.length > 0) {
+            // Validate and update episode info
+            if (detailSeriesInfo.season === seriesInfo.season) {
+              // Same season, update episodes if different
+              if (seriesInfo.episodes.length !== detailSeriesInfo.episodes.length ||
+                  JSON.stringify(seriesInfo.episodes) !== JSON.stringify(detailSeriesInfo.episodes)) {
+                logger.warn(`Episode range mismatch for ${contentData.title}: listing=${seriesInfo.episodes.join(',')}, detail=${detailSeriesInfo.episodes.join(',')} - using detail page info`);
+                seriesInfo.episodes = detailSeriesInfo.episodes;
+              }
+            } else {
+              // Season mismatch - use detail page info
+              logger.warn(`Season mismatch for ${contentData.title}: listing=S${seriesInfo.season}, detail=S${detailSeriesInfo.season} - using detail page info`);
+              seriesInfo.season = detailSeriesInfo.season;
+              seriesInfo.episodes = detailSeriesInfo.episodes;
+            }
+          } else if (contentData.description) {
+            // Fallback: Try to extract episode info from description
+            const descEpisodeInfo = extractEpisodeRangeFromDescription(contentData.description);
+            if (descEpisodeInfo && descEpisodeInfo.episodes.length > 0) {
+              if (descEpisodeInfo.season === seriesInfo.season) {
+                // Same season, update episodes if different
+                if (seriesInfo.episodes.length !== descEpisodeInfo.episodes.length ||
+                    JSON.stringify(seriesInfo.episodes) !== JSON.stringify(descEpisodeInfo.episodes)) {
+                  logger.warn(`Episode range mismatch for ${contentData.title}: title=${seriesInfo.episodes.join(',')}, description=${descEpisodeInfo.episodes.join(',')} - using description info`);
+                  seriesInfo.episodes = descEpisodeInfo.episodes;
+                }
+              } else {
+                // Season mismatch - use description info
+                logger.warn(`Season mismatch for ${contentData.title}: title=S${seriesInfo.season}, description=S${descEpisodeInfo.season} - using description info`);
+                seriesInfo.season = descEpisodeInfo.season;
+                seriesInfo.episodes = descEpisodeInfo.episodes;
+              }
+            }
+          }
+          
+          // Handle series (keep the cached ID when the topic was seen before)
+          const seriesId = knownTopic?.type === 'series'
+            ? knownTopic.id
+            : generateSeriesId(contentData.title);
+
+          // A topic cached under an old per-season ID moves onto the show's
+          // entry; alias the old ID so Stremio library items keep resolving
+          const indexedTopic = skipCacheCheck ? null : await topicIndex.get(topicKey);
+          if (indexedTopic?.type === 'series' && LEGACY_SERIES_ID.test(indexedTopic.id)) {
+            result.aliases[indexedTopic.id] = seriesId;
+          }
+
+          // Accumulate every episode (all seasons) already known for this show,
+          // from earlier topics in this run or from the cache. A full
+          // replacement starts from an empty cache, so only merge within the run.
+          const existingSeries = result.series[seriesId] ||
+            (skipCacheCheck ? null : await fileCache.getSeries(seriesId));
+          const episodesBySeason = Object.fromEntries(existingSeries ? getEpisodesBySeason(existingSeries) : []);
+          const cachedEpisodes = episodesBySeason[seriesInfo.season] || [];
+          const newEpisodes = seriesInfo.episodes.filter(ep => !cachedEpisodes.includes(ep));
+          episodesBySeason[seriesInfo.season] = [...cachedEpisodes, ...newEpisodes];
+          
+          contentData.id = seriesId;
+          contentData.season = seriesInfo.season;
+          contentData.episodesBySeason = episodesBySeason;
+          contentData.languages = [...new Set([...(existingSeries?.languages || []), ...detectedLanguages])];
+          contentData.type = 'series';
+          if (existingSeries) Object.assign(contentData, mergeTopicDates(contentData, existingSeries));
+          
+          // Store series metadata
+          result.series[seriesId] = structureSeriesForMeta(contentData);
+          
+          // Store episode streams.
+          // Match each scraped stream to an episode number using its magnet
+          // display name / description. Streams that carry no episode marker are
+          // treated as season packs and offered on every episode as a fallback.
+          const allStreams = contentData.streams || [];
+          const streamsByEpisode = new Map();
+          const sharedStreams = [];
+          for (const stream of allStreams) {
+            const epFromMagnet = extractEpisodeFromText(stream.externalUrl || '');
+            const epFromDesc = epFromMagnet == null
+              ? extractEpisodeFromText(stream.description || '')
+              : null;
+            const ep = epFromMagnet != null ? epFromMagnet : epFromDesc;
+            if (ep != null) {
+              if (!streamsByEpisode.has(ep)) streamsByEpisode.set(ep, []);
+              streamsByEpisode.get(ep).push(stream);
+            } else {
+              sharedStreams.push(stream);
+            }
+          }
+
+          for (const episode of seriesInfo.episodes) {
+            const episodeStreamId = generateEpisodeStreamId(seriesId, seriesInfo.season, episode);
+            const matched = streamsByEpisode.get(episode) || [];
+            // Prefer episode-specific streams; fall back to shared/season-pack
+            // streams so an episode is never left with nothing to play.
+            const episodeStreams = matched.length > 0 ? matched : sharedStreams;
+            // Tag with a per-series+season binge group so Stremio auto-plays next.
+            // Packs from .torrent attachments also get the episode's fileIdx.
+            const tagged = episodeStreams.map(stream => ({
+              ...stream,
+              ...episodeFileHint(contentData.torrents, stream, seriesInfo.season, episode),
+              behaviorHints: {
+                ...(stream.behaviorHints || {}),
+                bingeGroup: `indiastreamz-${seriesId}-s${seriesInfo.season}-${stream.name || 'default'}`
+              }
+            }));
+            const existingStreams = result.streams[episodeStreamId] ||
+              (skipCacheCheck ? null : await fileCache.getStreams(episodeStreamId));
+            result.streams[episodeStreamId] = mergeStreams(existingStreams || [], tagged);
+          }
+          
+          // Add to language catalogs
+          this.addToCatalogs(result, structureSeriesForCatalog(contentData), contentData.languages);
+          contentId = seriesId;
+          
+          if (existingSeries) {
+            logger.success(`Updated series: ${contentData.title} (S${seriesInfo.season}, ${newEpisodes.length} new of ${episodesBySeason[seriesInfo.season].length} episodes)`);
+          } else {
+            logger.success(`Added series: ${contentData.title} (S${seriesInfo.season}, ${seriesInfo.episodes.length} episodes) to ${detectedLanguages.length} languages`);
+          }
+        } else {
+          // Handle movie (keep the cached ID when the topic was seen before)
+          const movieId = knownTopic?.type === 'movie'
+            ? knownTopic.id
+            : generateMovieId(contentData.title, detectedLanguages);
+          
+          contentData.id = movieId;
+          contentData.languages = detectedLanguages;
+          contentData.type = 'movie';
+          contentData.titleKey = movieTitleKey(contentData.originalTitle || contentData.title);
+          
+          // Store movie metadata
+          result.movies[movieId] = structureMovieForMeta(contentData);
+          
+          // Store streams, keeping cached rips the topic still lists or no longer shows
+          const existingStreams = result.streams[movieId] ||
+            (skipCacheCheck ? null : await fileCache.getStreams(movieId));
+          result.streams[movieId] = mergeStreams(existingStreams || [], contentData.streams || []);
+          
+          // Add to language catalogs
+          this.addToCatalogs(result, structureMovieForCatalog(contentData), detectedLanguages);
+          contentId = movieId;
+          
+          if (existingStreams) {
+            logger.success(`Updated movie: ${contentData.title} (${result.streams[movieId].length} streams)`);
+          } else {
+            logger.success(`Added movie: ${contentData.title} to ${detectedLanguages.length} languages`);
+          }
+        }
+
+        Object.assign(result.torrents, contentData.torrents);
+
+        if (topicKey) {
+          result.topics[topicKey] = {
+            id: contentId,
+            type: contentData.type,
+            languages: contentData.languages,
+            fingerprint,
+            editedAt: contentData.editedAt || null,
+            postedAt: contentData.postedAt,
+            firstSeen: contentData.firstSeen,
+            url: listing.url,
+            scrapedAt: new Date().toISOString(),
+            ...(contentData.titleKey && { titleKey: contentData.titleKey })
+          };
+        }
+        
+        processed++;
+        if (knownTopic) updated++;
+        record(knownTopic ? 'updated' : 'added', { id: contentId });
+      } catch (error) {
+        logger.error(`Error processing content item ${i + 1}:`, error.message);
+        skipped++;
+        record('failed', { reason: 'processing-error', error: error.message });
+        // Continue with next item
+      }
+    }
+
+    logger.success(`Phase 1 completed: ${processed} processed (${updated} changed topics), ${skipped} skipped, ${skippedCached} skipped (unchanged)`);
+    logger.info(`Movies: ${Object.keys(result.movies).length}, Series: ${Object.keys(result.series).length}`);
+    
+    // Phase 2: Batch TMDB Enrichment
+    const hasNewContent = Object.keys(result.movies).length > 0 || Object.keys(result.series).length > 0;
+    if (this.tmdbClient && hasNewContent) {
+      logger.info('Starting Phase 2: Batch TMDB enrichment...');
+      await this.enrichWithTMDB(result, report);
+    } else if (!this.tmdbClient) {
+      logger.warn('TMDB client not available (no API key), skipping enrichment');
+    }
+    // Carried-forward items enriched before newer TMDB fields existed
+    await this.backfillTmdbFields(result);
+
+    // Phase 3: one entry per film and per show, even when their topics got different IDs
+    await this.mergeMoviesByIdentity(result, { skipCacheCheck, report });
+    await this.mergeSeriesByTmdbId(result, { skipCacheCheck, report });
+    for (const [topicKey, entry] of Object.entries(result.topics)) {
+      const content = result.movies[entry.id] || result.series[entry.id];
+      if (content?.tmdbId) {
+        result.topics[topicKey] = { ...entry, tmdbId: content.tmdbId };
+      }
+    }
+    
+    // Qualities on offer per item, for the catalog `quality` filter
+    await this.annotateCatalogQualities(result, { skipCacheCheck });
+
+    // Newest topics first; log catalog stats
+    for (const [lang, items] of Object.entries(result.catalogs)) {
+      items.sort(compareNewestFirst);
+      if (items.length > 0) {
+        logger.info(`${lang} catalog: ${items.length} items`);
+      }
+    }
+
+    logger.success(`Scrape completed: ${processed} processed (${updated} changed topics), ${skipped} skipped, ${skippedCached} skipped (unchanged)`);
+    return result;
+  }
+
+  /**
+   * When a topic was first seen, from its topic index entry (looked up even
+   * when the unchanged check is skipped, so full replaces keep the stamp)
+   * Replayed runs take the archived page's recording time instead, so the
+   * same archive always gives the same output.
+   * @returns {Promise<string|null>} - runStartedAt for topics new this run; null when replaying an undated page
+   */
+  async getTopicFirstSeen(listing, topicKey, topicIndex, runStartedAt) {
+    if (httpArchive.isReplay()) {
+      const entry = await httpArchive.lookup(listing.url);
+      return entry?.recordedAt || null;
+    }
+    const indexed = await topicIndex.get(topicKey);
+    return indexed?.firstSeen || indexed?.scrapedAt || runStartedAt;
+  }
+
+  /**
+   * Find the cached entry for a listing's topic, if its content is still cached
+   * Movies cached before the topic index existed are matched by the ID their
+   * listing title would generate (fingerprint null, so they get re-scraped once).
+   * Series cached under the old per-season IDs are treated as new, so they get
+   * re-scraped into their show-level entry.
+   * @returns {Promise<Object|null>} - Topic index entry
+   */
+  async findCachedTopic(listing, topicKey, topicIndex, fileCache) {
+    const indexed = await topicIndex.get(topicKey);
+    if (indexed) {
+      if (indexed.type === 'series' && LEGACY_SERIES_ID.test(indexed.id)) return null;
+      return (await fileCache.hasMovie(indexed.id)) ? indexed : null;
+    }
+
+    const languages = detectLanguagesFromTitle(listing.title);
+    if (languages.length === 0 || detectSeriesFromTitle(listing.title).isSeries) return null;
+
+    const id = generateMovieId(listing.title, languages);
+    if (!(await fileCache.hasMovie(id))) return null;
+
+    return { id, type: 'movie', languages, fingerprint: null };
+  }
+
+  /**
+   * Fold movie topics that refer to the same film (separate 4K, 1080p and
+   * "ORG audio" topics) into a single movie. Movies match on their TMDB id,
+   * or without one on their title key (name + year, see movieTitleKey).
+   * The surviving ID is the one already cached for that film (looked up in the
+   * topic index), else the first one seen this run. Streams, languages,
+   * catalog entries and topic mappings of the others move onto it, and their
+   * IDs are recorded as aliases so Stremio library entries keep resolving.
+   * @param {Object} result - Scraped data result object (modified in place)
+   * @param {Object} [options]
+   * @param {boolean} [options.skipCacheCheck] - Only merge within this run
+   * @param {ScrapeReport} [options.report] - Items are re-pointed at the surviving ID
+   */
+  async mergeMoviesByIdentity(result, { skipCacheCheck = false, report = null } = {}) {
+    const fileCache = require('../cache/file-cache');
+    const topicIndex = require('../cache/topic-index');
+    const survivorByKey = new Map(); // 'tmdb:<id>' | 'title:<key>' -> movie id
+    const titleKeys = new Map();
+    for (const entry of Object.values(result.topics)) {
+      if (entry.type === 'movie' && entry.titleKey) titleKeys.set(entry.id, entry.titleKey);
+    }
+    const languagesOf = id => Object.entries(result.catalogs)
+      .filter(([, catalog]) => catalog.some(item => item.id === id))
+      .map(([lang]) => lang);
+    let merged = 0;
+
+    for (const [movieId, movie] of Object.entries(result.movies)) {
+      const titleKey = titleKeys.get(movieId) || null;
+      // A TMDB match is authoritative: same name + year but another TMDB id is another film
+      const key = movie.tmdbId ? `tmdb:${movie.tmdbId}` : (titleKey ? `title:${titleKey}` : null);
+      if (!key) continue;
+
+      if (!survivorByKey.has(key)) {
+        const indexed = skipCacheCheck ? null : (movie.tmdbId
+          ? await topicIndex.findByTmdbId('movie', movie.tmdbId)
+          : await topicIndex.findByTitleKey('movie', titleKey));
+        const useIndexed = indexed && indexed.id !== movieId && await fileCache.hasMovie(indexed.id);
+        survivorByKey.set(key, useIndexed ? indexed.id : movieId);
+      }
+      const targetId = survivorByKey.get(key);
+      // Untagged copies of a TMDB-matched film find it by title too
+      if (movie.tmdbId && titleKey && !survivorByKey.has(`title:${titleKey}`)) {
+        survivorByKey.set(`title:${titleKey}`, targetId);
+      }
+      if (targetId === movieId) continue;
+
+      const target = result.movies[targetId] || await fileCache.getMovie(targetId);
+      if (!target) continue;
+
+      const languages = [...new Set([...languagesOf(targetId), ...languagesOf(movieId)])];
+      const mergedMovie = mergeMovieMeta(target, movie, languages);
+      result.movies[targetId] = mergedMovie;
+      delete result.movies[movieId];
+
+      const existing = result.streams[targetId] ||
+        (skipCacheCheck ? null : await fileCache.getStreams(targetId));
+      result.streams[targetId] = mergeStreams(existing || [], result.streams[movieId] || []);
+      delete result.streams[movieId];
+
+      for (const catalog of Object.values(result.catalogs)) {
+        const index = catalog.findIndex(item => item.id === movieId);
+        if (index >= 0) catalog.splice(index, 1);
+      }
+      this.addToCatalogs(result, structureMovieForCatalog(mergedMovie), languages);
+
+      for (const [topicKey, entry] of Object.entries(result.topics)) {
+        if (entry.id === movieId) {
+          result.topics[topicKey] = { ...entry, id: targetId, languages };
+        }
+      }
+      for (const [aliasId, aliasTarget] of Object.entries(result.aliases)) {
+        if (aliasTarget === movieId) result.aliases[aliasId] = targetId;
+      }
+      result.aliases[movieId] = targetId;
+      report?.reassignId(movieId, targetId);
+
+      logger.info(`Merged movie ${movieId} into ${targetId} (${key})`);
+      merged++;
+    }
+
+    if (merged > 0) {
+      logger.success(`Merged ${merged} duplicate movie topics`);
+    }
+  }
+
+  /**
+   * Fold series that TMDB matched to the same show into a single entry.
+   * The surviving ID is the one already cached for that TMDB id (looked up in
+   * the topic index), else the first one seen this run. Episodes, episode
+   * streams, catalog entries and topic mappings of the others move onto it,
+   * and their IDs are recorded as aliases.
+   * @param {Object} result - Scraped data result object (modified in place)
+   * @param {Object} [options]
+   * @param {boolean} [options.skipCacheCheck] - Only merge within this run
+   * @param {ScrapeReport} [options.report] - Items are re-pointed at the surviving ID
+   */
+  async mergeSeriesByTmdbId(result, { skipCacheCheck = false, report = null } = {}) {
+    const fileCache = require('../cache/file-cache');
+    const topicIndex = require('../cache/topic-index');
+    const survivorByTmdbId = new Map();
+    let merged = 0;
+
+    for (const [seriesId, series] of Object.entries(result.series)) {
+      const tmdbId = series.tmdbId;
+      if (!tmdbId) continue;
+
+      if (!survivorByTmdbId.has(tmdbId)) {
+        const indexed = skipCacheCheck ? null : await topicIndex.findByTmdbId('series', tmdbId);
+        const useIndexed = indexed && indexed.id !== seriesId && await fileCache.hasMovie(indexed.id);
+        survivorByTmdbId.set(tmdbId, useIndexed ? indexed.id : seriesId);
+      }
+      const targetId = survivorByTmdbId.get(tmdbId);
+      if (targetId === seriesId) continue;
+
+      const target = result.series[targetId] || await fileCache.getSeries(targetId);
+      if (!target) continue;
+
+      const mergedSeries = mergeSeriesMeta(target, series);
+      result.series[targetId] = mergedSeries;
+      delete result.series[seriesId];
+
+      // Episode streams: "<seriesId>:<season>:<episode>" -> "<targetId>:<season>:<episode>"
+      for (const key of Object.keys(result.streams)) {
+        if (!key.startsWith(`${seriesId}:`)) continue;
+        const targetKey = `${targetId}${key.slice(seriesId.length)}`;
+        const existing = result.streams[targetKey] ||
+          (skipCacheCheck ? null : await fileCache.getStreams(targetKey));
+        result.streams[targetKey] = mergeStreams(existing || [], result.streams[key]);
+        delete result.streams[key];
+      }
+
+      for (const catalog of Object.values(result.catalogs)) {
+        const index = catalog.findIndex(item => item.id === seriesId);
+        if (index >= 0) catalog.splice(index, 1);
+      }
+      this.addToCatalogs(result, structureSeriesForCatalog(mergedSeries), mergedSeries.languages);
+
+      for (const [topicKey, entry] of Object.entries(result.topics)) {
+        if (entry.id === seriesId) {
+          result.topics[topicKey] = { ...entry, id: targetId, languages: mergedSeries.languages };
+        }
+      }
+      for (const [aliasId, aliasTarget] of Object.entries(result.aliases)) {
+        if (aliasTarget === seriesId) result.aliases[aliasId] = targetId;
+      }
+      result.aliases[seriesId] = targetId;
+      report?.reassignId(seriesId, targetId);
+
+      logger.info(`Merged series ${seriesId} into ${targetId} (TMDB ${tmdbId})`);
+      merged++;
+    }
+
+    if (merged > 0) {
+      logger.success(`Merged ${merged} series into existing shows by TMDB id`);
+    }
+  }
+
+  /**
+   * Copy a cached topic's catalog entries into this run's catalogs, since
+   * setAll rewrites each language catalog from the result. Entries cached
+   * before a catalog field existed are rebuilt from the cached meta.
+   * @returns {Promise<boolean>} - false when no cached catalog entry was found
+   */
+  async carryForwardCachedTopic(result, knownTopic, fileCache) {
+    let found = false;
+    for (const lang of knownTopic.languages || []) {
+      const catalog = await fileCache.getCatalog(lang);
+      let item = Array.isArray(catalog) ? catalog.find(entry => entry.id === knownTopic.id) : null;
+      if (!item) continue;
+
+      if (BACKFILLED_CATALOG_FIELDS.some(field => !(field in item))) {
+        const meta = await fileCache.getMovie(item.id);
+        if (meta) {
+          const structure = item.type === 'series' ? structureSeriesForCatalog : structureMovieForCatalog;
+          item = { ...item, ...structure(meta) };
+        }
+      }
+      this.addToCatalogs(result, item, [lang]);
+      found = true;
+    }
+    return found;
+  }
+
+  /**
+   * Fill TMDB fields added since cached metas were enriched (see
+   * BACKFILLED_TMDB_FIELDS) on carried-forward items matched to TMDB, by
+   * fetching their details again by TMDB id. The updated metas and catalog
+   * entries are written with this run. At most TMDB_BACKFILL_MAX_ITEMS are
+   * fetched per run, TMDB_BACKFILL_CONCURRENCY at a time; the rest stay
+   * pending for later runs.
+   * @param {Object} result - Scraped data result object (modified in place)
+   */
+  async backfillTmdbFields(result) {
+    if (!this.tmdbClient) return;
+    const fileCache = require('../cache/file-cache');
+
+    const pending = new Map();
+    for (const items of Object.values(result.catalogs)) {
+      for (const item of items) {
+        if (pending.has(item.id) || result.movies[item.id] || result.series[item.id]) continue;
+        const meta = await fileCache.getMovie(item.id);
+        if (meta?.tmdbId && BACKFILLED_TMDB_FIELDS.some(field => !(field in meta))) {
+          pending.set(item.id, meta);
+        }
+      }
+    }
+    if (pending.size === 0) return;
+
+    const batch = [...pending.values()].slice(0, constants.TMDB_BACKFILL_MAX_ITEMS);
+    logger.info(`Backfilling TMDB fields on ${batch.length} of ${pending.size} cached items...`);
+    const fetched = await mapWithConcurrency(batch, constants.TMDB_BACKFILL_CONCURRENCY, async (meta) => {
+      const isSeries = meta.type === 'series';
+      const details = isSeries
+        ? await this.tmdbClient.getTVDetails(meta.tmdbId)
+        : await this.tmdbClient.getMovieDetails(meta.tmdbId);
+      const tmdbMetadata = isSeries
+        ? this.tmdbClient.extractTVMetadata(details)
+        : this.tmdbClient.extractMetadata(details);
+      if (!tmdbMetadata) return null;
+
+      // null (not missing) once fetched, so the item isn't fetched again
+      const backfilled = { ...meta };
+      for (const field of BACKFILLED_TMDB_FIELDS) {
+        backfilled[field] = tmdbMetadata[field] ?? null;
+      }
+      return backfilled;
+    });
+
+    let filled = 0;
+    for (const { status, value: meta, reason } of fetched) {
+      if (status === 'rejected') {
+        logger.debug('TMDB backfill failed:', reason.message);
+        continue;
+      }
+      if (!meta) continue;
+      const isSeries = meta.type === 'series';
+      (isSeries ? result.series : result.movies)[meta.id] = meta;
+      const structure = isSeries ? structureSeriesForCatalog : structureMovieForCatalog;
+      for (const items of Object.values(result.catalogs)) {
+        const index = items.findIndex(item => item.id === meta.id);
+        if (index >= 0) items[index] = { ...items[index], ...structure(meta) };
+      }
+      filled++;
+    }
+    logger.success(`Backfilled TMDB fields on ${filled} of ${batch.length} cached items`);
+  }
+
+  /**
+   * Record on each catalog item the resolutions and HDR formats its streams
+   * offer (see summarizeStreamQualities). Items scraped this run are always
+   * recomputed; carried-forward items only when cached before this existed.
+   * @param {Object} result - Scraped data result object
+   * @param {Object} [options]
+   * @param {boolean} [options.skipCacheCheck] - Don't read streams from the cache
+   */
+  async annotateCatalogQualities(result, { skipCacheCheck = false } = {}) {
+    const fileCache = require('../cache/file-cache');
+    const getStreams = async (id) => result.streams[id] || (skipCacheCheck ? null : await fileCache.getStreams(id));
+    const summaries = new Map();
+
+    for (const [lang, items] of Object.entries(result.catalogs)) {
+      for (let i = 0; i < items.length; i++) {
+        const item = items[i];
+        const scraped = Boolean(result.movies[item.id] || result.series[item.id]);
+        if (!scraped && Array.isArray(item.qualities)) continue;
+
+        if (!summaries.has(item.id)) {
+          let streams = [];
+          if (item.type === 'series') {
+            const seriesData = result.series[item.id] || (skipCacheCheck ? null : await fileCache.getSeries(item.id));
+            for (const [season, episodes] of getEpisodesBySeason(seriesData || {})) {
+              for (const episode of episodes) {
+                streams.push(...(await getStreams(generateEpisodeStreamId(item.id, season, episode)) || []));
+              }
+            }
+          } else {
+            streams = await getStreams(item.id) || [];
+          }
+          summaries.set(item.id, summarizeStreamQualities(streams));
+        }
+        // Carried-forward items are the cache's own objects: replace, don't mutate
+        result.catalogs[lang][i] = { ...item, ...summaries.get(item.id) };
+      }
+    }
+  }
+
+  /**
+   * Add (or replace, by id) a catalog item in each language catalog
+   */
+  addToCatalogs(result, item, languages) {
+    for (const lang of languages) {
+      const catalog = result.catalogs[lang];
+      if (!catalog) continue;
+      const index = catalog.findIndex(entry => entry.id === item.id);
+      if (index >= 0) {
+        catalog[index] = item;
+      } else {
+        catalog.push(item);
+      }
+    }
+  }
+
+  /**
+   * Phase 2: Batch enrich all movies with TMDB metadata
+   * @param {Object} result - Scraped data result object
+   * @param {ScrapeReport} [report] - Receives the TMDB status of each movie
+   */
+  async enrichWithTMDB(result, report = null) {
+    if (!this.tmdbClient) {
+      logger.warn('TMDB client not available, skipping enrichment');
+      return;
+    }
+
+    try {
+      const movies = Object.values(result.movies);
+      const movieIds = Object.keys(result.movies);
+      
+      if (movies.length === 0) {
+        // Incremental runs often only touch series; still enrich those
+        logger.debug('No movies to enrich with TMDB');
+        await this.enrichSeriesWithTMDB(result, report);
+        return;
+      }
+
+      logger.info(`Enriching ${movies.length} movies with TMDB metadata...`);
+
+      // Step 1: Prepare all movies for TMDB search with variations
+      const searchPromises = movies.map((movieData, index) => {
+        const movieId = movieIds[index];
+        // Get title from movieData - it might be in 'name' (from structureMovieForMeta) or 'title' (from contentData)
+        const title = movieData.name || movieData.title || '';
+        
+        // Clean title for TMDB search (this also extracts year)
+        const { cleanTitle, year: extractedYear } = cleanTitleForTMDB(title);
+        // Use year from movieData if available, otherwise use extracted year
+        const searchYear = movieData.year || extractedYear;
+
+        // Use searchMovieWithVariations instead of searchMovie for better matching
+        return this.tmdbClient.searchMovieWithVariations(cleanTitle, searchYear)
+          .then(searchResults => ({
+            movieId,
+            movieData,
+            searchResults,
+            cleanTitle,
+            searchYear,
+            originalTitle: title
+          }))
+          .catch(error => {
+            logger.debug(`TMDB search failed for "${cleanTitle}":`, error.message);
+            return { movieId, movieData, searchResults: null, cleanTitle, searchYear, originalTitle: title };
+          });
+      });
+
+      // Step 2: Batch search TMDB (all in parallel)
+      logger.debug('Batch searching TMDB for all movies...');
+      const searchResults = await Promise.allSettled(searchPromises);
+      
+      // Step 3: Find best matches and prepare detail fetches
+      const detailPromises = [];
+      const enrichedMovies = {};
+
+      searchResults.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          const { movieId, movieData, searchResults: tmdbResults, cleanTitle, searchYear, originalTitle } = result.value;
+          
+          if (!tmdbResults || tmdbResults.length === 0) {
+            // No TMDB results, keep original movie data
+            enrichedMovies[movieId] = movieData;
+            report?.setTmdb(movieId, tmdbResults ? 'no-match' : 'error');
+            return;
+          }
+
+          // Find best match (use originalTitle if available, otherwise cleanTitle)
+          const titleForMatching = originalTitle || cleanTitle;
+          const bestMatch = this.tmdbClient.findBestMatch(tmdbResults, titleForMatching, searchYear);
+          
+          if (!bestMatch || !bestMatch.id) {
+            // No good match, keep original
+            enrichedMovies[movieId] = movieData;
+            report?.setTmdb(movieId, 'no-match');
+            return;
+          }
+
+          // Fetch movie details
+          detailPromises.push(
+            this.tmdbClient.getMovieDetails(bestMatch.id)
+              .then(tmdbDetails => ({
+                movieId,
+                movieData,
+                tmdbDetails,
+                tmdbId: bestMatch.id
+              }))
+              .catch(error => {
+                logger.debug(`TMDB details fetch failed for ID ${bestMatch.id}:`, error.message);
+                return { movieId, movieData, tmdbDetails: null, tmdbId: bestMatch.id };
+              })
+          );
+        } else {
+          // Search failed, keep original
+          const movieId = movieIds[index];
+          enrichedMovies[movieId] = movies[index];
+          report?.setTmdb(movieId, 'error');
+        }
+      });
+
+      // Step 4: Batch fetch details (all in parallel)
+      if (detailPromises.length > 0) {
+        logger.debug(`Fetching TMDB details for ${detailPromises.length} movies...`);
+        const detailResults = await Promise.allSettled(detailPromises);
+
+        // Step 5: Enrich all movies with TMDB data
+        let successCount = 0;
+        let failCount = 0;
+
+        detailResults.forEach(result => {
+          if (result.status === 'fulfilled') {
+            const { movieId, movieData, tmdbDetails, tmdbId } = result.value;
+            
+            if (!tmdbDetails) {
+              // Details fetch failed, keep original
+              enrichedMovies[movieId] = movieData;
+              report?.setTmdb(movieId, 'error');
+              failCount++;
+              return;
+            }
+
+            // Extract metadata from TMDB
+            const tmdbMetadata = this.tmdbClient.extractMetadata(tmdbDetails);
+            
+            if (tmdbMetadata) {
+              // Merge TMDB metadata with existing movie data
+              const enriched = {
+                ...movieData,
+                poster: tmdbMetadata.poster || movieData.poster,
+                background: tmdbMetadata.background || movieData.background,
+                genres: tmdbMetadata.genres.length > 0 ? tmdbMetadata.genres : movieData.genres,
+                imdbRating: tmdbMetadata.imdbRating || movieData.imdbRating,
+                description: tmdbMetadata.description || movieData.description,
+                cast: tmdbMetadata.cast.length > 0 ? tmdbMetadata.cast : movieData.cast,
+                director: tmdbMetadata.director.length > 0 ? tmdbMetadata.director : movieData.director,
+                runtime: tmdbMetadata.runtime || movieData.runtime,
+                releaseInfo: tmdbMetadata.releaseInfo || movieData.releaseInfo,
+                tmdbId: tmdbMetadata.tmdbId,
+                tmdbTitle: tmdbMetadata.tmdbTitle || null, // Store TMDB title for prioritization
+                tmdbOriginalTitle: tmdbMetadata.tmdbOriginalTitle || movieData.tmdbOriginalTitle,
+                alternativeTitles: tmdbMetadata.alternativeTitles || movieData.alternativeTitles,
+                certification: tmdbMetadata.certification || movieData.certification,
+                // New enriched fields
+                released: tmdbMetadata.released || movieData.released,
+                tagline: tmdbMetadata.tagline || movieData.tagline,
+                country: tmdbMetadata.country || movieData.country,
+                writer: tmdbMetadata.writer || movieData.writer,
+                trailers: tmdbMetadata.trailers || movieData.trailers,
+                popularity: tmdbMetadata.popularity || movieData.popularity,
+                voteCount: tmdbMetadata.voteCount || movieData.voteCount,
+                productionCompanies: tmdbMetadata.productionCompanies || movieData.productionCompanies,
+                spokenLanguages: tmdbMetadata.spokenLanguages || movieData.spokenLanguages,
+                originalLanguage: tmdbMetadata.originalLanguage || movieData.originalLanguage,
+                website: tmdbMetadata.website || movieData.website || movieData.url
+              };
+
+              enrichedMovies[movieId] = enriched;
+              report?.setTmdb(movieId, 'matched');
+              successCount++;
+            } else {
+              enrichedMovies[movieId] = movieData;
+              report?.setTmdb(movieId, 'error');
+              failCount++;
+            }
+          } else {
+            // Details fetch failed, keep original
+            const movieId = result.value?.movieId || movieIds[detailResults.indexOf(result)];
+            enrichedMovies[movieId] = movies.find(m => m.id === movieId) || movies[detailResults.indexOf(result)];
+            report?.setTmdb(movieId, 'error');
+            failCount++;
+          }
+        });
+
+        // Update result.movies with enriched versions
+        result.movies = enrichedMovies;
+
+        // Update catalog entries with enriched metadata
+        for (const [lang, catalogItems] of Object.entries(result.catalogs)) {
+          for (let i = 0; i < catalogItems.length; i++) {
+            const catalogItem = catalogItems[i];
+            if (catalogItem.type === 'movie' && enrichedMovies[catalogItem.id]) {
+              const enriched = enrichedMovies[catalogItem.id];
+              catalogItems[i] = structureMovieForCatalog(enriched);
+            }
+          }
+        }
+
+        logger.info(`TMDB Enrichment Summary: ${successCount} successful, ${failCount} failed out of ${movies.length} movies`);
+        logger.success(`TMDB enrichment completed: ${successCount} successful, ${failCount} failed`);
+      } else {
+        // No movies matched, keep originals
+        result.movies = enrichedMovies;
+        logger.warn('No TMDB matches found for any movies');
+      }
+    } catch (error) {
+      logger.error('Error during TMDB enrichment:', error.message);
+      logger.warn('Continuing with unenriched data');
+      // Don't throw - continue with original data
+    }
+
+    // Enrich series if available
+    if (this.tmdbClient && Object.keys(result.series).length > 0) {
+      logger.info('Starting Series TMDB enrichment...');
+      await this.enrichSeriesWithTMDB(result, report);
+    }
+  }
+
+  /**
+   * Phase 2b: Batch enrich all series with TMDB metadata
+   * @param {Object} result - Scraped data result object
+   * @param {ScrapeReport} [report] - Receives the TMDB status of each series
+   */
+  async enrichSeriesWithTMDB(result, report = null) {
+    if (!this.tmdbClient) {
+      logger.warn('TMDB client not available, skipping series enrichment');
+      return;
+    }
+
+    try {
+      const series = Object.values(result.series);
+      const seriesIds = Object.keys(result.series);
+      
+      if (series.length === 0) {
+        logger.debug('No series to enrich with TMDB');
+        return;
+      }
+
+      logger.info(`Enriching ${series.length} series with TMDB metadata...`);
+
+      // Step 1: Prepare all series for TMDB search with variations
+      const searchPromises = series.map((seriesData, index) => {
+        const seriesId = seriesIds[index];
+        // Get title from seriesData - it might be in 'name' (from structureSeriesForMeta) or 'title' (from contentData)
+        const title = seriesData.name || seriesData.title || '';
+        
+        // Clean title for TMDB search (this also extracts year)
+        const { cleanTitle, year: extractedYear } = cleanTitleForTMDB(title);
+        // Use year from seriesData if available, otherwise use extracted year
+        const searchYear = seriesData.year || extractedYear;
+
+        // Use searchTVWithVariations for better matching
+        return this.tmdbClient.searchTVWithVariations(cleanTitle, searchYear)
+          .then(searchResults => ({
+            seriesId,
+            seriesData,
+            searchResults,
+            cleanTitle,
+            searchYear,
+            originalTitle: title
+          }))
+          .catch(error => {
+            logger.debug(`TMDB TV search failed for "${cleanTitle}":`, error.message);
+            return { seriesId, seriesData, searchResults: null, cleanTitle, searchYear, originalTitle: title };
+          });
+      });
+
+      // Step 2: Batch search TMDB (all in parallel)
+      logger.debug('Batch searching TMDB for all series...');
+      const searchResults = await Promise.allSettled(searchPromises);
+      
+      // Step 3: Find best matches and prepare detail fetches
+      const detailPromises = [];
+      const enrichedSeries = {};
+
+      searchResults.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          const { seriesId, seriesData, searchResults: tmdbResults, cleanTitle, searchYear, originalTitle } = result.value;
+          
+          if (!tmdbResults || tmdbResults.length === 0) {
+            // No TMDB results, keep original series data
+            enrichedSeries[seriesId] = seriesData;
+            report?.setTmdb(seriesId, tmdbResults ? 'no-match' : 'error');
+            return;
+          }
+
+          // Find best match (use originalTitle if available, otherwise cleanTitle)
+          const titleForMatching = originalTitle || cleanTitle;
+          const bestMatch = this.tmdbClient.findBestTVMatch(tmdbResults, titleForMatching, searchYear);
+          
+          if (!bestMatch || !bestMatch.id) {
+            // No good match, keep original
+            enrichedSeries[seriesId] = seriesData;
+            report?.setTmdb(seriesId, 'no-match');
+            return;
+          }
+
+          // Fetch TV series details
+          detailPromises.push(
+            this.tmdbClient.getTVDetails(bestMatch.id)
+              .then(tmdbDetails => ({
+                seriesId,
+                seriesData,
+                tmdbDetails,
+                tmdbId: bestMatch.id
+              }))
+              .catch(error => {
+                logger.debug(`TMDB TV details fetch failed for ID ${bestMatch.id}:`, error.message);
+                return { seriesId, seriesData, tmdbDetails: null, tmdbId: bestMatch.id };
+              })
+          );
+        } else {
+          // Search failed, keep original
+          const seriesId = seriesIds[index];
+          enrichedSeries[seriesId] = series[index];
+          report?.setTmdb(seriesId, 'error');
+        }
+      });
+
+      // Step 4: Batch fetch details (all in parallel)
+      if (detailPromises.length > 0) {
+        logger.debug(`Fetching TMDB details for ${detailPromises.length} series...`);
+        const detailResults = await Promise.allSettled(detailPromises);
+
+        // Step 5: Enrich all series with TMDB data
+        let successCount = 0;
+        let failCount = 0;
+
+        detailResults.forEach(result => {
+          if (result.status === 'fulfilled') {
+            const { seriesId, seriesData, tmdbDetails, tmdbId } = result.value;
+            
+            if (!tmdbDetails) {
+              // Details fetch failed, keep original
+              enrichedSeries[seriesId] = seriesData;
+              report?.setTmdb(seriesId, 'error');
+              failCount++;
+              return;
+            }
+
+            // Extract metadata from TMDB
+            const tmdbMetadata = this.tmdbClient.extractTVMetadata(tmdbDetails);
+            
+            if (tmdbMetadata) {
+              // Merge TMDB metadata with existing series data
+              const enriched = {
+                ...seriesData,
+                poster: tmdbMetadata.poster || seriesData.poster,
+                background: tmdbMetadata.background || seriesData.background,
+                genres: tmdbMetadata.genres.length > 0 ? tmdbMetadata.genres : seriesData.genres,
+                imdbRating: tmdbMetadata.imdbRating || seriesData.imdbRating,
+                description: tmdbMetadata.description || seriesData.description,
+                cast: tmdbMetadata.cast.length > 0 ? tmdbMetadata.cast : seriesData.cast,
+                director: tmdbMetadata.director.length > 0 ? tmdbMetadata.director : seriesData.director,
+                runtime: tmdbMetadata.runtime || seriesData.runtime,
+                releaseInfo: tmdbMetadata.releaseInfo || seriesData.releaseInfo,
+                tmdbId: tmdbMetadata.tmdbId,
+                tmdbName: tmdbMetadata.tmdbName || null, // Store TMDB name for prioritization
+                tmdbOriginalTitle: tmdbMetadata.tmdbOriginalTitle || seriesData.tmdbOriginalTitle,
+                alternativeTitles: tmdbMetadata.alternativeTitles || seriesData.alternativeTitles,
+                certification: tmdbMetadata.certification || seriesData.certification,
+                // New enriched fields
+                released: tmdbMetadata.released || seriesData.released,
+                tagline: tmdbMetadata.tagline || seriesData.tagline,
+                country: tmdbMetadata.country || seriesData.country,
+                writer: tmdbMetadata.writer || seriesData.writer,
+                trailers: tmdbMetadata.trailers || seriesData.trailers,
+                popularity: tmdbMetadata.popularity || seriesData.popularity,
+                voteCount: tmdbMetadata.voteCount || seriesData.voteCount,
+                productionCompanies: tmdbMetadata.productionCompanies || seriesData.productionCompanies,
+                spokenLanguages: tmdbMetadata.spokenLanguages || seriesData.spokenLanguages,
+                originalLanguage: tmdbMetadata.originalLanguage || seriesData.originalLanguage,
+                website: tmdbMetadata.website || seriesData.website || seriesData.url
+              };
+
+              enrichedSeries[seriesId] = enriched;
+              report?.setTmdb(seriesId, 'matched');
+              successCount++;
+            } else {
+              enrichedSeries[seriesId] = seriesData;
+              report?.setTmdb(seriesId, 'error');
+              failCount++;
+            }
+          } else {
+            // Details fetch failed, keep original
+            const seriesId = result.value?.seriesId || seriesIds[detailResults.indexOf(result)];
+            enrichedSeries[seriesId] = series.find(s => s.id === seriesId) || series[detailResults.indexOf(result)];
+            report?.setTmdb(seriesId, 'error');
+            failCount++;
+          }
+        });
+
+        // Update result.series with enriched versions
+        result.series = enrichedSeries;
+
+        // Update catalog entries with enriched metadata
+        const { structureSeriesForCatalog } = require('./extractors');
+        for (const [lang, catalogItems] of Object.entries(result.catalogs)) {
+          for (let i = 0; i < catalogItems.length; i++) {
+            const catalogItem = catalogItems[i];
+            if (catalogItem.type === 'series' && enrichedSeries[catalogItem.id]) {
+              const enriched = enrichedSeries[catalogItem.id];
+              catalogItems[i] = structureSeriesForCatalog(enriched);
+            }
+          }
+        }
+
+        logger.info(`TMDB Series Enrichment Summary: ${successCount} successful, ${failCount} failed out of ${series.length} series`);
+        logger.success(`TMDB series enrichment completed: ${successCount} successful, ${failCount} failed`);
+      } else {
+        // No series matched, keep originals
+        result.series = enrichedSeries;
+        logger.warn('No TMDB matches found for any series');
+      }
+    } catch (error) {
+      logger.error('Error during TMDB series enrichment:', error.message);
+      logger.warn('Continuing with unenriched series data');
+      // Don't throw - continue with original data
+    }
+  }
+}
+
+module.exports = BaseScraper;
@@ -1,4 +1,6 @@
-const { extractQualities, findMagnetLinks, extractQualityFromMagnetText } = require('./parsers');
+const { extractQualities, findMagnetLinks } = require('./parsers');
+const { parseReleaseName, mergeReleaseInfo } = require('./release-parser');
+const constants = require('../utils/constants');
 const crypto = require('crypto');
 
 /**
@@ -17,16 +19,60 @@ function generateMovieId(title, languages = []) {
 }
 
 /**
- * Generate a unique series ID from title and season
+ * Generate a series ID from the show name only, so every topic of a show
+ * (other episode ranges, other seasons, other language mixes) maps to one entry
  */
-function generateSeriesId(title, season, languages = []) {
-  const langPrefix = languages.length === 1 ? languages[0] : (languages.length > 1 ? 'multi' : 'unknown');
-  const normalized = `${langPrefix}-${title}`.toLowerCase()
+function generateSeriesId(title) {
+  const normalized = `series-${extractShowName(title)}`.toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-+|-+$/g, '');
-  
-  const hash = crypto.createHash('md5').update(`${normalized}-s${season}`).digest('hex').substring(0, 8);
-  return `${normalized}-s${season}-${hash}`;
+
+  const hash = crypto.createHash('md5').update(normalized).digest('hex').substring(0, 8);
+  return `${normalized}-${hash}`;
+}
+
+/**
+ * Show name of a series topic title, without season/episode ranges, year,
+ * languages or release details
+ * e.g. "Farzi (2023) S01 EP(05-08) - Tamil - 1080p [Tam + Tel]" -> "Farzi"
+ */
+function extractShowName(title) {
+  if (!title) return '';
+  const cleaned = stripInvisibleChars(title).replace(/\s+/g, ' ').trim();
+
+  // Everything from the first season/episode marker on is release detail
+  const marker = cleaned.search(/\bS\d{1,2}(?=\b|E)|\bSeason\s*\d+|\bEP?\s*\(\s*\d/i);
+  const head = marker > 0 ? cleaned.slice(0, marker) : cleaned;
+
+  // Drop (year) / [tags] groups and stray years; language words outside them
+  // stay, since they can be part of the name ("Bigg Boss Tamil")
+  const name = head
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/\b(19|20)\d{2}\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/[-\s]+$/, '')
+    .trim();
+
+  return name || cleanTitleForDisplay(cleaned);
+}
+
+/**
+ * Language-agnostic identity of a movie topic: its name (everything before the
+ * year) plus the year, so the 4K, 1080p and "ORG audio" topics of one film agree
+ * e.g. "Leo (2023) [Tam + Tel] ORG Audio - 1080p HDRip" -> "leo|2023"
+ * @returns {string|null} - null when the title has no year to pin the film down
+ */
+function movieTitleKey(title) {
+  if (!title) return null;
+  const cleaned = stripInvisibleChars(title);
+  const year = cleaned.match(/\((19|20)\d{2}\)/) || cleaned.match(/\b(19|20)\d{2}\b/);
+  if (!year) return null;
+
+  const name = cleaned.slice(0, year.index)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return name ? `${name}|${year[0].replace(/[()]/g, '')}` : null;
 }
 
 /**
@@ -44,6 +90,112 @@ function extractInfoHash(magnetLink) {
   return match ? match[1] : null;
 }
 
+/**
+ * Forum dates of a topic, kept on catalog and meta items (ISO 8601 or null)
+ * postedAt: topic start, updatedAt: last edit/reply, firstSeen: first scraped
+ */
+function topicDates(data) {
+  return {
+    postedAt: data.postedAt || null,
+    updatedAt: data.updatedAt || null,
+    firstSeen: data.firstSeen || null
+  };
+}
+
+/**
+ * Combine the forum dates of two topics of one title: the newest post and
+ * update, the earliest sighting
+ */
+function mergeTopicDates(a, b) {
+  const pick = (x, y, newest) => {
+    if (!x || !y) return x || y || null;
+    return (x > y) === newest ? x : y;
+  };
+  return {
+    postedAt: pick(a.postedAt, b.postedAt, true),
+    updatedAt: pick(a.updatedAt, b.updatedAt, true),
+    firstSeen: pick(a.firstSeen, b.firstSeen, false)
+  };
+}
+
+/**
+ * Other titles the item is known by (from TMDB), matched by catalog search
+ */
+function searchTitles(data) {
+  return {
+    tmdbOriginalTitle: data.tmdbOriginalTitle || null,
+    alternativeTitles: Array.isArray(data.alternativeTitles) ? data.alternativeTitles : null
+  };
+}
+
+// certification on catalog and meta items is the title's rating on the CBFC
+// scale (see utils/certification.js), checked against each token's maximum
+
+/**
+ * releaseInfo / released until TMDB provides them: the title's year, else the
+ * year of the forum post. The post date only stands in for the release date
+ * when it is in the film's year (old films get posted years later).
+ */
+function fallbackReleaseFields(data) {
+  const postedYear = data.postedAt ? data.postedAt.slice(0, 4) : null;
+  const year = data.year ? String(data.year) : null;
+  return {
+    releaseInfo: data.releaseInfo || year || postedYear,
+    released: data.released || (data.postedAt && (!year || year === postedYear) ? data.postedAt : null)
+  };
+}
+
+/**
+ * Catalog order: newest forum post first (first sighting when the post date
+ * is unknown); undated items keep their order at the end
+ */
+function compareNewestFirst(a, b) {
+  const dateA = a.postedAt || a.firstSeen || '';
+  const dateB = b.postedAt || b.firstSeen || '';
+  if (dateA === dateB) return 0;
+  return dateA > dateB ? -1 : 1;
+}
+
+// Display order of catalog quality labels ('2160p' is labelled '4K')
+const QUALITY_ORDER = ['4K', '1440p', '1080p', '720p', '576p', '480p', '360p'];
+const HDR_ORDER = ['DV', 'HDR10+', 'HDR10', 'HDR'];
+
+const sortByOrder = (values, order) => [...values].sort((a, b) => order.indexOf(a) - order.indexOf(b));
+
+/**
+ * Resolutions and HDR formats on offer across an item's streams, for the
+ * catalog `quality` filter: { qualities: ['4K', '1080p'], hdr: ['DV', 'HDR10'] }
+ * Streams cached before `release` was recorded are parsed from their name/description.
+ * @param {Array} streams - Cached Stremio streams
+ * @returns {{ qualities: string[], hdr: string[] }}
+ */
+function summarizeStreamQualities(streams) {
+  const qualities = new Set();
+  const hdr = new Set();
+  for (const stream of streams || []) {
+    const release = stream.release ||
+      parseReleaseName([stream.name, stream.description].filter(Boolean).join(' '));
+    if (release.resolution) {
+      qualities.add(release.resolution === '2160p' ? '4K' : release.resolution);
+    }
+    for (const format of release.hdr || []) hdr.add(format);
+  }
+  return {
+    qualities: sortByOrder(qualities, QUALITY_ORDER),
+    hdr: sortByOrder(hdr, HDR_ORDER)
+  };
+}
+
+/**
+ * Union of two quality summaries (same item from two providers)
+ */
+function mergeQualitySummaries(a, b) {
+  return {
+    qualities: sortByOrder(new Set([...(a.qualities || []), ...(b.qualities || [])]), QUALITY_ORDER),
+    hdr: sortByOrder(new Set([...(a.hdr || []), ...(b.hdr || [])]), HDR_ORDER)
+  };
+}
+
 /**
  * Structure movie data for Stremio catalog format
  */
@@ -67,6 +219,8 @@ function structureMovieForCatalog(movieData) {
     description = langStr ? `${displayName} - ${langStr}` : displayName;
   }
   
+  const { releaseInfo, released } = fallbackReleaseFields(movieData);
+
   return {
     id: movieData.id || '',
     type: 'movie',
@@ -74,13 +228,18 @@ function structureMovieForCatalog(movieData) {
     poster: movieData.poster || null,
     description: description || null,
     genres: genres,
-    releaseInfo: movieData.releaseInfo || null,
+    releaseInfo: releaseInfo || null,
+    released: released || null, // For the catalog's sort
     director: director,
     cast: cast,
     imdbRating: movieData.imdbRating || null,
+    popularity: movieData.popularity || null,
+    ...searchTitles(movieData),
+    certification: movieData.certification || null,
     background: movieData.background || null,
     logo: movieData.logo || null,
-    runtime: movieData.runtime || null
+    runtime: movieData.runtime || null,
+    ...topicDates(movieData)
   };
 }
 
@@ -110,6 +269,8 @@ function structureMovieForMeta(movieData) {
     description = langStr ? `${displayName} - ${langStr}` : displayName;
   }
   
+  const { releaseInfo, released } = fallbackReleaseFields(movieData);
+
   return {
     id: movieData.id || '',
     type: 'movie',
@@ -119,8 +280,8 @@ function structureMovieForMeta(movieData) {
     background: movieData.background || null,
     logo: movieData.logo || null,
     description: (description && stripInvisibleChars(description)) || null,
-    releaseInfo: movieData.releaseInfo || null,
-    released: movieData.released || null, // ISO 8601 date
+    releaseInfo: releaseInfo || null,
+    released: released || null, // ISO 8601 date
     imdbRating: movieData.imdbRating || null,
     genres: genres,
     director: director,
@@ -138,7 +299,10 @@ function structureMovieForMeta(movieData) {
     voteCount: movieData.voteCount || null,
     productionCompanies: productionCompanies,
     spokenLanguages: spokenLanguages,
-    website: movieData.url || movieData.website || null
+    website: movieData.url || movieData.website || null,
+    ...searchTitles(movieData),
+    certification: movieData.certification || null,
+    ...topicDates(movieData)
   };
 }
 
@@ -146,140 +310,68 @@ function structureMovieForMeta(movieData) {
  * Extract detailed stream info from magnet link display name
  * Format: Quality - Codec - Audio - Size (similar to aiostream)
  * Example: "4K - HEVC - DD+5.1 640Kbps - 17.8GB"
+ * `release` holds the full parse (see release-parser.js); quality is null when
+ * the name doesn't state a resolution.
  */
 function extractStreamDetailsFromMagnet(magnetLink) {
-  if (!magnetLink || !magnetLink.includes('dn=')) {
+  const displayName = extractFilenameFromMagnet(magnetLink);
+  if (!displayName) {
     return null;
   }
 
-  try {
-    // Extract display name from magnet link
-    const dnMatch = magnetLink.match(/dn=([^&]+)/);
-    if (!dnMatch) return null;
-    
-    const displayName = decodeURIComponent(dnMatch[1]);
-    
-    // Parse components
-    const details = {
-      quality: null,
-      codec: null,
-      audio: null,
-      audioBitrate: null,
-      size: null,
-      source: null,
-      languages: [],
-      hdr: false,
-      dv: false,
-      atmos: false,
-      provider: null
-    };
-    
-    const upper = displayName.toUpperCase();
-    
-    // Extract quality (4K, 1080p, 720p, etc.)
-    if (upper.includes('4K') || upper.includes('2160P') || upper.includes('UHD')) {
-      details.quality = '2160p';
-    } else if (upper.includes('1080P') || upper.includes('FULL HD')) {
-      details.quality = '1080p';
-    } else if (upper.includes('720P') || upper.includes('HD')) {
-      details.quality = '720p';
-    } else if (upper.includes('480P')) {
-      details.quality = '480p';
-    } else {
-      details.quality = '1080p'; // Default
-    }
-    
-    // Extract HDR/DV info
-    if (upper.includes('HDR') || upper.includes('HIGH DYNAMIC RANGE')) {
-      details.hdr = true;
-    }
-    if (upper.includes('DV') || upper.includes('DOLBY VISION')) {
-      details.dv = true;
-    }
-    
-    // Extract Atmos
-    if (upper.includes('ATMOS') || upper.includes('DOLBY ATMOS')) {
-      details.atmos = true;
-    }
-    
-    // Extract source provider (Netflix, Disney+, etc.)
-    if (upper.includes('NETFLIX')) {
-      details.provider = 'Netflix';
-    } else if (upper.includes('DISNEY') || upper.includes('DISNEY+') || upper.includes('DISNEYPLUS')) {
-      details.provider = 'Disney+';
-    } else if (upper.includes('AMAZON') || upper.includes('PRIME') || upper.includes('AMAZON PRIME')) {
-      details.provider = 'Amazon Prime';
-    } else if (upper.includes('HBO') || upper.includes('MAX') || upper.includes('HBOMAX')) {
-      details.provider = 'HBO Max';
-    } else if (upper.includes('APPLE') || upper.includes('APPLE TV') || upper.includes('APPLETV')) {
-      details.provider = 'Apple TV+';
-    } else if (upper.includes('HULU')) {
-      details.provider = 'Hulu';
-    }
-    
-    // Extract codec (HEVC, AVC, x264, x265, H.264, H.265)
-    if (upper.includes('HEVC') || upper.includes('H.265') || upper.includes('X265')) {
-      details.codec = 'HEVC';
-    } else if (upper.includes('AVC') || upper.includes('H.264') || upper.includes('X264')) {
-      details.codec = 'AVC';
-    } else if (upper.includes('X265')) {
-      details.codec = 'x265';
-    } else if (upper.includes('X264')) {
-      details.codec = 'x264';
-    }
-    
-    // Extract source (WEB-DL, HDRip, BluRay, etc.)
-    if (upper.includes('TRUE WEB-DL') || upper.includes('TRUE WEBDL')) {
-      details.source = 'WEB-DL';
-    } else if (upper.includes('WEB-DL') || upper.includes('WEBDL')) {
-      details.source = 'WEB-DL';
-    } else if (upper.includes('HDRIP') || upper.includes('HD RIP')) {
-      details.source = 'HDRip';
-    } else if (upper.includes('BLURAY') || upper.includes('BLU-RAY')) {
-      details.source = 'BluRay';
-    } else if (upper.includes('DVDRIP')) {
-      details.source = 'DVDRip';
-    }
-    
-    // Extract audio info (DD+5.1, AAC, DTS, etc.)
-    const audioMatch = displayName.match(/\(([^)]*audio[^)]*|DD\+?[^)]*|AAC[^)]*|DTS[^)]*)\)/i);
-    if (audioMatch) {
-      const audioText = audioMatch[1];
-      if (audioText.includes('DD+5.1') || audioText.includes('DD 5.1')) {
-        details.audio = 'DD+5.1';
-      } else if (audioText.includes('DD+') || audioText.includes('Dolby Digital')) {
-        details.audio = 'DD+';
-      } else if (audioText.includes('AAC')) {
-        details.audio = 'AAC';
-      } else if (audioText.includes('DTS')) {
-        details.audio = 'DTS';
-      }
-      
-      // Extract audio bitrate
-      const bitrateMatch = audioText.match(/(\d+)\s*KBPS/i) || audioText.match(/(\d+)\s*KB/i);
-      if (bitrateMatch) {
-        details.audioBitrate = `${bitrateMatch[1]}Kbps`;
-      }
-    }
-    
-    // Extract file size
-    const sizeMatch = displayName.match(/(\d+\.?\d*)\s*(GB|MB|TB)/i);
-    if (sizeMatch) {
-      const size = parseFloat(sizeMatch[1]);
-      const unit = sizeMatch[2].toUpperCase();
-      if (unit === 'GB') {
-        details.size = size >= 1 ? `${size.toFixed(1)}GB` : `${(size * 1024).toFixed(0)}MB`;
-      } else if (unit === 'MB') {
-        details.size = size >= 1024 ? `${(size / 1024).toFixed(1)}GB` : `${size.toFixed(0)}MB`;
-      } else {
-        details.size = `${sizeMatch[0]}`;
-      }
-    }
-    
-    return details;
-  } catch (error) {
-    return null;
+  return detailsFromRelease(parseReleaseName(displayName), displayName);
+}
+
+/**
+ * Display fields of a parsed release
+ * @param {Object} release - parseReleaseName() result
+ * @param {string} [displayName] - Used for the streaming provider only
+ */
+function detailsFromRelease(release, displayName = '') {
+  const upper = displayName.toUpperCase();
+  let provider = null;
+
+  // Extract source provider (Netflix, Disney+, etc.)
+  if (upper.includes('NETFLIX')) {
+    provider = 'Netflix';
+  } else if (upper.includes('DISNEY') || upper.includes('DISNEY+') || upper.includes('DISNEYPLUS')) {
+    provider = 'Disney+';
+  } else if (upper.includes('AMAZON') || upper.includes('PRIME') || upper.includes('AMAZON PRIME')) {
+    provider = 'Amazon Prime';
+  } else if (upper.includes('HBO') || upper.includes('MAX') || upper.includes('HBOMAX')) {
+    provider = 'HBO Max';
+  } else if (upper.includes('APPLE') || upper.includes('APPLE TV') || upper.includes('APPLETV')) {
+    provider = 'Apple TV+';
+  } else if (upper.includes('HULU')) {
+    provider = 'Hulu';
   }
+
+  const [mainAudio] = release.audioCodecs;
+  return {
+    quality: release.resolution,
+    codec: release.codec,
+    bitDepth: release.bitDepth,
+    audio: mainAudio ? [mainAudio, release.audioChannels].filter(Boolean).join(' ') : null,
+    audioBitrate: release.audioBitrate,
+    size: formatSize(release.size),
+    source: release.source,
+    languages: release.languages,
+    hdr: release.hdr.some(format => format.startsWith('HDR')),
+    dv: release.hdr.includes('DV'),
+    hdrFormats: release.hdr,
+    atmos: release.atmos,
+    provider,
+    release
+  };
+}
+
+/**
+ * Bytes to a short human size ("17.8GB", "700MB")
+ */
+function formatSize(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return null;
+  const gb = bytes / 1024 ** 3;
+  return gb >= 1 ? `${gb.toFixed(1)}GB` : `${(bytes / 1024 ** 2).toFixed(0)}MB`;
 }
 
 /**
@@ -320,7 +412,7 @@ function extractFilenameFromMagnet(magnetLink) {
 
 /**
  * Format stream description with all details (for description field)
- * Format: 📦 Size | 🎥 Source 💾 Codec | 💎 HDR/DV | 🎧 Audio | 🌐 Debrid | 🔻 Provider
+ * Format: 📦 Size | 🎥 Source 💾 Codec | 💎 HDR/DV | 🎧 Audio | 🗣 Languages | 🌐 Debrid | 🔻 Provider
  */
 function formatStreamDescription(details) {
   if (!details) return null;
@@ -338,18 +430,18 @@ function formatStreamDescription(details) {
     sourceCodec.push(`🎥 ${details.source}`);
   }
   if (details.codec) {
-    sourceCodec.push(`💾 ${details.codec}`);
+    sourceCodec.push(`💾 ${details.codec}${details.bitDepth ? ` ${details.bitDepth}bit` : ''}`);
   }
   if (sourceCodec.length > 0) {
     parts.push(sourceCodec.join(' '));
   }
   
   // HDR/DV
-  const hdrParts = [];
-  if (details.hdr) {
+  const hdrParts = details.hdrFormats ? [...details.hdrFormats] : [];
+  if (!details.hdrFormats && details.hdr) {
     hdrParts.push('HDR');
   }
-  if (details.dv) {
+  if (!details.hdrFormats && details.dv) {
     hdrParts.push('DV');
   }
   if (hdrParts.length > 0) {
@@ -368,6 +460,11 @@ function formatStreamDescription(details) {
     const audioStr = audioParts.join(' | ');
     parts.push(`🎧 ${audioStr}${details.audioBitrate ? ` 🎧 ${details.audioBitrate}` : ''}`);
   }
+
+  // Audio languages of this particular file
+  if (details.languages && details.languages.length > 0) {
+    parts.push(`🗣 ${details.languages.map(lang => constants.LANGUAGE_NAMES[lang] || lang).join(' + ')}`);
+  }
   
   // Debrid indicator (always show if available)
   parts.push('🌐 Debrid');
@@ -437,22 +534,25 @@ function structureStreamsForStremio(magnetLinks, magnetDescriptions = [], qualit
     
     if (!infoHash) continue;
     
-    // Extract detailed info from magnet link
-    const details = extractStreamDetailsFromMagnet(magnet);
-    let quality = '1080p'; // Default
-    
-    if (details && details.quality) {
-      quality = details.quality;
-    } else {
-      // Fallback: try to extract quality from magnet description
-      if (magnetDescriptions && magnetDescriptions[i]) {
-        quality = extractQualityFromMagnetText(magnetDescriptions[i]);
-      } else if (qualities && qualities.length > 0) {
-        const qualityIndex = i % qualities.length;
-        quality = qualities[qualityIndex];
-      }
+    // Parse the file's release name, filling gaps from the post's description of it
+    const filename = extractFilenameFromMagnet(magnet);
+    const descriptionText = magnetDescriptions && magnetDescriptions[i];
+    let release = parseReleaseName(filename || descriptionText);
+    if (filename && descriptionText) {
+      release = mergeReleaseInfo(release, parseReleaseName(descriptionText));
     }
-    
+    const details = filename || descriptionText ? detailsFromRelease(release, filename || descriptionText) : null;
+
+    // Fallback: the topic's quality when it lists only one, else say so rather than guess
+    let quality = release.resolution;
+    if (!quality && qualities && qualities.length === 1) {
+      quality = qualities[0];
+    }
+    quality = quality || 'Unknown';
+
+    // Audio languages of this file (a topic often mixes single- and multi-audio rips)
+    const languages = release.languages;
+
     // Format description with all details
     const description = formatStreamDescription(details);
 
@@ -462,11 +562,9 @@ function structureStreamsForStremio(magnetLinks, magnetDescriptions = [], qualit
     const behaviorHints = {
       bingeGroup: `tamilmv-${infoHash.substring(0, 8)}`
     };
-    const videoSize = details ? sizeStringToBytes(details.size) : null;
-    if (Number.isFinite(videoSize) && videoSize > 0) {
-      behaviorHints.videoSize = videoSize;
+    if (Number.isFinite(release.size) && release.size > 0) {
+      behaviorHints.videoSize = release.size;
     }
-    const filename = extractFilenameFromMagnet(magnet);
     if (filename) {
       behaviorHints.filename = filename;
     }
@@ -478,6 +576,8 @@ function structureStreamsForStremio(magnetLinks, magnetDescriptions = [], qualit
       name: quality, // Just quality - cache tick will be added in stream-handler
       infoHash: infoHash, // Stremio desktop will handle the torrent using this
       externalUrl: magnet, // Fallback: magnet link for manual download (web users)
+      languages, // Empty when the file doesn't say; filters treat that as "any"
+      release, // Structured release attributes (resolution, source, codec, audio, ...)
       behaviorHints
     };
 
@@ -514,7 +614,7 @@ function structureSeriesForCatalog(seriesData) {
   // Ensure description is meaningful
   let description = seriesData.description;
   if (!description && displayName) {
-    const seasonStr = seriesData.season ? `Season ${seriesData.season}` : '';
+    const seasonStr = formatSeasonLabel(getEpisodesBySeason(seriesData));
     const langStr = seriesData.languages && Array.isArray(seriesData.languages) && seriesData.languages.length > 0
       ? seriesData.languages.join(', ')
       : '';
@@ -535,6 +635,8 @@ function structureSeriesForCatalog(seriesData) {
     ? seriesData.languages.map((l) => String(l).toLowerCase())
     : [];
 
+  const { releaseInfo, released } = fallbackReleaseFields(seriesData);
+
   return {
     id: seriesData.id || '',
     type: 'series',
@@ -543,47 +645,146 @@ function structureSeriesForCatalog(seriesData) {
     description: description || null,
     genres: genres,
     languages: languages,
-    releaseInfo: seriesData.releaseInfo || null,
+    releaseInfo: releaseInfo || null,
+    released: released || null, // For the catalog's sort
     director: director,
     cast: cast,
     imdbRating: seriesData.imdbRating || null,
+    popularity: seriesData.popularity || null,
+    ...searchTitles(seriesData),
+    certification: seriesData.certification || null,
     background: seriesData.background || null,
     logo: seriesData.logo || null,
-    runtime: seriesData.runtime || null
+    runtime: seriesData.runtime || null,
+    ...topicDates(seriesData)
   };
 }
 
 /**
- * Structure series metadata for Stremio meta format
+ * Known episodes per season of a series, sorted
+ * Reads `episodesBySeason` ({ 1: [1, 2], 2: [1] }), a built meta's `videos`,
+ * or a single topic's `season` + `episodes`.
+ * @returns {Map<number, number[]>}
  */
-function structureSeriesForMeta(seriesData) {
-  // Build the episode list. Stremio renders series episodes from `meta.videos`
-  // (a flat array), NOT from `seasons`; without it the detail page shows no
-  // episodes and streams are unreachable. We keep `seasons` too for clients
-  // that use it, but `videos` is what the web/desktop client requires.
-  const videos = [];
-  if (seriesData.season && seriesData.episodes && seriesData.episodes.length > 0) {
-    for (const ep of seriesData.episodes) {
-      videos.push({
-        id: `${seriesData.id}:${seriesData.season}:${ep}`, // Stremio stream id format
-        title: `Episode ${ep}`,
-        season: seriesData.season,
-        episode: ep,
-        released: seriesData.released || null
-      });
+function getEpisodesBySeason(seriesData) {
+  const bySeason = new Map();
+  const add = (season, episode) => {
+    season = Number(season);
+    episode = Number(episode);
+    if (!Number.isFinite(season) || !Number.isFinite(episode)) return;
+    if (!bySeason.has(season)) bySeason.set(season, new Set());
+    bySeason.get(season).add(episode);
+  };
+
+  if (seriesData.episodesBySeason) {
+    for (const [season, episodes] of Object.entries(seriesData.episodesBySeason)) {
+      for (const episode of episodes) add(season, episode);
     }
+  } else if (Array.isArray(seriesData.videos) && seriesData.videos.length > 0) {
+    for (const video of seriesData.videos) add(video.season, video.episode);
+  } else if (seriesData.season && Array.isArray(seriesData.episodes)) {
+    for (const episode of seriesData.episodes) add(seriesData.season, episode);
   }
 
-  // Build seasons array in Stremio format (kept for compatibility)
+  return new Map([...bySeason.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([season, episodes]) => [season, [...episodes].sort((a, b) => a - b)]));
+}
+
+/**
+ * "Season 2" / "Seasons 1, 2" for generated descriptions ('' when unknown)
+ */
+function formatSeasonLabel(episodesBySeason) {
+  const seasons = [...episodesBySeason.keys()];
+  if (seasons.length === 0) return '';
+  return seasons.length === 1 ? `Season ${seasons[0]}` : `Seasons ${seasons.join(', ')}`;
+}
+
+/**
+ * Build Stremio `videos` + `seasons` for every known episode of a series
+ */
+function buildSeriesVideos(seriesId, episodesBySeason, released = null) {
+  // Stremio renders series episodes from `meta.videos` (a flat array), NOT
+  // from `seasons`; without it the detail page shows no episodes and streams
+  // are unreachable. We keep `seasons` too for clients that use it, but
+  // `videos` is what the web/desktop client requires.
+  const videos = [];
   const seasons = [];
-  if (videos.length > 0) {
+  for (const [season, episodes] of episodesBySeason) {
+    const seasonVideos = episodes.map(ep => ({
+      id: `${seriesId}:${season}:${ep}`, // Stremio stream id format
+      title: `Episode ${ep}`,
+      season,
+      episode: ep,
+      released
+    }));
+    videos.push(...seasonVideos);
     seasons.push({
-      id: `${seriesData.id}:${seriesData.season}`, // Stremio format
-      season: seriesData.season,
-      title: `Season ${seriesData.season}`,
-      episodes: videos
+      id: `${seriesId}:${season}`, // Stremio format
+      season,
+      title: `Season ${season}`,
+      episodes: seasonVideos
     });
   }
+  return { videos, seasons };
+}
+
+/**
+ * Fold one series meta into another (same show, different topics/IDs):
+ * episodes and languages are unioned and re-keyed to the target's ID,
+ * forum dates combined (see mergeTopicDates); the target's metadata (TMDB fields etc.) is kept.
+ * @param {Object} target - Surviving series meta
+ * @param {Object} source - Series meta being merged away
+ * @returns {Object} - New series meta
+ */
+function mergeSeriesMeta(target, source) {
+  const episodesBySeason = {};
+  for (const data of [target, source]) {
+    for (const [season, episodes] of getEpisodesBySeason(data)) {
+      episodesBySeason[season] = [...(episodesBySeason[season] || []), ...episodes];
+    }
+  }
+
+  const languages = [...new Set([...(target.languages || []), ...(source.languages || [])])];
+  return {
+    ...target,
+    ...mergeTopicDates(target, source),
+    language: languages.length > 0 ? languages.join(', ') : null,
+    languages,
+    ...buildSeriesVideos(target.id, getEpisodesBySeason({ episodesBySeason }), target.released || null)
+  };
+}
+
+/**
+ * Merge the meta of a movie topic into the movie it duplicates.
+ * The target keeps its ID; its metadata wins unless only the source was
+ * matched on TMDB. Languages are unioned, forum dates combined.
+ * @param {Object} target - Surviving movie meta
+ * @param {Object} source - Movie meta being merged away
+ * @param {string[]} languages - Union of both movies' languages
+ * @returns {Object} - New movie meta
+ */
+function mergeMovieMeta(target, source, languages) {
+  const base = !target.tmdbId && source.tmdbId ? { ...source, id: target.id } : target;
+  return {
+    ...base,
+    ...mergeTopicDates(target, source),
+    language: languages.length > 0 ? languages.join(', ') : base.language || null
+  };
+}
+
+/**
+ * Structure series metadata for Stremio meta format
+ * Episodes come from `episodesBySeason` (accumulated across topics) or the
+ * single-topic `season` + `episodes` pair.
+ */
+function structureSeriesForMeta(seriesData) {
+  const { releaseInfo, released } = fallbackReleaseFields(seriesData);
+  const { videos, seasons } = buildSeriesVideos(
+    seriesData.id,
+    getEpisodesBySeason(seriesData),
+    released || null
+  );
   
   // Prioritize TMDB name if available (TMDB uses 'name' for TV shows), else use scraped title
   // Priority: tmdbName > name (from meta) > title (scraped) > id
@@ -601,7 +802,7 @@ function structureSeriesForMeta(seriesData) {
   // Ensure description is meaningful
   let description = seriesData.description;
   if (!description && displayName) {
-    const seasonStr = seriesData.season ? `Season ${seriesData.season}` : '';
+    const seasonStr = formatSeasonLabel(getEpisodesBySeason(seriesData));
     const langStr = seriesData.languages && Array.isArray(seriesData.languages) && seriesData.languages.length > 0
       ? seriesData.languages.join(', ')
       : '';
@@ -625,8 +826,8 @@ function structureSeriesForMeta(seriesData) {
     background: seriesData.background || null,
     logo: seriesData.logo || null,
     description: description || null,
-    releaseInfo: seriesData.releaseInfo || null,
-    released: seriesData.released || null, // ISO 8601 date
+    releaseInfo: releaseInfo || null,
+    released: released || null, // ISO 8601 date
     imdbRating: seriesData.imdbRating || null,
     genres: genres,
     director: director,
@@ -651,10 +852,50 @@ function structureSeriesForMeta(seriesData) {
     spokenLanguages: spokenLanguages,
     website: seriesData.url || seriesData.website || null,
     videos: videos,
-    seasons: seasons
+    seasons: seasons,
+    ...searchTitles(seriesData),
+    certification: seriesData.certification || null,
+    ...topicDates(seriesData)
   };
 }
 
+/**
+ * Fingerprint a topic's downloadable content so uploader edits (a new 4K rip,
+ * more episodes) can be told apart from unchanged topics between runs
+ * @param {Array} streams - Stream objects from structureStreamsForStremio
+ * @param {string|null} editedAt - Topic "Edited" timestamp, if the page shows one
+ * @returns {string} - md5 hex digest
+ */
+function computeTopicFingerprint(streams = [], editedAt = null) {
+  const keys = streams
+    .map(stream => (stream.infoHash || stream.externalUrl || '').toLowerCase())
+    .filter(Boolean)
+    .sort();
+  return crypto.createHash('md5').update(`${keys.join('|')}#${editedAt || ''}`).digest('hex');
+}
+
+/**
+ * Merge two stream lists, deduping by infoHash (or magnet when there is no hash)
+ * Incoming streams come first so refreshed names/descriptions win; existing
+ * streams the topic no longer lists are kept.
+ * @param {Array} existing - Streams already cached
+ * @param {Array} incoming - Freshly scraped streams
+ * @returns {Array}
+ */
+function mergeStreams(existing = [], incoming = []) {
+  const seen = new Set();
+  const merged = [];
+
+  for (const stream of [...(incoming || []), ...(existing || [])]) {
+    const key = (stream.infoHash || stream.externalUrl || stream.url || '').toLowerCase();
+    if (key && seen.has(key)) continue;
+    if (key) seen.add(key);
+    merged.push(stream);
+  }
+
+  return merged;
+}
+
 /**
  * Structure episode streams for Stremio
  */
@@ -826,44 +1067,32 @@ function extractYear(title) {
   return match ? parseInt(match[0]) : null;
 }
 
-/**
- * Parse quality from text and return standardized quality
- */
-function parseQuality(text) {
-  const textLower = text.toLowerCase();
-  
-  if (textLower.includes('4k') || textLower.includes('2160p') || textLower.includes('uhd')) {
-    return '4K';
-  }
-  if (textLower.includes('1080p') || textLower.includes('full hd')) {
-    return '1080p';
-  }
-  if (textLower.includes('720p') || textLower.includes('hd')) {
-    return '720p';
-  }
-  if (textLower.includes('480p')) {
-    return '480p';
-  }
-  
-  return '1080p'; // Default
-}
-
 module.exports = {
+  computeTopicFingerprint,
+  mergeStreams,
   generateMovieId,
   generateSeriesId,
+  extractShowName,
   generateEpisodeStreamId,
   extractInfoHash,
   structureMovieForCatalog,
   structureMovieForMeta,
   structureSeriesForCatalog,
   structureSeriesForMeta,
+  getEpisodesBySeason,
+  mergeSeriesMeta,
+  movieTitleKey,
+  mergeMovieMeta,
+  mergeTopicDates,
+  compareNewestFirst,
+  summarizeStreamQualities,
+  mergeQualitySummaries,
   structureStreamsForStremio,
   structureEpisodeStreamsForStremio,
   cleanTitleForDisplay,
   cleanTitleForTMDB,
   normalizeTitle,
   extractYear,
-  parseQuality,
   extractStreamDetailsFromMagnet,
   formatStreamName,
   formatStreamDescription,
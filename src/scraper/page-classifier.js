@@ -0,0 +1,56 @@
+/**
+ * Tell real forum pages apart from what a blocked or broken site serves
+ * instead (bot challenges, maintenance/error pages, layouts without topics),
+ * so a bad fetch is never mistaken for "the forum has no content".
+ *
+ * Kinds:
+ * - forum:     a normal forum page
+ * - challenge: anti-bot interstitial (Cloudflare, DDoS-Guard, captcha)
+ * - error:     maintenance, offline or server error page
+ * - empty:     no content, or a listing page without any topic links
+ */
+
+const CHALLENGE_PATTERNS = [
+  { pattern: /cf-browser-verification|cf_chl_|challenge-platform|cf-turnstile/i, detail: 'Cloudflare challenge' },
+  { pattern: /<title>\s*(?:Just a moment|Attention Required|Checking your browser)/i, detail: 'Cloudflare challenge' },
+  { pattern: /<title>\s*DDoS-Guard|ddos-guard\.net\/?["']/i, detail: 'DDoS-Guard challenge' },
+  { pattern: /class=["'][^"']*(?:g-recaptcha|h-captcha)/i, detail: 'captcha' }
+];
+
+const ERROR_PATTERNS = [
+  { pattern: /<title>[^<]*(?:maintenance|offline)/i, detail: 'maintenance page' },
+  { pattern: /<title>[^<]*(?:Service Unavailable|Bad Gateway|Gateway Time-?out|Internal Server Error|Database Error|\b50[0-4]\b)/i, detail: 'server error page' },
+  { pattern: /id=["']elError/i, detail: 'forum error page' }
+];
+
+const TOPIC_LINK = /href=["'][^"']*\/topic\/\d+/i;
+
+/**
+ * Classify a fetched page
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {boolean} [options.listing] - Page is expected to list topics (homepage/sub-forum)
+ * @returns {{kind: string, detail: string|null}}
+ */
+function classifyPage(html, { listing = false } = {}) {
+  if (typeof html !== 'string' || html.trim().length === 0) {
+    return { kind: 'empty', detail: 'empty response' };
+  }
+
+  for (const { pattern, detail } of CHALLENGE_PATTERNS) {
+    if (pattern.test(html)) return { kind: 'challenge', detail };
+  }
+  for (const { pattern, detail } of ERROR_PATTERNS) {
+    if (pattern.test(html)) return { kind: 'error', detail };
+  }
+
+  if (listing && !TOPIC_LINK.test(html)) {
+    return { kind: 'empty', detail: 'no topic links' };
+  }
+
+  return { kind: 'forum', detail: null };
+}
+
+module.exports = {
+  classifyPage
+};
@@ -1,5 +1,6 @@
 const cheerio = require('cheerio');
 const logger = require('../utils/logger');
+const { parseResolution } = require('./release-parser');
 
 /**
  * Parse HTML to extract movie listings from forum
@@ -280,10 +281,198 @@ function parseMovieListings(html, baseUrl = 'https://www.1tamilmv.lc') {
     }
   }
 
+  // Topic start / last post times, where the page lists topics in rows
+  const dates = parseListingDates($);
+  for (const movie of finalMovies) {
+    const topicDates = dates.get(extractTopicId(movie.url));
+    if (topicDates) Object.assign(movie, topicDates);
+  }
+
   logger.debug(`After final filtering: ${beforeFilter} -> ${finalMovies.length} unique movies`);
   return finalMovies;
 }
 
+/**
+ * Start and last-post times of the topics on a forum listing page
+ * IPB topic rows carry the start time in their meta line and the latest
+ * reply time in the last-poster column. The homepage has no rows, so no dates.
+ * @param {CheerioAPI} $ - Loaded listing page
+ * @returns {Map<string, { postedAt: string, updatedAt: string }>} - topic id -> ISO 8601 dates
+ */
+function parseListingDates($) {
+  const dates = new Map();
+  const toIso = (value) => {
+    const time = Date.parse(value || '');
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  };
+
+  $('[data-rowid], [data-topicid], .ipsDataItem').each((i, elem) => {
+    const $row = $(elem);
+    const topicId = extractTopicId($row.find('a[href*="/topic/"]').first().attr('href'));
+    if (!topicId || dates.has(topicId)) return;
+
+    const $times = $row.find('time[datetime]');
+    const postedAt = toIso($row.find('.ipsDataItem_meta time[datetime]').first().attr('datetime')) ||
+      toIso($times.first().attr('datetime'));
+    if (!postedAt) return;
+    const updatedAt = toIso($row.find('.ipsDataItem_lastPoster time[datetime]').first().attr('datetime')) ||
+      toIso($times.last().attr('datetime'));
+
+    dates.set(topicId, { postedAt, updatedAt: updatedAt && updatedAt > postedAt ? updatedAt : postedAt });
+  });
+
+  return dates;
+}
+
+/**
+ * Extract the numeric topic id from a forum topic URL
+ * @param {string} url - Topic URL (e.g. .../index.php?/forums/topic/195489-some-title/)
+ * @returns {string|null} - Topic id or null when the URL is not a topic link
+ */
+function extractTopicId(url) {
+  if (!url || typeof url !== 'string') return null;
+  const match = url.match(/\/topic\/(\d+)/);
+  if (!match || match[1] === '0') return null;
+  return match[1];
+}
+
+/**
+ * Merge listing arrays and drop duplicates by topic id (first occurrence wins,
+ * so callers should pass the freshest source first)
+ * @param {...Array} listingGroups - Arrays of { title, url, href }
+ * @returns {Array}
+ */
+function dedupeListings(...listingGroups) {
+  const seen = new Map(); // key -> kept listing
+  const merged = [];
+
+  for (const listing of listingGroups.flat()) {
+    const topicId = extractTopicId(listing.url);
+    const key = topicId ? `topic-${topicId}` : listing.url.split('#')[0];
+    const kept = seen.get(key);
+    if (kept) {
+      // The homepage has no dates; take them from the forum listing of the topic
+      if (!kept.postedAt && listing.postedAt) {
+        Object.assign(kept, { postedAt: listing.postedAt, updatedAt: listing.updatedAt });
+      }
+      continue;
+    }
+    seen.set(key, listing);
+    merged.push(listing);
+  }
+
+  return merged;
+}
+
+/**
+ * Find per-language sub-forum links on the forum index (homepage)
+ * IPB forum links look like: /index.php?/forums/forum/11-tamil-new-movies-hdrips/
+ * @param {string} html - Homepage HTML
+ * @param {string} baseUrl - Base URL used to absolutize relative links
+ * @param {string[]} languages - Languages to look for (lowercase)
+ * @returns {Array} - [{ forumId, title, url, language }]
+ */
+function parseLanguageForumLinks(html, baseUrl, languages) {
+  const $ = cheerio.load(html);
+  const forums = [];
+  const seen = new Set();
+
+  $('a[href*="/forum/"]').each((i, elem) => {
+    const $link = $(elem);
+    const href = $link.attr('href');
+    const idMatch = href && href.match(/\/forum\/(\d+)/);
+    if (!idMatch || seen.has(idMatch[1])) return;
+
+    const title = ($link.attr('title') || $link.text()).replace(/\s+/g, ' ').trim();
+    const titleLower = title.toLowerCase();
+    const language = languages.find(lang => new RegExp(`\\b${lang}\\b`).test(titleLower));
+    if (!language) return;
+
+    seen.add(idMatch[1]);
+    forums.push({
+      forumId: idMatch[1],
+      title,
+      url: new URL(href, baseUrl).href.split('#')[0],
+      language
+    });
+  });
+
+  return forums;
+}
+
+/**
+ * Find the "next page" link of a paginated IPB listing
+ * IPB renders it both as <link rel="next"> in the head and as
+ * <li class="ipsPagination_next"><a rel="next"> in the pagination bar; the
+ * latter gets ipsPagination_inactive on the last page.
+ * @param {string} html - Forum page HTML
+ * @param {string} baseUrl - Base URL used to absolutize relative links
+ * @returns {string|null}
+ */
+function parseNextPageUrl(html, baseUrl) {
+  const $ = cheerio.load(html);
+
+  const candidates = [
+    $('link[rel="next"]').first(),
+    $('.ipsPagination_next:not(.ipsPagination_inactive) a').first(),
+    $('a[rel="next"]').first()
+  ];
+
+  for (const $candidate of candidates) {
+    if (!$candidate.length) continue;
+    if ($candidate.closest('.ipsPagination_inactive').length) continue;
+    const href = $candidate.attr('href');
+    if (href && !href.startsWith('#') && !href.startsWith('javascript:')) {
+      return new URL(href, baseUrl).href;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Newest timestamp shown on a listing page (topic start / last post times)
+ * @param {string} html - Forum page HTML
+ * @returns {number|null} - Epoch milliseconds, or null when the page has no dates
+ */
+function parseNewestListingTimestamp(html) {
+  const $ = cheerio.load(html);
+  let newest = null;
+
+  $('time[datetime]').each((i, elem) => {
+    const time = Date.parse($(elem).attr('datetime'));
+    if (!Number.isNaN(time) && (newest === null || time > newest)) {
+      newest = time;
+    }
+  });
+
+  return newest;
+}
+
+/**
+ * Extract the first post's creation time and its "Edited" time from a topic page
+ * IPB renders both as <time datetime="..."> elements; the edit notice sits in
+ * the post body as "Edited <time>".
+ * @param {string} html - Topic page HTML
+ * @returns {{ postedAt: string|null, editedAt: string|null }} - ISO 8601 strings
+ */
+function extractTopicDates(html) {
+  const $ = cheerio.load(html);
+  const toIso = (value) => {
+    const time = Date.parse(value || '');
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+  };
+
+  const $firstPost = $('article.ipsComment, [data-role="comment"]').first();
+  const $scope = $firstPost.length ? $firstPost : $.root();
+
+  const postedAt = toIso($scope.find('.ipsComment_meta time[datetime]').first().attr('datetime')) ||
+    toIso($scope.find('time[datetime]').first().attr('datetime'));
+  const editedAt = toIso($scope.find('strong:contains("Edited") time[datetime]').first().attr('datetime'));
+
+  return { postedAt, editedAt };
+}
+
 /**
  * Extract language from URL or page content
  */
@@ -540,6 +729,24 @@ function detectLanguagesFromTitle(title) {
   return detectedLanguages;
 }
 
+/**
+ * Detect the audio languages of a single release from its magnet display
+ * name and/or forum row description (e.g. "Leo (2023) 1080p [Tam + Tel] - 2.5GB.mkv")
+ * @param {...string} texts - Any of dn / description; empty values are ignored
+ * @returns {string[]} - Lowercase language ids, in order of first appearance
+ */
+function detectAudioLanguages(...texts) {
+  const languages = [];
+  for (const text of texts) {
+    if (!text || typeof text !== 'string') continue;
+    // Filenames often use dots/underscores as separators (Leo.2023.Tamil.1080p)
+    for (const lang of detectLanguagesFromTitle(text.replace(/[._]/g, ' '))) {
+      if (!languages.includes(lang)) languages.push(lang);
+    }
+  }
+  return languages;
+}
+
 /**
  * Detect if title is a series and extract season/episode info
  * Examples:
@@ -671,35 +878,27 @@ function extractEpisodeFromText(text) {
 
 /**
  * Extract quality from magnet link description text
+ * @returns {string|null} - '4K', '1080p', '720p', ... or null when not stated
  */
 function extractQualityFromMagnetText(text) {
-  const textUpper = text.toUpperCase();
-  
-  // Quality patterns in order of preference
-  if (textUpper.includes('4K') || textUpper.includes('2160P') || textUpper.includes('UHD')) {
-    return '4K';
-  }
-  if (textUpper.includes('1080P') || textUpper.includes('FULL HD')) {
-    return '1080p';
-  }
-  if (textUpper.includes('720P') || textUpper.includes('HD')) {
-    return '720p';
-  }
-  if (textUpper.includes('480P')) {
-    return '480p';
-  }
-  
-  // Default
-  return '1080p';
+  const resolution = parseResolution(text || '');
+  return resolution === '2160p' ? '4K' : resolution;
 }
 
 module.exports = {
   parseMovieListings,
+  extractTopicId,
+  dedupeListings,
+  parseLanguageForumLinks,
+  parseNextPageUrl,
+  parseNewestListingTimestamp,
+  extractTopicDates,
   extractLanguage,
   extractQualities,
   findMagnetLinks,
   extractMovieTitle,
   detectLanguagesFromTitle,
+  detectAudioLanguages,
   detectSeriesFromTitle,
   extractEpisodeRangeFromDescription,
   extractEpisodeFromText,
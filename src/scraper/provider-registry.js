@@ -0,0 +1,108 @@
+const logger = require('../utils/logger');
+const constants = require('../utils/constants');
+const TamilMVScraper = require('./tamilmv-scraper');
+const { mergeStreams, compareNewestFirst, mergeQualitySummaries } = require('./extractors');
+
+// Provider id -> factory returning a BaseScraper subclass instance
+const providers = new Map();
+
+/**
+ * Register a content-source provider
+ * @param {string} id - Provider id used in SCRAPE_PROVIDERS
+ * @param {Function} factory - () => provider instance
+ */
+function registerProvider(id, factory) {
+  if (providers.has(id)) {
+    logger.warn(`Provider "${id}" is already registered, replacing it`);
+  }
+  providers.set(id, factory);
+}
+
+/**
+ * Get registered provider ids
+ * @returns {string[]}
+ */
+function getProviderIds() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Instantiate the configured providers (unknown ids are logged and skipped)
+ * @param {string[]} ids - Provider ids, in priority order
+ * @returns {Array} - Provider instances
+ */
+function createProviders(ids = constants.SCRAPE_PROVIDERS) {
+  const instances = [];
+  for (const id of ids) {
+    const factory = providers.get(id);
+    if (!factory) {
+      logger.warn(`Unknown scrape provider "${id}" (registered: ${getProviderIds().join(', ')})`);
+      continue;
+    }
+    instances.push(factory());
+  }
+  return instances;
+}
+
+/**
+ * Merge several provider results into one { catalogs, movies, series, streams, topics }
+ * Results are given in priority order: the first provider's metadata and
+ * catalog entry win on id collisions, while streams (and the qualities
+ * recorded on catalog entries) are unioned. Catalogs end up newest topic
+ * first across providers.
+ * @param {Array} results - scrapeAll() results
+ * @returns {Object}
+ */
+function mergeScrapeResults(results) {
+  const merged = { catalogs: {}, movies: {}, series: {}, streams: {}, topics: {}, torrents: {}, aliases: {} };
+
+  for (const result of results) {
+    if (!result) continue;
+
+    for (const [language, items] of Object.entries(result.catalogs || {})) {
+      const catalog = merged.catalogs[language] || (merged.catalogs[language] = []);
+      const indexById = new Map(catalog.map((item, index) => [item.id, index]));
+      for (const item of items) {
+        if (!indexById.has(item.id)) {
+          indexById.set(item.id, catalog.length);
+          catalog.push(item);
+        } else {
+          // Streams are unioned, so are the qualities they offer
+          const index = indexById.get(item.id);
+          catalog[index] = { ...catalog[index], ...mergeQualitySummaries(catalog[index], item) };
+        }
+      }
+    }
+
+    for (const key of ['movies', 'series']) {
+      for (const [id, meta] of Object.entries(result[key] || {})) {
+        if (!merged[key][id]) merged[key][id] = meta;
+      }
+    }
+
+    for (const [id, streams] of Object.entries(result.streams || {})) {
+      merged.streams[id] = merged.streams[id]
+        ? mergeStreams(streams, merged.streams[id])
+        : streams;
+    }
+
+    Object.assign(merged.topics, result.topics || {});
+    Object.assign(merged.torrents, result.torrents || {});
+    Object.assign(merged.aliases, result.aliases || {});
+  }
+
+  for (const catalog of Object.values(merged.catalogs)) {
+    catalog.sort(compareNewestFirst);
+  }
+
+  return merged;
+}
+
+registerProvider('tamilmv', () => new TamilMVScraper());
+
+module.exports = {
+  registerProvider,
+  getProviderIds,
+  createProviders,
+  mergeScrapeResults
+};
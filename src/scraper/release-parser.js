@@ -0,0 +1,182 @@
+/**
+ * Release-name parser
+ *
+ * Turns a release name or filename, e.g.
+ *   "www.1TamilMV.ms - Leo (2023) Tamil TRUE WEB-DL - 4K SDR - HEVC - (DD+5.1 - 640Kbps & AAC) - 15GB - ESub.mkv"
+ * into a typed structure (see parseReleaseName). Every attribute is null / empty
+ * when the name doesn't say; nothing is guessed.
+ */
+
+// Checked in order, first match wins (a "HQ PreDVD" is a PreDVD, not an HDRip)
+const SOURCES = [
+  { source: 'PreDVD', pattern: /\bPre-?DVD(?:Rip)?\b/i },
+  { source: 'CAM', pattern: /\b(?:HD-?)?CAM(?:-?Rip)?\b/i },
+  { source: 'HDTC', pattern: /\b(?:HD-?)?TC\b|\bTELECINE\b/i },
+  { source: 'HDTS', pattern: /\b(?:HD-?)?TS(?:-?Rip)?\b|\bTELESYNC\b/i },
+  { source: 'WEB-DL', pattern: /\bWEB[-. ]?DL\b/i },
+  { source: 'WEBRip', pattern: /\bWEB[-. ]?Rip\b/i },
+  { source: 'BluRay', pattern: /\bBlu-?Ray\b|\bBD-?Rip\b|\bBR-?Rip\b|\bBD-?Remux\b/i },
+  { source: 'HDTV', pattern: /\bHDTV(?:Rip)?\b/i },
+  { source: 'DVDRip', pattern: /\bDVD-?Rip\b|\bDVD(?:5|9|Scr)\b/i },
+  { source: 'HDRip', pattern: /\bHD-?Rip\b/i }
+];
+
+const CODECS = [
+  { codec: 'AV1', pattern: /\bAV1\b/i },
+  { codec: 'HEVC', pattern: /\bHEVC\b|\b[xh]\.?265\b/i },
+  { codec: 'AVC', pattern: /\bAVC\b|\b[xh]\.?264\b/i },
+  { codec: 'VP9', pattern: /\bVP9\b/i }
+];
+
+// Most specific first: "DD+" must not also count as "DD", "DTS-HD MA" as "DTS"
+const AUDIO_CODECS = [
+  { codec: 'TrueHD', pattern: /\bTrue-?HD\b/i },
+  { codec: 'DTS:X', pattern: /\bDTS[-: ]?X\b/i },
+  { codec: 'DTS-HD MA', pattern: /\bDTS-?HD[ .-]?MA\b/i },
+  { codec: 'DTS', pattern: /\bDTS\b(?![-: ]?X\b|-?HD[ .-]?MA\b)/i },
+  { codec: 'DD+', pattern: /\bDD\+|\bDDP(?=\d|\b)|\bE-?AC-?3\b|Dolby Digital Plus/i },
+  { codec: 'DD', pattern: /\bDD(?=\d|\b)(?!\+)|\bAC-?3\b|Dolby Digital(?! Plus)/i },
+  { codec: 'AAC', pattern: /\bAAC/i },
+  { codec: 'FLAC', pattern: /\bFLAC\b/i },
+  { codec: 'Opus', pattern: /\bOpus\b/i },
+  { codec: 'MP3', pattern: /\bMP3\b/i }
+];
+
+// Not preceded by a digit/dot and not a size ("2.0GB")
+const CHANNELS_PATTERN = /(?<![\d.])(1\.0|2\.0|2\.1|5\.1|6\.1|7\.1)(?![\d]|\s*[GMT]B)/gi;
+const CHANNEL_COUNTS = { 2: '2.0', 6: '5.1', 8: '7.1' };
+
+const EDITIONS = [
+  { edition: "Director's Cut", pattern: /\bDirector'?s[ .]Cut\b/i },
+  { edition: 'Extended', pattern: /\bExtended(?:[ .](?:Cut|Edition))?\b/i },
+  { edition: 'Uncut', pattern: /\bUncut\b/i },
+  { edition: 'Unrated', pattern: /\bUnrated\b/i },
+  { edition: 'Theatrical', pattern: /\bTheatrical(?:[ .]Cut)?\b/i },
+  { edition: 'Remastered', pattern: /\bRemastered\b/i },
+  { edition: 'IMAX', pattern: /\bIMAX\b/i },
+  { edition: 'Special Edition', pattern: /\bSpecial[ .]Edition\b/i }
+];
+
+const SIZE_UNITS = { MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+function matchFirst(text, table, key) {
+  const entry = table.find(({ pattern }) => pattern.test(text));
+  return entry ? entry[key] : null;
+}
+
+/**
+ * Vertical resolution as "2160p" / "1080p" / ..., or null
+ */
+function parseResolution(text) {
+  const explicit = text.match(/\b(2160|1440|1080|720|576|480|360)[pi]\b/i)
+    || text.match(/\b\d{3,4}x(2160|1440|1080|720|576|480|360)\b/i);
+  if (explicit) return `${explicit[1]}p`;
+  if (/\b(?:4K|UHD)\b/i.test(text)) return '2160p';
+  if (/\b(?:FHD|Full[ .]?HD)\b/i.test(text)) return '1080p';
+  return null;
+}
+
+/**
+ * HDR formats, strongest first: 'DV', 'HDR10+', 'HDR10', 'HDR' (generic)
+ */
+function parseHdr(text) {
+  const formats = [];
+  if (/\bDV\b|\bDoVi\b|Dolby[ .]?Vision/i.test(text)) formats.push('DV');
+  if (/\bHDR10(?:\+|Plus\b|P\b)/i.test(text)) formats.push('HDR10+');
+  if (/\bHDR10\b(?!\+)/i.test(text)) formats.push('HDR10');
+  if (/\bHDR\b/i.test(text) && !formats.some(f => f.startsWith('HDR'))) formats.push('HDR');
+  return formats;
+}
+
+function parseBitDepth(text) {
+  const match = text.match(/\b(8|10|12)[ -]?bits?\b/i);
+  if (match) return parseInt(match[1], 10);
+  return /\bHi10P?\b/i.test(text) ? 10 : null;
+}
+
+/**
+ * Widest channel layout mentioned ("5.1" wins over "2.0" in "DD+5.1 & AAC 2.0")
+ */
+function parseAudioChannels(text) {
+  const layouts = [...text.matchAll(CHANNELS_PATTERN)].map(match => match[1]);
+  const counts = text.match(/\b([268])\s?CH\b/i);
+  if (counts) layouts.push(CHANNEL_COUNTS[counts[1]]);
+  if (layouts.length === 0) return null;
+  return layouts.sort((a, b) => parseFloat(b) - parseFloat(a))[0];
+}
+
+function parseSubtitles(text) {
+  return {
+    english: /\bE-?Subs?\b|\bEng(?:lish)?[ .-]?Subs?\b/i.test(text),
+    multiple: /\bM-?Subs?\b|\bMulti[ .-]?Subs?\b/i.test(text),
+    hardcoded: /\bHC\b|\bHard-?coded\b/i.test(text)
+  };
+}
+
+/**
+ * File size in bytes (the last size mentioned: names lead with titles, end with sizes)
+ */
+function parseSize(text) {
+  const matches = [...text.matchAll(/(\d+(?:\.\d+)?)\s*(TB|GB|MB)\b/gi)];
+  if (matches.length === 0) return null;
+  const [, value, unit] = matches[matches.length - 1];
+  return Math.round(parseFloat(value) * SIZE_UNITS[unit.toUpperCase()]);
+}
+
+/**
+ * Parse a release name / filename into structured stream attributes
+ * @param {string} name
+ * @returns {Object} - { resolution, source, codec, bitDepth, hdr: [], audioCodecs: [],
+ *   audioChannels, audioBitrate, atmos, languages: [], subtitles: { english, multiple, hardcoded },
+ *   edition, size (bytes) }
+ */
+function parseReleaseName(name) {
+  const text = typeof name === 'string' ? name : '';
+  // Required lazily: parsers.js depends on this module
+  const { detectAudioLanguages } = require('./parsers');
+  const bitrate = text.match(/\b(\d{2,4})\s*kbps\b/i);
+
+  return {
+    resolution: parseResolution(text),
+    source: matchFirst(text, SOURCES, 'source'),
+    codec: matchFirst(text, CODECS, 'codec'),
+    bitDepth: parseBitDepth(text),
+    hdr: parseHdr(text),
+    audioCodecs: AUDIO_CODECS.filter(({ pattern }) => pattern.test(text)).map(({ codec }) => codec),
+    audioChannels: parseAudioChannels(text),
+    audioBitrate: bitrate ? `${bitrate[1]}Kbps` : null,
+    atmos: /\bAtmos\b/i.test(text),
+    languages: text ? detectAudioLanguages(text) : [],
+    subtitles: parseSubtitles(text),
+    edition: matchFirst(text, EDITIONS, 'edition'),
+    size: parseSize(text)
+  };
+}
+
+/**
+ * Fill the gaps of one parse with another (e.g. a magnet's filename with the
+ * post's description of it)
+ * @param {Object} primary
+ * @param {Object} fallback
+ * @returns {Object}
+ */
+function mergeReleaseInfo(primary, fallback) {
+  const merged = { ...primary };
+  for (const [key, value] of Object.entries(fallback)) {
+    const current = merged[key];
+    if (key === 'subtitles') {
+      merged.subtitles = Object.fromEntries(Object.keys(value).map(flag => [flag, current[flag] || value[flag]]));
+    } else if (Array.isArray(current)) {
+      merged[key] = [...current, ...value.filter(item => !current.includes(item))];
+    } else if (current === null || current === false) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  parseReleaseName,
+  parseResolution,
+  mergeReleaseInfo
+};
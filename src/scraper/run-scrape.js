@@ -0,0 +1,46 @@
+// One-off scrape that prints the merged result instead of writing the cache.
+// Pair it with SCRAPE_HTTP_MODE to compare parser changes on identical input:
+//
+//   SCRAPE_HTTP_MODE=record npm run scrape -- --out before.json
+//   (change parsers)
+//   SCRAPE_HTTP_MODE=replay npm run scrape -- --out after.json
+//
+// Providers run with skipCacheCheck so the output depends only on the pages
+// fetched (or replayed), not on what is already cached.
+
+// Load environment variables from .env file if it exists
+try {
+  require('dotenv').config();
+} catch (e) {
+  // dotenv not installed, continue without it
+}
+
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const { createProviders, mergeScrapeResults } = require('./provider-registry');
+
+async function main() {
+  const outIndex = process.argv.indexOf('--out');
+  const outPath = outIndex !== -1 ? process.argv[outIndex + 1] : null;
+
+  const results = [];
+  for (const provider of createProviders()) {
+    results.push(await provider.scrapeAll(true));
+  }
+
+  // Topic bookkeeping carries scrape timestamps; leave it out so outputs diff cleanly
+  const { topics, ...merged } = mergeScrapeResults(results);
+  const json = JSON.stringify(merged, null, 2);
+
+  if (outPath) {
+    await fs.writeFile(outPath, json, 'utf8');
+    logger.success(`Scrape result written to ${outPath}`);
+  } else {
+    process.stdout.write(`${json}\n`);
+  }
+}
+
+main().catch(error => {
+  logger.error('Scrape failed:', error.message);
+  process.exit(1);
+});
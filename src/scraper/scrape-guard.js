@@ -0,0 +1,57 @@
+const constants = require('../utils/constants');
+
+/**
+ * Error that stops a scrape run before anything is written, leaving the
+ * existing cache untouched
+ * @param {string} reason - Short machine-readable reason (e.g. 'challenge-page', 'too-few-items')
+ * @param {string} message
+ * @returns {Error} - With code 'SCRAPE_ABORTED' and `reason`
+ */
+function createAbortError(reason, message) {
+  const error = new Error(message);
+  error.code = 'SCRAPE_ABORTED';
+  error.reason = reason;
+  return error;
+}
+
+/**
+ * Listings that produced cache content (added, updated or carried forward)
+ * @param {Object} summary - ScrapeReport summary
+ */
+function countContentItems(summary) {
+  const outcomes = summary?.outcomes || {};
+  return (outcomes.added || 0) + (outcomes.updated || 0) + (outcomes.unchanged || 0);
+}
+
+/**
+ * Compare a run against the last successful one
+ * Runs much smaller than a sizeable previous run are treated as broken
+ * (layout change, partial block) rather than as the forum shrinking.
+ * @param {Object} summary - Current run's ScrapeReport summary
+ * @param {Object|null} previousSummary - Last successful run's summary
+ * @returns {Error|null} - Abort error to throw, or null when the run looks normal
+ */
+function findScrapeAnomaly(summary, previousSummary) {
+  if (!previousSummary) return null;
+
+  const minRatio = constants.SCRAPE_ANOMALY_MIN_RATIO;
+  const checks = [
+    { reason: 'too-few-listings', label: 'listings', current: summary.total || 0, previous: previousSummary.total || 0 },
+    { reason: 'too-few-items', label: 'content items', current: countContentItems(summary), previous: countContentItems(previousSummary) }
+  ];
+
+  for (const { reason, label, current, previous } of checks) {
+    if (previous >= constants.SCRAPE_ANOMALY_MIN_PREVIOUS && current < previous * minRatio) {
+      return createAbortError(reason,
+        `Only ${current} ${label} vs ${previous} in the last successful run (minimum ratio ${minRatio})`);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  createAbortError,
+  countContentItems,
+  findScrapeAnomaly
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+/**
+ * Structured per-listing outcome of a scrape run.
+ *
+ * Outcomes:
+ * - added:     new movie/series written to the cache
+ * - updated:   cached topic changed (new magnets/episodes) and was merged
+ * - unchanged: cached topic with the same fingerprint, carried forward
+ * - skipped:   dropped on purpose (reason: trailer, no-magnets, no-languages, listing-limit, ...)
+ * - failed:    fetch or processing error, or a challenge/error page instead of the topic (error holds the message)
+ * Items that reach the cache also get tmdb: 'matched' | 'no-match' | 'error'
+ * once enrichment has run.
+ */
+class ScrapeReport {
+  /**
+   * @param {Object} options
+   * @param {string} options.trigger - What started the run (scheduled, manual, full-replace, ...)
+   */
+  constructor({ trigger = 'manual' } = {}) {
+    const startedAt = new Date();
+    this.runId = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+    this.trigger = trigger;
+    this.startedAt = startedAt.toISOString();
+    this.finishedAt = null;
+    this.status = 'running';
+    this.error = null;
+    this.reason = null; // Abort reason (e.g. 'challenge-page', 'too-few-items')
+    this.items = [];
+  }
+
+  /**
+   * Record one listing's outcome
+   * @param {Object} item - { provider, url, title, outcome, reason, error, id }
+   */
+  add({ provider = null, url, title, outcome, reason = null, error = null, id = null }) {
+    this.items.push({ provider, url, title, outcome, reason, error, id, tmdb: null });
+  }
+
+  /**
+   * Record the TMDB enrichment result for every item that produced `id`
+   * @param {string} id - Movie/series id
+   * @param {string} status - 'matched' | 'no-match' | 'error'
+   */
+  setTmdb(id, status) {
+    for (const item of this.items) {
+      if (item.id === id) item.tmdb = status;
+    }
+  }
+
+  /**
+   * Point items at the entry their content was merged into
+   * @param {string} fromId - Merged-away id
+   * @param {string} toId - Surviving id
+   */
+  reassignId(fromId, toId) {
+    for (const item of this.items) {
+      if (item.id === fromId) item.id = toId;
+    }
+  }
+
+  /**
+   * Mark the run as finished
+   * @param {string} status - 'success' | 'failed' | 'aborted' (stopped before writing the cache)
+   * @param {Error} [error]
+   */
+  finish(status, error = null) {
+    this.status = status;
+    this.error = error ? error.message : null;
+    this.reason = error?.reason || null;
+    this.finishedAt = new Date().toISOString();
+  }
+
+  /**
+   * Counts per outcome, per skip reason and per TMDB status
+   */
+  getSummary() {
+    const summary = { total: this.items.length, outcomes: {}, reasons: {}, tmdb: {} };
+    for (const item of this.items) {
+      summary.outcomes[item.outcome] = (summary.outcomes[item.outcome] || 0) + 1;
+      if (item.reason) {
+        summary.reasons[item.reason] = (summary.reasons[item.reason] || 0) + 1;
+      }
+      if (item.tmdb) {
+        summary.tmdb[item.tmdb] = (summary.tmdb[item.tmdb] || 0) + 1;
+      }
+    }
+    return summary;
+  }
+
+  toJSON() {
+    return {
+      runId: this.runId,
+      trigger: this.trigger,
+      status: this.status,
+      error: this.error,
+      reason: this.reason,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      summary: this.getSummary(),
+      items: this.items
+    };
+  }
+}
+
+module.exports = ScrapeReport;
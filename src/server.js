@@ -21,6 +21,9 @@ const torboxConfig = require('./utils/torbox-config');
 const tokenManager = require('./utils/token-manager');
 const proxyStreamHandler = require('./routes/proxy-stream');
 const fileCache = require('./cache/file-cache');
+const { listReports, getReport } = require('./cache/report-store');
+const { getDomainStatus } = require('./utils/domain-resolver');
+const { refreshYearOptions } = require('./addon/year-filter');
 const { applyCacheHeaders, applyStreamCacheHeaders } = require('./utils/cache-headers');
 
 // Local aliases so route handlers read naturally
@@ -138,7 +141,7 @@ app.get('/configure', configureHandler);
 // API endpoint to create token and generate addon URL
 app.post('/api/create-token', async (req, res) => {
   try {
-    let { torboxApiKey, torboxApiUrl, visibleCatalogs, seriesLanguages } = req.body;
+    let { torboxApiKey, torboxApiUrl, visibleCatalogs, seriesLanguages, audioLanguages, maxCertification, hideUnrated } = req.body;
     
     if (!torboxApiKey) {
       return res.status(400).json({ success: false, error: 'Torbox API key is required' });
@@ -156,7 +159,10 @@ app.post('/api/create-token', async (req, res) => {
       torboxApiKey,
       torboxApiUrl || constants.TORBOX_API_URL,
       visibleCatalogs,
-      seriesLanguages
+      seriesLanguages,
+      audioLanguages,
+      maxCertification,
+      hideUnrated
     );
     
     // Generate unique addon URL with token
@@ -180,13 +186,13 @@ app.post('/api/create-token', async (req, res) => {
 // API endpoint to update catalog visibility for existing token
 app.post('/api/update-token-catalogs', async (req, res) => {
   try {
-    const { token, visibleCatalogs, seriesLanguages } = req.body;
+    const { token, visibleCatalogs, seriesLanguages, audioLanguages, maxCertification, hideUnrated } = req.body;
     
     if (!token) {
       return res.status(400).json({ success: false, error: 'Token is required' });
     }
     
-    const updated = await tokenManager.updateTokenCatalogs(token, visibleCatalogs, seriesLanguages);
+    const updated = await tokenManager.updateTokenCatalogs(token, visibleCatalogs, seriesLanguages, audioLanguages, maxCertification, hideUnrated);
     if (!updated) {
       return res.status(404).json({ success: false, error: 'Invalid token' });
     }
@@ -216,7 +222,10 @@ app.get('/api/token-config', async (req, res) => {
     res.json({
       success: true,
       visibleCatalogs: config.visibleCatalogs || [],
-      seriesLanguages: config.seriesLanguages || []
+      seriesLanguages: config.seriesLanguages || [],
+      audioLanguages: config.audioLanguages || [],
+      maxCertification: config.maxCertification || '',
+      hideUnrated: config.hideUnrated
     });
   } catch (error) {
     logger.error(`[TOKEN] Failed to get token config:`, error);
@@ -224,6 +233,10 @@ app.get('/api/token-config', async (req, res) => {
   }
 });
 
+// Catalog year filter options follow what's in the cache
+refreshYearOptions();
+fileCache.on('change', refreshYearOptions);
+
 // Initialize scheduler
 const scheduler = new ScraperScheduler();
 scheduler.start();
@@ -267,6 +280,62 @@ app.get('/api/rescrape', async (req, res) => {
   }
 });
 
+// Admin routes to inspect per-item scrape outcomes of recent runs
+// Usage: GET /api/scrape-reports?secret=YOUR_SECRET_TOKEN
+app.get('/api/scrape-reports', async (req, res) => {
+  try {
+    const auth = verifyAdminSecret(req.query.secret);
+    if (!auth.ok) {
+      if (auth.status === 403) logger.warn('[SCRAPE-REPORTS] Invalid secret token attempt');
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const reports = await listReports();
+    res.json({ success: true, reports });
+  } catch (error) {
+    logger.error('[SCRAPE-REPORTS] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Usage: GET /api/scrape-reports/:runId?secret=YOUR_SECRET_TOKEN
+app.get('/api/scrape-reports/:runId', async (req, res) => {
+  try {
+    const auth = verifyAdminSecret(req.query.secret);
+    if (!auth.ok) {
+      if (auth.status === 403) logger.warn('[SCRAPE-REPORTS] Invalid secret token attempt');
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const report = await getReport(req.params.runId);
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'Scrape report not found' });
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error('[SCRAPE-REPORTS] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Admin route to inspect TamilMV domain resolution (current domain, mirror health, probes)
+// Usage: GET /api/domain-status?secret=YOUR_SECRET_TOKEN
+app.get('/api/domain-status', async (req, res) => {
+  try {
+    const auth = verifyAdminSecret(req.query.secret);
+    if (!auth.ok) {
+      if (auth.status === 403) logger.warn('[DOMAIN-STATUS] Invalid secret token attempt');
+      return res.status(auth.status).json({ success: false, error: auth.error });
+    }
+
+    const status = await getDomainStatus();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    logger.error('[DOMAIN-STATUS] Error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Create rate limiter for proxy route
 const proxyRateLimiter = rateLimit({
   windowMs: constants.PROXY_RATE_LIMIT_WINDOW,
@@ -334,6 +403,15 @@ app.get('/stremio/:token/:encrypted/catalog/:type/*', async (req, res) => {
   if (tokenConfig && Array.isArray(tokenConfig.seriesLanguages) && tokenConfig.seriesLanguages.length > 0) {
     extra.configuredSeriesLanguages = tokenConfig.seriesLanguages;
   }
+  // The "Recently Added" row only mixes in catalogs the token shows
+  if (tokenConfig && Array.isArray(tokenConfig.visibleCatalogs) && tokenConfig.visibleCatalogs.length > 0) {
+    extra.visibleCatalogs = tokenConfig.visibleCatalogs;
+  }
+  // Titles above the token's maximum certification (and unrated ones, if it hides them) are left out
+  if (tokenConfig && tokenConfig.maxCertification) {
+    extra.maxCertification = tokenConfig.maxCertification;
+    extra.hideUnrated = tokenConfig.hideUnrated;
+  }
 
   logger.info(`[TOKEN CATALOG] Request for ${type}/${id} - Extra: ${JSON.stringify(extra)}`);
   try {
@@ -356,9 +434,14 @@ const addonInterface = addonBuilder(manifest)
   .getInterface();
 
 app.get('/stremio/:token/:encrypted/meta/:type/:id.json', async (req, res) => {
-  const { type, id } = req.params;
+  const { token, type, id } = req.params;
+  // Titles above the token's maximum certification have no meta
+  const tokenConfig = tokenManager.getConfigForToken(token);
+  const extra = tokenConfig && tokenConfig.maxCertification
+    ? { maxCertification: tokenConfig.maxCertification, hideUnrated: tokenConfig.hideUnrated }
+    : {};
   try {
-    const metaData = await metaHandler({ type, id });
+    const metaData = await metaHandler({ type, id, extra });
     applyCacheHeaders(res, metaData);
     res.json(metaData);
   } catch (error) {
@@ -475,6 +558,14 @@ app.get('/api/cache/full-replace', async (req, res) => {
   }
 });
 
+// Standard manifest route (for non-token installations). Registered before
+// serveHTTP, whose copy of the manifest is frozen at startup and would miss
+// year filter options rebuilt after a scrape.
+app.get('/manifest.json', (req, res) => {
+  logger.info('[STANDARD MANIFEST] Request for manifest.json');
+  res.json(manifest);
+});
+
 // Call serveHTTP to mount Stremio addon routes on our Express app
 // Don't pass port - this only mounts routes, doesn't start a server
 serveHTTP(addonInterface, {
@@ -519,12 +610,6 @@ app.get('/meta/:type/:id.json', async (req, res) => {
   }
 });
 
-// Add explicit standard manifest route (for non-token installations)
-app.get('/manifest.json', (req, res) => {
-  logger.info('[STANDARD MANIFEST] Request for manifest.json');
-  res.json(manifest);
-});
-
 // 404 handler to catch unmatched requests and log them (must be last, before server starts)
 app.use((req, res) => {
   // Only log Stremio-related 404s
@@ -0,0 +1,125 @@
+/**
+ * Minimal bencode codec (BEP 3) for .torrent files.
+ *
+ * Byte strings decode to Buffers (torrent fields like `pieces` are binary);
+ * dictionary keys decode to utf8 strings. Integers decode to numbers.
+ */
+
+/**
+ * Decode the value starting at `pos`
+ * @returns {[*, number]} - [value, position after it]
+ */
+function decodeAt(buffer, pos) {
+  const byte = buffer[pos];
+
+  // Integer: i<digits>e
+  if (byte === 0x69) {
+    const end = buffer.indexOf(0x65, pos);
+    if (end === -1) throw new Error(`Unterminated integer at ${pos}`);
+    const value = Number(buffer.toString('ascii', pos + 1, end));
+    if (!Number.isFinite(value)) throw new Error(`Invalid integer at ${pos}`);
+    return [value, end + 1];
+  }
+
+  // List: l<values>e
+  if (byte === 0x6c) {
+    const list = [];
+    pos++;
+    while (buffer[pos] !== 0x65) {
+      if (pos >= buffer.length) throw new Error('Unterminated list');
+      const [value, next] = decodeAt(buffer, pos);
+      list.push(value);
+      pos = next;
+    }
+    return [list, pos + 1];
+  }
+
+  // Dictionary: d<key><value>...e
+  if (byte === 0x64) {
+    const dict = {};
+    pos++;
+    while (buffer[pos] !== 0x65) {
+      if (pos >= buffer.length) throw new Error('Unterminated dictionary');
+      const [key, afterKey] = decodeAt(buffer, pos);
+      if (!Buffer.isBuffer(key)) throw new Error(`Dictionary key must be a string at ${pos}`);
+      const [value, next] = decodeAt(buffer, afterKey);
+      dict[key.toString('utf8')] = value;
+      pos = next;
+    }
+    return [dict, pos + 1];
+  }
+
+  // Byte string: <length>:<bytes>
+  if (byte >= 0x30 && byte <= 0x39) {
+    const colon = buffer.indexOf(0x3a, pos);
+    if (colon === -1) throw new Error(`Invalid string length at ${pos}`);
+    const length = parseInt(buffer.toString('ascii', pos, colon), 10);
+    const start = colon + 1;
+    if (start + length > buffer.length) throw new Error(`String overruns data at ${pos}`);
+    return [buffer.subarray(start, start + length), start + length];
+  }
+
+  throw new Error(`Unexpected byte 0x${(byte ?? 0).toString(16)} at ${pos}`);
+}
+
+/**
+ * Decode bencoded data
+ * @param {Buffer} buffer
+ * @returns {*}
+ */
+function decode(buffer) {
+  const [value] = decodeAt(buffer, 0);
+  return value;
+}
+
+/**
+ * Raw bytes of one key's value in a top-level dictionary, exactly as encoded
+ * (the info hash is the SHA-1 of the raw `info` dictionary)
+ * @param {Buffer} buffer - Bencoded dictionary
+ * @param {string} wantedKey
+ * @returns {Buffer|null}
+ */
+function getRawValue(buffer, wantedKey) {
+  if (buffer[0] !== 0x64) return null;
+  let pos = 1;
+  while (pos < buffer.length && buffer[pos] !== 0x65) {
+    const [key, afterKey] = decodeAt(buffer, pos);
+    const [, next] = decodeAt(buffer, afterKey);
+    if (key.toString('utf8') === wantedKey) {
+      return buffer.subarray(afterKey, next);
+    }
+    pos = next;
+  }
+  return null;
+}
+
+/**
+ * Bencode a value (strings/Buffers, integers, arrays, plain objects)
+ * Dictionary keys are written sorted, as the spec requires.
+ * @returns {Buffer}
+ */
+function encode(value) {
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([Buffer.from(`${value.length}:`), value]);
+  }
+  if (typeof value === 'string') {
+    return encode(Buffer.from(value, 'utf8'));
+  }
+  if (typeof value === 'number') {
+    return Buffer.from(`i${Math.trunc(value)}e`);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from('l'), ...value.map(encode), Buffer.from('e')]);
+  }
+  if (value && typeof value === 'object') {
+    const parts = Object.keys(value).sort().flatMap(key => [encode(key), encode(value[key])]);
+    return Buffer.concat([Buffer.from('d'), ...parts, Buffer.from('e')]);
+  }
+  throw new Error(`Cannot bencode ${typeof value}`);
+}
+
+module.exports = {
+  decode,
+  encode,
+  getRawValue
+};
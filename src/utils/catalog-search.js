@@ -0,0 +1,233 @@
+const { levenshteinDistance } = require('./levenshtein');
+const { transliterate } = require('./transliterate');
+
+/**
+ * Catalog search: token-based, typo-tolerant and script-agnostic
+ *
+ * Queries and titles are normalized (Indic scripts romanized, accents and
+ * punctuation dropped) and split into tokens. Every query token has to match
+ * somewhere in the item - its name, TMDB original/alternative titles, cast,
+ * director or year - exactly, as a prefix, within a few typos, or by sound
+ * (see phoneticKey). Items are returned best match first.
+ */
+
+// Ignored unless the query has nothing else
+const STOPWORDS = new Set(['the', 'a', 'an', 'of', 'and']);
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+  name: 1,
+  altTitle: 0.9,
+  year: 1,
+  person: 0.6
+};
+
+// Per-token match quality, before field weights
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.7, // minus 0.1 per extra edit
+  phonetic: 0.65,
+  phoneticTypo: 0.5
+};
+
+// Tokenized search fields per catalog item (catalog arrays are reused from the cache)
+const documents = new WeakMap();
+
+/**
+ * Lowercase, romanize and strip accents/punctuation
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+  if (!text || typeof text !== 'string') return '';
+  return transliterate(text)
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  const normalized = normalizeSearchText(text);
+  return normalized ? normalized.split(' ') : [];
+}
+
+/**
+ * Sound-alike key of a romanized token, so spellings of one name from
+ * different scripts meet: "leo" / "liyo" -> "liu", "jailer" / "jeyilar" -> "jilir" / "jilar"
+ * (voiced and unvoiced consonants, aspiration, vowel length and e/i, o/u merged)
+ * @param {string} token - Normalized token
+ * @returns {string}
+ */
+function phoneticKey(token) {
+  return token
+    .replace(/ph/g, 'f')
+    .replace(/([bcdfgjklmnpqrstvwxz])h/g, '$1')
+    .replace(/ny/g, 'n')
+    .replace(/ng(?=[kg])/g, 'n')
+    .replace(/[gq]/g, 'k')
+    .replace(/d/g, 't')
+    .replace(/[bf]/g, 'p')
+    .replace(/[jzcx]/g, 's')
+    .replace(/w/g, 'v')
+    .replace(/ai/g, 'i')
+    .replace(/e/g, 'i')
+    .replace(/o/g, 'u')
+    .replace(/([aiu])y(?=[aiu])/g, '$1')
+    .replace(/(.)\1+/g, '$1');
+}
+
+// Typos tolerated for a token of this length
+function allowedEdits(length) {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+function toTerm(token) {
+  return { token, key: /^\d+$/.test(token) ? null : phoneticKey(token) };
+}
+
+/**
+ * How well a query token matches one document token (0 = not at all)
+ */
+function matchToken(query, term) {
+  const { token } = term;
+  if (query.token === token) return MATCH_SCORES.exact;
+  if (!query.key || !term.key) return 0; // Numbers only match exactly
+  if (query.token.length >= 2 && token.startsWith(query.token)) return MATCH_SCORES.prefix;
+
+  const maxEdits = allowedEdits(query.token.length);
+  if (maxEdits > 0) {
+    const distance = levenshteinDistance(query.token, token, maxEdits);
+    if (distance <= maxEdits) return MATCH_SCORES.typo - 0.1 * (distance - 1);
+  }
+
+  if (query.key.length >= 2 && query.key === term.key) return MATCH_SCORES.phonetic;
+  const maxKeyEdits = allowedEdits(query.key.length);
+  if (maxKeyEdits > 0 && levenshteinDistance(query.key, term.key, maxKeyEdits) <= maxKeyEdits) {
+    return MATCH_SCORES.phoneticTypo;
+  }
+  return 0;
+}
+
+/**
+ * Search fields of a catalog item, tokenized once per item
+ */
+function getDocument(item) {
+  let doc = documents.get(item);
+  if (doc) return doc;
+
+  const list = value => (Array.isArray(value) ? value : []);
+  const altTitles = [item.tmdbOriginalTitle, ...list(item.alternativeTitles)].filter(Boolean);
+  const people = [...list(item.cast), ...list(item.director)].filter(Boolean);
+  const year = String(item.releaseInfo || '').match(/\b(?:19|20)\d{2}\b/);
+
+  doc = {
+    name: normalizeSearchText(item.name),
+    altTitles: altTitles.map(normalizeSearchText),
+    fields: [
+      { weight: FIELD_WEIGHTS.name, terms: tokenize(item.name).map(toTerm) },
+      { weight: FIELD_WEIGHTS.altTitle, terms: altTitles.flatMap(tokenize).map(toTerm) },
+      { weight: FIELD_WEIGHTS.year, terms: year ? [toTerm(year[0])] : [] },
+      { weight: FIELD_WEIGHTS.person, terms: people.flatMap(tokenize).map(toTerm) }
+    ]
+  };
+  documents.set(item, doc);
+  return doc;
+}
+
+/**
+ * Relevance of an item for a parsed query (0 = no match)
+ */
+function scoreItem(item, query) {
+  const doc = getDocument(item);
+  let total = 0;
+
+  for (const queryTerm of query.terms) {
+    let best = 0;
+    for (const field of doc.fields) {
+      for (const term of field.terms) {
+        const score = field.weight * matchToken(queryTerm, term);
+        if (score > best) best = score;
+        if (best === 1) break;
+      }
+    }
+    if (best === 0) return 0; // Every query token has to match something
+    total += best;
+  }
+
+  let score = total / query.terms.length;
+  // Whole-title matches rank above items that merely share words
+  const titles = [doc.name, ...doc.altTitles];
+  if (titles.includes(query.text)) {
+    score += 0.5;
+  } else if (titles.some(title => title.startsWith(query.text))) {
+    score += 0.25;
+  }
+  return score;
+}
+
+/**
+ * Parse a raw query: every term has to match, stopwords only count when
+ * nothing else is typed
+ * @param {string} search - Raw query from the `search` extra
+ * @returns {{ text: string, terms: Array }|null} - null for an empty query
+ */
+function parseSearchQuery(search) {
+  const tokens = tokenize(search);
+  const meaningful = tokens.filter(token => !STOPWORDS.has(token));
+  const queryTokens = meaningful.length > 0 ? meaningful : tokens;
+  if (queryTokens.length === 0) return null;
+  return { text: tokens.join(' '), terms: queryTokens.map(toTerm) };
+}
+
+/**
+ * Distinct terms an item can be found by, across all its search fields
+ * (keys for an inverted index: see catalog-index.js)
+ * @returns {Array<{ token: string, key: string|null }>}
+ */
+function searchTerms(item) {
+  const terms = new Map();
+  for (const field of getDocument(item).fields) {
+    for (const term of field.terms) terms.set(term.token, term);
+  }
+  return [...terms.values()];
+}
+
+/**
+ * Whether a query term matches a document term at all (exactly, by prefix,
+ * within a few typos or by sound)
+ */
+function termMatches(queryTerm, term) {
+  return matchToken(queryTerm, term) > 0;
+}
+
+/**
+ * Filter and rank catalog items for a search query
+ * @param {Array} items - Catalog items (meta previews)
+ * @param {string} search - Raw query from the `search` extra
+ * @returns {Array} - Matching items, most relevant first (catalog order on ties)
+ */
+function searchCatalog(items, search) {
+  const query = parseSearchQuery(search);
+  if (!query) return [];
+
+  return items
+    .map(item => ({ item, score: scoreItem(item, query) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item);
+}
+
+module.exports = {
+  searchCatalog,
+  parseSearchQuery,
+  searchTerms,
+  termMatches,
+  normalizeSearchText,
+  phoneticKey
+};
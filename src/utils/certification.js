@@ -0,0 +1,74 @@
+const constants = require('./constants');
+
+/**
+ * Content certifications for the per-token maximum (see the configure page)
+ *
+ * TMDB reports each country's own rating: "U/A 13+" in India, "PG-13" or
+ * "TV-14" in the US. They're mapped onto the CBFC scale in
+ * constants.CERTIFICATIONS so one maximum covers every title. Where the two
+ * scales don't line up, the stricter CBFC level is used.
+ */
+
+// Countries whose TMDB rating is used, in order of preference
+const CERTIFICATION_COUNTRIES = ['IN', 'US'];
+
+// Rating (uppercased, spaces and slashes removed) -> CBFC level
+const RATING_LEVELS = {
+  IN: {
+    'U': 'U',
+    'UA7+': 'U/A 7+',
+    'UA13+': 'U/A 13+',
+    'UA16+': 'U/A 16+',
+    'UA': 'U/A 13+', // Before the 2024 age bands
+    'A': 'A',
+    'S': 'A' // Restricted to specialized audiences
+  },
+  US: {
+    'G': 'U',
+    'PG': 'U/A 7+',
+    'PG-13': 'U/A 13+',
+    'R': 'A',
+    'NC-17': 'A',
+    'TV-Y': 'U',
+    'TV-G': 'U',
+    'TV-Y7': 'U/A 7+',
+    'TV-PG': 'U/A 7+',
+    'TV-14': 'U/A 16+',
+    'TV-MA': 'A'
+  }
+};
+
+/**
+ * CBFC level of a country's rating
+ * @param {string} country - ISO 3166-1 code ("IN", "US")
+ * @param {string} rating - As TMDB spells it ("U/A 13+", "PG-13")
+ * @returns {string|null} - One of constants.CERTIFICATIONS, or null when unknown
+ */
+function toCertification(country, rating) {
+  const levels = RATING_LEVELS[country];
+  if (!levels || !rating || typeof rating !== 'string') return null;
+  return levels[rating.toUpperCase().replace(/[\s/]/g, '')] || null;
+}
+
+/**
+ * Whether a title may be shown under a maximum certification
+ * Titles without a known certification are shown by default: most forum
+ * releases have none on TMDB, and hiding them all would empty the catalogs.
+ * @param {string|null} certification - The title's CBFC level
+ * @param {string} [maxCertification] - Token setting; empty or unknown = no limit
+ * @param {boolean} [hideUnrated] - Token setting; also hide titles without a known level
+ * @returns {boolean}
+ */
+function isCertificationAllowed(certification, maxCertification, hideUnrated = false) {
+  const max = constants.CERTIFICATIONS.indexOf(maxCertification);
+  if (max === -1) return true;
+  const level = constants.CERTIFICATIONS.indexOf(certification);
+  if (level === -1) return !hideUnrated;
+  return level <= max;
+}
+
+module.exports = {
+  CERTIFICATION_COUNTRIES,
+  toCertification,
+  isCertificationAllowed
+};
@@ -1,3 +1,10 @@
+// Integer setting where 0 is meaningful (so `|| default` can't be used);
+// missing or non-numeric values fall back to the default
+function intSetting(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
 module.exports = {
   BASE_URL: 'https://www.1tamilmv.lc/',
   
@@ -31,6 +38,20 @@ module.exports = {
   CATALOG_LANGUAGE_OPTIONS: [
     'All', 'Tamil', 'Telugu', 'Hindi', 'Malayalam', 'Kannada', 'English'
   ],
+
+  // Catalog `sort` dropdown (first = the cache's own order)
+  CATALOG_SORT_OPTIONS: [
+    'Recently added', 'Release date', 'Rating', 'Popularity', 'Title A–Z'
+  ],
+
+  // Catalog `quality` dropdown: items with at least one stream of that quality
+  CATALOG_QUALITY_OPTIONS: [
+    '4K', 'HDR', 'Dolby Vision', '1080p', '720p'
+  ],
+
+  // Content certifications on the Indian (CBFC) scale, most permissive last.
+  // TMDB ratings from other countries are mapped onto it (see certification.js).
+  CERTIFICATIONS: ['U', 'U/A 7+', 'U/A 13+', 'U/A 16+', 'A'],
   
   QUALITIES: {
     '4K': '4K',
@@ -41,11 +62,64 @@ module.exports = {
   },
   
   SCRAPE_INTERVAL: '0 */4 * * *', // Every 4 hours
-  
+
+  // Domain resolution: resolver entry points (redirect to the current domain) are
+  // tried first, then the last working domain, then mirrors by health score
+  DOMAIN_RESOLVER_URLS: (process.env.DOMAIN_RESOLVER_URLS || 'https://www.1tamilmv.fi').split(',').map(url => url.trim()).filter(Boolean),
+  DOMAIN_MIRRORS: (process.env.DOMAIN_MIRRORS || 'https://www.1tamilmv.lc/').split(',').map(url => url.trim()).filter(Boolean),
+  DOMAIN_PROBE_HISTORY: parseInt(process.env.DOMAIN_PROBE_HISTORY, 10) || 50, // Probe results kept in the domain state
+
+  // Content-source providers scraped each run, in priority order (see scraper/provider-registry.js)
+  SCRAPE_PROVIDERS: (process.env.SCRAPE_PROVIDERS || 'tamilmv').split(',').map(id => id.trim()).filter(Boolean),
+
+  // Listing discovery: homepage + paginated per-language sub-forums
+  SCRAPE_MAX_LISTINGS: parseInt(process.env.SCRAPE_MAX_LISTINGS, 10) || 500, // Topics processed per run
+  FORUM_MAX_PAGES: intSetting(process.env.FORUM_MAX_PAGES, 3), // Pages followed per sub-forum (0 = homepage only)
+  FORUM_MAX_AGE_DAYS: parseInt(process.env.FORUM_MAX_AGE_DAYS, 10) || 90, // Stop paging once a page is older than this
+  // Optional comma-separated sub-forum URLs; when unset they are discovered from the homepage
+  FORUM_URLS: (process.env.FORUM_URLS || '').split(',').map(url => url.trim()).filter(Boolean),
+
+  // Topic page fetching: parallel workers, spaced per host and slowed down on errors
+  SCRAPE_CONCURRENCY: parseInt(process.env.SCRAPE_CONCURRENCY, 10) || 4,
+  SCRAPE_HOST_MIN_INTERVAL: intSetting(process.env.SCRAPE_HOST_MIN_INTERVAL, 250), // ms between requests to one host
+  SCRAPE_HOST_MAX_INTERVAL: parseInt(process.env.SCRAPE_HOST_MAX_INTERVAL, 10) || 15000, // ms, ceiling after repeated errors
+
+  // Retries: exponential backoff with jitter, or the server's Retry-After (capped); no retries on 404/410
+  SCRAPE_RETRY_BASE_DELAY: parseInt(process.env.SCRAPE_RETRY_BASE_DELAY, 10) || 1000, // ms before the first retry
+  SCRAPE_RETRY_MAX_DELAY: parseInt(process.env.SCRAPE_RETRY_MAX_DELAY, 10) || 30000, // ms, backoff ceiling
+  SCRAPE_RETRY_AFTER_MAX: parseInt(process.env.SCRAPE_RETRY_AFTER_MAX, 10) || 300000, // ms, longest Retry-After honored
+  // Run-wide throttle budget: this many 429/503s within the window pause every request
+  SCRAPE_THROTTLE_BUDGET: parseInt(process.env.SCRAPE_THROTTLE_BUDGET, 10) || 5,
+  SCRAPE_THROTTLE_WINDOW: parseInt(process.env.SCRAPE_THROTTLE_WINDOW, 10) || 60000, // ms
+  SCRAPE_THROTTLE_PAUSE: parseInt(process.env.SCRAPE_THROTTLE_PAUSE, 10) || 60000, // ms
+
+  // Scraper HTTP record/replay: 'live' (default), 'record' or 'replay' (see utils/http-archive.js)
+  SCRAPE_HTTP_MODE: process.env.SCRAPE_HTTP_MODE || 'live',
+  SCRAPE_HTTP_ARCHIVE_DIR: process.env.SCRAPE_HTTP_ARCHIVE_DIR || `${process.env.CACHE_DIR || 'cache'}/http-archive`,
+
+  SCRAPE_REPORT_RETENTION: parseInt(process.env.SCRAPE_REPORT_RETENTION, 10) || 10, // Scrape reports kept on disk
+
+  // Outbound proxies (http://, https:// or socks5:// URLs); each integration falls back to
+  // OUTBOUND_PROXY_URL, and 'none' forces a direct connection (see utils/proxy-agent.js)
+  OUTBOUND_PROXY_URL: process.env.OUTBOUND_PROXY_URL || null,
+  SCRAPER_PROXY_URL: process.env.SCRAPER_PROXY_URL || null, // Forum pages, attachments, domain resolution
+  TMDB_PROXY_URL: process.env.TMDB_PROXY_URL || null,
+  TORBOX_PROXY_URL: process.env.TORBOX_PROXY_URL || null,
+
+  // Abort a run (keeping the cache) when it has fewer listings/items than this share of the
+  // last successful run; only checked once that run had at least SCRAPE_ANOMALY_MIN_PREVIOUS
+  SCRAPE_ANOMALY_MIN_RATIO: parseFloat(process.env.SCRAPE_ANOMALY_MIN_RATIO) || 0.5,
+  SCRAPE_ANOMALY_MIN_PREVIOUS: parseInt(process.env.SCRAPE_ANOMALY_MIN_PREVIOUS, 10) || 20,
+
   CACHE_DIR: process.env.CACHE_DIR || 'cache',
   CACHE_CATALOGS_DIR: `${process.env.CACHE_DIR || 'cache'}/catalogs`,
   CACHE_MOVIES_DIR: `${process.env.CACHE_DIR || 'cache'}/movies`,
   CACHE_STREAMS_DIR: `${process.env.CACHE_DIR || 'cache'}/streams`,
+  CACHE_TORRENTS_DIR: `${process.env.CACHE_DIR || 'cache'}/torrents`, // File lists of ingested .torrent attachments
+  CACHE_REPORTS_DIR: `${process.env.CACHE_DIR || 'cache'}/reports`, // Per-run scrape outcome reports
+  CACHE_DOMAIN_STATE_FILE: `${process.env.CACHE_DIR || 'cache'}/domain-state.json`, // Last-known-good domain + probe history
+  CACHE_TOPICS_FILE: `${process.env.CACHE_DIR || 'cache'}/topics.json`, // Topic id -> cached id + content fingerprint
+  CACHE_ALIASES_FILE: `${process.env.CACHE_DIR || 'cache'}/aliases.json`, // Merged-away movie id -> surviving id
 
   // Max entries kept in each in-memory cache Map (LRU eviction beyond this)
   MEMORY_CACHE_MAX_ENTRIES: 500,
@@ -57,6 +131,7 @@ module.exports = {
   META_CACHE_MAX_AGE: 86400, // 1 day (enriched data is stable)
   STREAM_CACHE_MAX_AGE: 300, // 5 minutes (only when no per-user TorBox URLs)
   PAGE_SIZE: 100, // Stremio standard catalog page size
+  CATALOG_YEAR_RECENT_YEARS: 10, // Year filter lists this many recent years one by one, older ones by decade
   
   PORT: process.env.PORT || 3005,
   
@@ -79,6 +154,10 @@ module.exports = {
   TMDB_API_KEY: process.env.TMDB_API_KEY || null,
   TMDB_API_URL: 'https://api.themoviedb.org/3',
   TMDB_POSTER_BASE_URL: 'https://image.tmdb.org/t/p',
-  TMDB_RATE_LIMIT_DELAY: 250 // ms between requests (40 requests per 10 seconds)
+  TMDB_RATE_LIMIT_DELAY: 250, // ms between requests (40 requests per 10 seconds)
+  // Refetching fields added since cached items were enriched: parallel detail
+  // fetches, and items refetched per run (the rest are picked up by later runs)
+  TMDB_BACKFILL_CONCURRENCY: parseInt(process.env.TMDB_BACKFILL_CONCURRENCY, 10) || 2,
+  TMDB_BACKFILL_MAX_ITEMS: parseInt(process.env.TMDB_BACKFILL_MAX_ITEMS, 10) || 100
 };
 
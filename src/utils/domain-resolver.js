@@ -1,54 +1,283 @@
+const fs = require('fs').promises;
+const path = require('path');
 const axios = require('axios');
 const logger = require('./logger');
+const constants = require('./constants');
+const httpArchive = require('./http-archive');
+const { retryRequest, getStatus } = require('./retry-policy');
+const { getAxiosProxyOptions } = require('./proxy-agent');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Weight of the latest probe in a domain's health score (0..1)
+const SCORE_WEIGHT = 0.3;
 
 /**
- * Resolve the latest TamilMV domain by following redirects from www.1tamilmv.fi
- * @returns {Promise<string>} The latest domain URL (with trailing slash)
+ * Normalize a URL to its origin with a trailing slash
+ */
+function toBaseUrl(url) {
+  const urlObj = new URL(url);
+  return `${urlObj.protocol}//${urlObj.host}/`;
+}
+
+/**
+ * Whether a page looks like the forum homepage (and not a parking page,
+ * block page or bare redirect): it must link to forum topics
+ * @param {string} html
+ * @returns {boolean}
  */
-async function resolveLatestDomain() {
-  const resolverUrl = 'https://www.1tamilmv.fi';
-  
-  try {
-    logger.info(`Resolving latest TamilMV domain from ${resolverUrl}...`);
-    
-    // Follow redirects to get the final domain
-    const response = await axios.get(resolverUrl, {
-      maxRedirects: 10,
-      validateStatus: (status) => status < 400, // Accept redirects
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+function looksLikeForumHomepage(html) {
+  if (typeof html !== 'string' || html.length === 0) return false;
+  return /href=["'][^"']*\/forums\/topic\/\d+/i.test(html);
+}
+
+/**
+ * Finds the TamilMV domain currently serving the forum.
+ *
+ * Candidates, in order: resolver entry points (redirect to the newest domain),
+ * the last domain that worked, then mirrors by health score. Each candidate is
+ * probed and its final page validated; the winner is persisted so a restart
+ * (or an outage of every candidate) falls back to it.
+ *
+ * State file: { current, lastKnownGood, resolvedAt, health: { baseUrl: {...} }, history: [probe] }
+ */
+class DomainResolver {
+  constructor({
+    resolvers = constants.DOMAIN_RESOLVER_URLS,
+    mirrors = constants.DOMAIN_MIRRORS,
+    stateFile = constants.CACHE_DOMAIN_STATE_FILE,
+    historyLimit = constants.DOMAIN_PROBE_HISTORY,
+    httpGet = (url, options) => axios.get(url, { ...options, ...getAxiosProxyOptions('scraper') }),
+    attempts = 2 // Per candidate; 404/410 are never retried
+  } = {}) {
+    this.resolvers = resolvers;
+    this.mirrors = mirrors.map(toBaseUrl);
+    this.stateFile = stateFile;
+    this.historyLimit = historyLimit;
+    this.httpGet = httpGet;
+    this.attempts = attempts;
+    this.state = null; // Lazily loaded from disk
+  }
+
+  /**
+   * Load persisted state (once)
+   */
+  async load() {
+    if (this.state) return this.state;
+
+    try {
+      this.state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Error reading domain state, starting fresh:', error.message);
+      }
+      this.state = {};
+    }
+    this.state.health = this.state.health || {};
+    this.state.history = this.state.history || [];
+
+    return this.state;
+  }
+
+  async save() {
+    const tempPath = `${this.stateFile}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify(this.state, null, 2), 'utf8');
+      await fs.rename(tempPath, this.stateFile);
+    } catch (error) {
+      logger.warn('Failed to persist domain state:', error.message);
+    }
+  }
+
+  /**
+   * Fetch a candidate and check that it lands on the forum homepage
+   * @param {string} url - Resolver or mirror URL
+   * @param {string} kind - 'resolver' | 'mirror' | 'last-known-good'
+   * @returns {Promise<Object>} - { url, kind, ok, baseUrl, status, reason, ms, at }
+   */
+  async probe(url, kind) {
+    const started = Date.now();
+    const result = { url, kind, ok: false, baseUrl: null, status: null, reason: null };
+
+    try {
+      const response = await retryRequest(() => this.httpGet(url, {
+        maxRedirects: 10,
+        validateStatus: (status) => status < 400, // Accept redirects
+        timeout: 15000,
+        headers: { 'User-Agent': USER_AGENT }
+      }), {
+        attempts: this.attempts,
+        onRetry: (error, attempt, delay) => {
+          logger.debug(`Domain probe ${url} failed (${getStatus(error) || error.code || error.message}), retrying in ${delay}ms`);
+        }
+      });
+
+      // axios follows redirects automatically, the final URL is in response.request.res.responseUrl
+      const finalUrl = response.request?.res?.responseUrl || url;
+      result.status = response.status;
+      result.baseUrl = toBaseUrl(finalUrl);
+
+      if (looksLikeForumHomepage(response.data)) {
+        result.ok = true;
+      } else {
+        result.reason = 'not-forum';
+      }
+
+      if (result.ok && kind === 'resolver' && httpArchive.isRecording()) {
+        await httpArchive.record(url, {
+          body: typeof response.data === 'string' ? response.data : '',
+          status: response.status,
+          finalUrl,
+          contentType: response.headers?.['content-type'] || null
+        });
+      }
+    } catch (error) {
+      result.status = error.response?.status || null;
+      result.reason = error.code || error.message;
+    }
+
+    result.ms = Date.now() - started;
+    result.at = new Date().toISOString();
+    return result;
+  }
+
+  /**
+   * Fold a probe into the per-domain health record and the capped history
+   */
+  recordProbe(result) {
+    const state = this.state;
+    state.history.push(result);
+    if (state.history.length > this.historyLimit) {
+      state.history.splice(0, state.history.length - this.historyLimit);
+    }
+
+    // Resolver failures say nothing about a domain; score whatever was reached
+    const domain = result.baseUrl || (result.kind !== 'resolver' ? toBaseUrl(result.url) : null);
+    if (!domain) return;
+
+    const health = state.health[domain] || { score: 0.5, successes: 0, failures: 0 };
+    health.score = Math.round((health.score * (1 - SCORE_WEIGHT) + (result.ok ? 1 : 0) * SCORE_WEIGHT) * 1000) / 1000;
+    if (result.ok) {
+      health.successes++;
+      health.lastSuccess = result.at;
+    } else {
+      health.failures++;
+      health.lastFailure = result.at;
+      health.lastReason = result.reason;
+    }
+    state.health[domain] = health;
+  }
+
+  /**
+   * Candidate URLs in probe order, without duplicates
+   * @returns {Array} - [{ url, kind }]
+   */
+  candidates() {
+    const { health, lastKnownGood } = this.state;
+    const score = url => health[url]?.score ?? 0.5;
+    const mirrors = [...this.mirrors].sort((a, b) => score(b) - score(a));
+
+    const seen = new Set();
+    const list = [];
+    const add = (url, kind) => {
+      if (url && !seen.has(url)) {
+        seen.add(url);
+        list.push({ url, kind });
+      }
+    };
+    this.resolvers.forEach(url => add(url, 'resolver'));
+    add(lastKnownGood, 'last-known-good');
+    mirrors.forEach(url => add(url, 'mirror'));
+    return list;
+  }
+
+  /**
+   * Resolve the domain to scrape
+   * @returns {Promise<string>} - Base URL with trailing slash
+   */
+  async resolve() {
+    // Replay: reuse the redirect target recorded for a resolver
+    if (httpArchive.isReplay()) {
+      for (const resolverUrl of this.resolvers) {
+        const entry = await httpArchive.lookup(resolverUrl);
+        if (entry) {
+          const baseUrl = toBaseUrl(entry.finalUrl);
+          logger.info(`Replayed TamilMV domain: ${baseUrl}`);
+          return baseUrl;
+        }
       }
-    });
-    
-    // Extract the base URL from the final response URL
-    // axios follows redirects automatically, the final URL is in response.request.res.responseUrl
-    let finalUrl = resolverUrl;
-    if (response.request?.res?.responseUrl) {
-      finalUrl = response.request.res.responseUrl;
-    } else if (response.request?.path) {
-      // If responseUrl not available, construct from request path
-      const protocol = response.request.protocol || 'https:';
-      const host = response.request.host || response.request.getHeader('host');
-      if (host) {
-        finalUrl = `${protocol}//${host}`;
+      const fallback = this.mirrors[0] || constants.BASE_URL;
+      logger.info(`Replayed TamilMV domain: ${fallback} (not archived, using fallback)`);
+      return fallback;
+    }
+
+    const state = await this.load();
+    let resolved = null;
+
+    for (const { url, kind } of this.candidates()) {
+      logger.info(`Probing TamilMV domain via ${kind} ${url}...`);
+      const result = await this.probe(url, kind);
+      this.recordProbe(result);
+      if (result.ok) {
+        resolved = result.baseUrl;
+        break;
       }
+      logger.warn(`Domain probe failed for ${url}: ${result.reason}`);
     }
-    
-    const urlObj = new URL(finalUrl);
-    const baseUrl = `${urlObj.protocol}//${urlObj.host}/`;
-    
-    logger.success(`Resolved latest TamilMV domain: ${baseUrl}`);
-    return baseUrl;
-  } catch (error) {
-    logger.error(`Failed to resolve latest domain from ${resolverUrl}:`, error.message);
-    // Fallback to the default domain
-    const fallbackUrl = 'https://www.1tamilmv.lc/';
-    logger.warn(`Using fallback domain: ${fallbackUrl}`);
-    return fallbackUrl;
+
+    if (resolved) {
+      state.current = resolved;
+      state.lastKnownGood = resolved;
+      state.resolvedAt = new Date().toISOString();
+      logger.success(`Resolved latest TamilMV domain: ${resolved}`);
+    } else {
+      // Nothing answered like the forum: keep using what last worked
+      state.current = state.lastKnownGood || this.mirrors[0] || constants.BASE_URL;
+      logger.error(`No TamilMV domain candidate passed validation, using ${state.current}`);
+    }
+
+    await this.save();
+    return state.current;
+  }
+
+  /**
+   * Current domain, last-known-good, health per domain and recent probes (newest first)
+   */
+  async getStatus() {
+    const state = await this.load();
+    return {
+      current: state.current || null,
+      lastKnownGood: state.lastKnownGood || null,
+      resolvedAt: state.resolvedAt || null,
+      resolvers: this.resolvers,
+      mirrors: this.mirrors,
+      health: state.health,
+      history: [...state.history].reverse()
+    };
   }
 }
 
+const domainResolver = new DomainResolver();
+
+/**
+ * Resolve the latest TamilMV domain (see DomainResolver)
+ * @returns {Promise<string>} The latest domain URL (with trailing slash)
+ */
+function resolveLatestDomain() {
+  return domainResolver.resolve();
+}
+
+/**
+ * Domain resolution state for the admin endpoint
+ */
+function getDomainStatus() {
+  return domainResolver.getStatus();
+}
+
 module.exports = {
-  resolveLatestDomain
+  resolveLatestDomain,
+  getDomainStatus,
+  looksLikeForumHomepage,
+  DomainResolver
 };
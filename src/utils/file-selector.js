@@ -0,0 +1,122 @@
+/**
+ * Pick the right video file out of a multi-file torrent (season packs).
+ *
+ * Works on a plain list of { name, size } so it can be fed TorBox's file list
+ * (proxy route) as well as the file lists stored from .torrent attachments.
+ */
+
+const VIDEO_EXTENSIONS = /\.(mkv|mp4|avi|m4v|mov|webm|ts|wmv|flv)$/i;
+
+// Samples, trailers and bonus material that must never be picked as an episode
+const EXTRA_PATTERN = /(^|[\s._\-/[(])(sample|trailer|teaser|promo|extras?|featurettes?|bonus|behind[\s._-]the[\s._-]scenes|deleted[\s._-]scenes|making[\s._-]of)([\s._\-/\])]|$)/i;
+
+/**
+ * Whether a file name looks like a playable video
+ */
+function isVideoFile(name) {
+  return VIDEO_EXTENSIONS.test(name || '');
+}
+
+/**
+ * Whether a file is a sample/trailer/extra rather than real content
+ */
+function isExtraFile(name) {
+  return EXTRA_PATTERN.test(name || '');
+}
+
+/**
+ * Parse season/episode markers from a file name
+ * Handles S01E02, S01.E02, S01E01-E02 (ranges), 1x02, EP02, Episode 2 and E02.
+ * @param {string} name
+ * @returns {{season: number|null, episodes: number[]}|null}
+ */
+function parseEpisodeFromFilename(name) {
+  if (!name) return null;
+  // Only the file itself; folder names often carry the pack's season range
+  const base = name.split('/').pop().replace(/[._]/g, ' ');
+
+  const sxxeyy = base.match(/\bS(\d{1,2})\s*-?\s*E(\d{1,3})(?:\s*-\s*E?(\d{1,3})\b)?/i);
+  if (sxxeyy) {
+    return { season: parseInt(sxxeyy[1], 10), episodes: expandRange(sxxeyy[2], sxxeyy[3]) };
+  }
+
+  const nxmm = base.match(/\b(\d{1,2})x(\d{2,3})\b/i);
+  if (nxmm) {
+    return { season: parseInt(nxmm[1], 10), episodes: [parseInt(nxmm[2], 10)] };
+  }
+
+  const episodeOnly = base.match(/\b(?:EP|Episode|E)\s*-?\s*(\d{1,3})(?:\s*-\s*(?:EP|E)?\s*(\d{1,3}))?\b/i);
+  if (episodeOnly) {
+    // A season marker elsewhere in the name (e.g. "Show Season 2 EP05")
+    const season = base.match(/\b(?:Season\s*|S)(\d{1,2})\b/i);
+    return {
+      season: season ? parseInt(season[1], 10) : null,
+      episodes: expandRange(episodeOnly[1], episodeOnly[2])
+    };
+  }
+
+  return null;
+}
+
+function expandRange(from, to) {
+  const start = parseInt(from, 10);
+  const end = to ? parseInt(to, 10) : start;
+  if (!(end > start) || end - start > 50) return [start];
+  return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+}
+
+/**
+ * Index of the file playing a given episode
+ * Files naming the right season win over ones that only name the episode;
+ * among equals the largest file is picked. Extras and non-video files are ignored.
+ * @param {Array} files - [{ name, size }]
+ * @param {number} season
+ * @param {number} episode
+ * @returns {number|null} - Index into `files`, or null when nothing matches
+ */
+function selectEpisodeFile(files, season, episode) {
+  if (!Array.isArray(files) || !Number.isFinite(episode)) return null;
+
+  let best = null;
+  files.forEach((file, index) => {
+    if (!isVideoFile(file.name) || isExtraFile(file.name)) return;
+    const parsed = parseEpisodeFromFilename(file.name);
+    if (!parsed || !parsed.episodes.includes(episode)) return;
+    if (parsed.season != null && Number.isFinite(season) && parsed.season !== season) return;
+
+    const score = parsed.season != null ? 1 : 0;
+    const size = file.size || 0;
+    if (!best || score > best.score || (score === best.score && size > best.size)) {
+      best = { index, score, size };
+    }
+  });
+
+  return best ? best.index : null;
+}
+
+/**
+ * Index of the main video (largest non-extra video file)
+ * @param {Array} files - [{ name, size }]
+ * @returns {number|null}
+ */
+function selectMainVideoFile(files) {
+  if (!Array.isArray(files)) return null;
+
+  let best = null;
+  files.forEach((file, index) => {
+    if (!isVideoFile(file.name) || isExtraFile(file.name)) return;
+    if (!best || (file.size || 0) > best.size) {
+      best = { index, size: file.size || 0 };
+    }
+  });
+
+  return best ? best.index : null;
+}
+
+module.exports = {
+  isVideoFile,
+  isExtraFile,
+  parseEpisodeFromFilename,
+  selectEpisodeFile,
+  selectMainVideoFile
+};
@@ -0,0 +1,139 @@
+const logger = require('./logger');
+
+/**
+ * Per-host request spacing with adaptive slowdown.
+ * Each host gets a minimum interval between request starts. Failures double
+ * that host's interval (up to maxInterval); successes ease it back toward
+ * minInterval. Slots are reserved synchronously in acquire(), so concurrent
+ * workers hitting the same host queue up instead of bursting.
+ *
+ * On top of that, a run-wide budget of throttling responses (429/503): a
+ * Retry-After, or throttleBudget of them within throttleWindow, pauses every
+ * request until the forum has had time to recover.
+ */
+class HostThrottle {
+  /**
+   * @param {Object} options
+   * @param {number} options.minInterval - Base spacing between requests to a host (ms)
+   * @param {number} options.maxInterval - Upper bound after repeated failures (ms)
+   * @param {number} [options.throttleBudget] - Throttling responses tolerated per window before pausing
+   * @param {number} [options.throttleWindow] - Window for counting throttling responses (ms)
+   * @param {number} [options.throttlePause] - Run-wide pause once the budget is spent (ms)
+   */
+  constructor({ minInterval, maxInterval, throttleBudget = Infinity, throttleWindow = 60000, throttlePause = 60000 }) {
+    this.minInterval = minInterval;
+    this.maxInterval = Math.max(maxInterval, minInterval);
+    this.hosts = new Map(); // host -> { interval, nextAt }
+    this.throttleBudget = throttleBudget;
+    this.throttleWindow = throttleWindow;
+    this.throttlePause = throttlePause;
+    this.throttledAt = []; // Timestamps of recent throttling responses
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Host key for a URL
+   */
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch {
+      return url;
+    }
+  }
+
+  _state(url) {
+    const host = this.getHost(url);
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { interval: this.minInterval, nextAt: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait for this host's next free slot
+   * @param {string} url
+   */
+  async acquire(url) {
+    // Run-wide pause first; it may be extended while we wait
+    while (this.pausedUntil > Date.now()) {
+      await new Promise(resolve => setTimeout(resolve, this.pausedUntil - Date.now()));
+    }
+
+    const state = this._state(url);
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextAt);
+    state.nextAt = startAt + state.interval;
+
+    const wait = startAt - now;
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Ease a host's spacing back toward the base interval after a success
+   */
+  reportSuccess(url) {
+    const state = this._state(url);
+    state.interval = Math.max(this.minInterval, Math.round(state.interval * 0.9));
+  }
+
+  /**
+   * Slow a host down after a failed request
+   */
+  reportFailure(url) {
+    const state = this._state(url);
+    const previous = state.interval;
+    state.interval = Math.min(this.maxInterval, Math.max(previous * 2, this.minInterval || 1));
+    if (state.interval !== previous) {
+      logger.debug(`Slowing down ${this.getHost(url)}: ${previous}ms -> ${state.interval}ms between requests`);
+    }
+  }
+
+  /**
+   * Count a throttling response (429/503) against the run-wide budget
+   * @param {string} url
+   * @param {number|null} [retryAfter] - Server-requested wait (ms)
+   */
+  reportThrottled(url, retryAfter = null) {
+    const now = Date.now();
+    this.throttledAt = this.throttledAt.filter(at => now - at < this.throttleWindow);
+    this.throttledAt.push(now);
+
+    if (retryAfter) {
+      this.pauseAll(retryAfter, `${this.getHost(url)} sent Retry-After`);
+    }
+    if (this.throttledAt.length >= this.throttleBudget) {
+      this.throttledAt = [];
+      this.pauseAll(this.throttlePause, `${this.throttleBudget} throttled responses within ${Math.round(this.throttleWindow / 1000)}s`);
+    }
+  }
+
+  /**
+   * Hold every request (all hosts) for `ms`
+   */
+  pauseAll(ms, reason) {
+    const until = Date.now() + ms;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      logger.warn(`Pausing all scraper requests for ${Math.round(ms / 1000)}s: ${reason}`);
+    }
+  }
+
+  /**
+   * Remaining run-wide pause (ms, 0 when not paused)
+   */
+  getPauseRemaining() {
+    return Math.max(0, this.pausedUntil - Date.now());
+  }
+
+  /**
+   * Current spacing for a URL's host (ms)
+   */
+  getInterval(url) {
+    return this._state(url).interval;
+  }
+}
+
+module.exports = HostThrottle;
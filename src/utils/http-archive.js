@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const constants = require('./constants');
+
+const MODES = ['live', 'record', 'replay'];
+
+/**
+ * Local archive of scraper HTTP responses for reproducible runs.
+ *
+ * Modes (SCRAPE_HTTP_MODE):
+ * - live:   normal network access, nothing archived
+ * - record: network access, every response is saved to the archive
+ * - replay: no network; responses are served from the archive only
+ *
+ * One JSON file per URL (sha1 of the URL):
+ * { url, finalUrl, status, contentType, encoding: 'utf8'|'base64', body, recordedAt }
+ */
+class HttpArchive {
+  constructor({ mode = 'live', dir } = {}) {
+    if (!MODES.includes(mode)) {
+      logger.warn(`Unknown SCRAPE_HTTP_MODE "${mode}", using "live"`);
+      mode = 'live';
+    }
+    this.mode = mode;
+    this.dir = dir;
+
+    if (mode !== 'live') {
+      logger.info(`Scraper HTTP ${mode} mode (archive: ${dir})`);
+    }
+  }
+
+  isRecording() {
+    return this.mode === 'record';
+  }
+
+  isReplay() {
+    return this.mode === 'replay';
+  }
+
+  _filePath(url) {
+    const key = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Save a response (string or Buffer body)
+   * @param {string} url - Requested URL (the replay lookup key)
+   * @param {Object} response - { body, status, finalUrl, contentType }
+   */
+  async record(url, { body, status = 200, finalUrl = url, contentType = null }) {
+    const isBinary = Buffer.isBuffer(body);
+    const entry = {
+      url,
+      finalUrl,
+      status,
+      contentType,
+      encoding: isBinary ? 'base64' : 'utf8',
+      body: isBinary ? body.toString('base64') : body,
+      recordedAt: new Date().toISOString()
+    };
+
+    const filePath = this._filePath(url);
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, JSON.stringify(entry), 'utf8');
+      await fs.rename(`${filePath}.tmp`, filePath);
+    } catch (error) {
+      logger.warn(`Failed to archive ${url}:`, error.message);
+    }
+  }
+
+  /**
+   * Look up an archived response
+   * @param {string} url
+   * @returns {Promise<Object|null>} - Entry with body decoded (Buffer for binary)
+   */
+  async lookup(url) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this._filePath(url), 'utf8'));
+      if (entry.encoding === 'base64') {
+        entry.body = Buffer.from(entry.body, 'base64');
+      }
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to read archived response for ${url}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Archived response body for replay; throws when the URL was never recorded
+   * so a replayed run fails the same way a failed request would
+   * @param {string} url
+   */
+  async replay(url) {
+    const entry = await this.lookup(url);
+    if (!entry) {
+      const error = new Error(`No archived response for ${url}`);
+      error.code = 'ENOTARCHIVED';
+      throw error;
+    }
+    return entry;
+  }
+}
+
+module.exports = new HttpArchive({
+  mode: constants.SCRAPE_HTTP_MODE,
+  dir: constants.SCRAPE_HTTP_ARCHIVE_DIR
+});
+module.exports.HttpArchive = HttpArchive;
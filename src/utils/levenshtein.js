@@ -0,0 +1,35 @@
+/**
+ * Levenshtein edit distance (insertions, deletions, substitutions)
+ * Used for TMDB match scoring and typo-tolerant catalog search.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max] - Stop early and return max + 1 once the distance is known to exceed it
+ * @returns {number}
+ */
+function levenshteinDistance(a, b, max = Infinity) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  // Two rows of the DP matrix are enough
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  let current = new Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    let rowMin = current[0];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1]
+        : Math.min(previous[j - 1], current[j - 1], previous[j]) + 1;
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    if (rowMin > max) return max + 1;
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length];
+}
+
+module.exports = { levenshteinDistance };
@@ -0,0 +1,92 @@
+const logger = require('./logger');
+const constants = require('./constants');
+
+// Per-integration proxy settings; each falls back to OUTBOUND_PROXY_URL
+const INTEGRATION_PROXIES = {
+  scraper: 'SCRAPER_PROXY_URL',
+  tmdb: 'TMDB_PROXY_URL',
+  torbox: 'TORBOX_PROXY_URL'
+};
+
+// Values that force a direct connection even when OUTBOUND_PROXY_URL is set
+const DIRECT = ['none', 'direct', 'off'];
+
+const agents = new Map(); // integration -> { proxyUrl, agent }
+
+/**
+ * Proxy URL for an integration, or null for a direct connection
+ * @param {string} integration - 'scraper' | 'tmdb' | 'torbox'
+ * @returns {string|null}
+ */
+function getProxyUrl(integration) {
+  const key = INTEGRATION_PROXIES[integration];
+  if (!key) throw new Error(`Unknown proxy integration: ${integration}`);
+
+  const value = (constants[key] || constants.OUTBOUND_PROXY_URL || '').trim();
+  if (!value || DIRECT.includes(value.toLowerCase())) return null;
+  return value;
+}
+
+/**
+ * Proxy URL with the password masked, for logs
+ */
+function redactProxyUrl(proxyUrl) {
+  try {
+    const url = new URL(proxyUrl);
+    if (url.password) url.password = '***';
+    return url.toString().replace(/\/$/, '');
+  } catch {
+    return '(invalid proxy URL)';
+  }
+}
+
+/**
+ * Agent tunnelling through a proxy: http(s):// uses HTTP CONNECT,
+ * socks4/socks5(h):// uses SOCKS
+ * @param {string} proxyUrl
+ * @param {Object} [agentOptions] - Passed to the agent (e.g. { keepAlive: true })
+ * @returns {http.Agent}
+ */
+function createProxyAgent(proxyUrl, agentOptions = {}) {
+  const protocol = new URL(proxyUrl).protocol.replace(':', '').toLowerCase();
+
+  if (protocol === 'http' || protocol === 'https') {
+    const { HttpsProxyAgent } = require('https-proxy-agent');
+    return new HttpsProxyAgent(proxyUrl, agentOptions);
+  }
+  if (['socks', 'socks4', 'socks4a', 'socks5', 'socks5h'].includes(protocol)) {
+    const { SocksProxyAgent } = require('socks-proxy-agent');
+    return new SocksProxyAgent(proxyUrl, agentOptions);
+  }
+
+  throw new Error(`Unsupported proxy protocol "${protocol}" (use http, https, socks4 or socks5)`);
+}
+
+/**
+ * axios request options routing an integration through its proxy
+ * ({} when it connects directly). The agent is created once per integration.
+ * `proxy: false` stops axios from also applying HTTP(S)_PROXY env vars.
+ * @param {string} integration - 'scraper' | 'tmdb' | 'torbox'
+ * @param {Object} [agentOptions] - Passed to the agent on first use
+ * @returns {Object} - { httpAgent, httpsAgent, proxy } or {}
+ */
+function getAxiosProxyOptions(integration, agentOptions = {}) {
+  const proxyUrl = getProxyUrl(integration);
+  if (!proxyUrl) return {};
+
+  let entry = agents.get(integration);
+  if (!entry || entry.proxyUrl !== proxyUrl) {
+    entry = { proxyUrl, agent: createProxyAgent(proxyUrl, agentOptions) };
+    agents.set(integration, entry);
+    logger.info(`Routing ${integration} requests through proxy ${redactProxyUrl(proxyUrl)}`);
+  }
+
+  return { httpAgent: entry.agent, httpsAgent: entry.agent, proxy: false };
+}
+
+module.exports = {
+  getProxyUrl,
+  redactProxyUrl,
+  createProxyAgent,
+  getAxiosProxyOptions
+};
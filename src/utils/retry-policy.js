@@ -0,0 +1,111 @@
+const constants = require('./constants');
+
+// Statuses that mean "slow down" rather than "this request is wrong"
+const THROTTLE_STATUSES = [429, 503];
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|number} value
+ * @param {number} [now]
+ * @returns {number|null} - Delay in ms, or null when absent/unparseable
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.round(seconds * 1000));
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * HTTP status of a failed axios request (null for network errors/timeouts)
+ */
+function getStatus(error) {
+  return error?.response?.status ?? null;
+}
+
+/**
+ * Retry-After of a failed request, capped at SCRAPE_RETRY_AFTER_MAX
+ * @returns {number|null} - ms
+ */
+function getRetryAfter(error) {
+  const delay = parseRetryAfter(error?.response?.headers?.['retry-after']);
+  return delay === null ? null : Math.min(delay, constants.SCRAPE_RETRY_AFTER_MAX);
+}
+
+/**
+ * Whether the server is asking us to slow down (429/503)
+ */
+function isThrottled(error) {
+  return THROTTLE_STATUSES.includes(getStatus(error));
+}
+
+/**
+ * Whether a failed request is worth repeating: network errors, timeouts,
+ * 408, 429 and 5xx are; 404/410 and other client errors are not
+ */
+function isRetryable(error) {
+  const status = getStatus(error);
+  if (status === null) return true;
+  if (status === 408 || status === 429) return true;
+  return status >= 500;
+}
+
+/**
+ * Delay before the next attempt: Retry-After when the server sent one,
+ * otherwise exponential backoff with jitter (half fixed, half random)
+ * @param {number} attempt - Failed attempts so far (1-based)
+ * @param {Object} options - { baseDelay, maxDelay, retryAfter, random }
+ * @returns {number} - ms
+ */
+function getRetryDelay(attempt, { baseDelay, maxDelay, retryAfter = null, random = Math.random }) {
+  if (retryAfter !== null) return retryAfter;
+
+  const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+  return Math.round(backoff / 2 + random() * (backoff / 2));
+}
+
+/**
+ * Run a request with status-aware retries
+ * @param {Function} request - (attempt) => Promise; attempt is 1-based
+ * @param {Object} [options]
+ * @param {number} [options.attempts] - Total attempts (first try included)
+ * @param {number} [options.baseDelay] - Backoff for the first retry (ms)
+ * @param {number} [options.maxDelay] - Backoff ceiling (ms)
+ * @param {Function} [options.onRetry] - (error, attempt, delay) before waiting
+ * @param {Function} [options.sleep] - Wait implementation (ms) => Promise
+ * @returns {Promise<*>} - The request's result; rethrows the last error
+ */
+async function retryRequest(request, {
+  attempts = 3,
+  baseDelay = constants.SCRAPE_RETRY_BASE_DELAY,
+  maxDelay = constants.SCRAPE_RETRY_MAX_DELAY,
+  onRetry = null,
+  sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await request(attempt);
+    } catch (error) {
+      if (attempt >= attempts || !isRetryable(error)) throw error;
+
+      const delay = getRetryDelay(attempt, { baseDelay, maxDelay, retryAfter: getRetryAfter(error) });
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  parseRetryAfter,
+  getStatus,
+  getRetryAfter,
+  isThrottled,
+  isRetryable,
+  getRetryDelay,
+  retryRequest
+};
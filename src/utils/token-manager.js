@@ -5,6 +5,7 @@ const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const constants = require('./constants');
 
 const TOKENS_FILE = path.join(__dirname, '../../cache/tokens.json');
 // Use fixed key for persistence across server restarts
@@ -35,6 +36,11 @@ if (ENCRYPTION_KEY.length !== 32) {
 // In-memory cache
 let tokensCache = {};
 
+// Catalog rows a token can hide (configure page checkboxes)
+const CATALOG_ROW_IDS = [...Object.values(constants.LANGUAGES), 'recent'];
+// Rows offered before tokens recorded theirs ("Recently Added" came later)
+const LEGACY_CATALOG_ROW_IDS = Object.values(constants.LANGUAGES);
+
 /**
  * Encrypt text using AES-256-CBC
  */
@@ -69,14 +75,38 @@ function generateToken() {
   return crypto.randomUUID();
 }
 
+/**
+ * A certification from constants.CERTIFICATIONS, or undefined (no limit)
+ */
+function validCertification(certification) {
+  return constants.CERTIFICATIONS.includes(certification) ? certification : undefined;
+}
+
+/**
+ * Show a token the catalog rows added since its visible catalogs were saved,
+ * as the configure page checks new rows by default
+ * @param {string[]} [visibleCatalogs] - Saved catalog IDs. Empty/undefined = show all
+ * @param {string[]} [knownCatalogs] - Rows offered when they were saved
+ * @returns {string[]|undefined}
+ */
+function withNewCatalogs(visibleCatalogs, knownCatalogs = LEGACY_CATALOG_ROW_IDS) {
+  if (!Array.isArray(visibleCatalogs) || visibleCatalogs.length === 0) return visibleCatalogs;
+  const known = new Set(knownCatalogs);
+  const added = CATALOG_ROW_IDS.filter(id => !known.has(id) && !visibleCatalogs.includes(id));
+  return [...visibleCatalogs, ...added];
+}
+
 /**
  * Create a token and store the encrypted API key
  * @param {string} torboxApiKey - Torbox API key
  * @param {string} torboxApiUrl - Torbox API URL
  * @param {string[]} [visibleCatalogs] - Array of catalog IDs to show (e.g. ['tamil','telugu']). Empty/undefined = show all
  * @param {string[]} [seriesLanguages] - Lowercase language ids offered in the series dropdown. Empty/undefined = all
+ * @param {string[]} [audioLanguages] - Lowercase language ids of preferred stream audio. Empty/undefined = all
+ * @param {string} [maxCertification] - Highest certification shown (constants.CERTIFICATIONS). Empty/undefined = no limit
+ * @param {boolean} [hideUnrated] - With a maximum, also hide titles that have no known certification
  */
-async function createToken(torboxApiKey, torboxApiUrl, visibleCatalogs, seriesLanguages) {
+async function createToken(torboxApiKey, torboxApiUrl, visibleCatalogs, seriesLanguages, audioLanguages, maxCertification, hideUnrated) {
   const token = generateToken();
   const encrypted = encrypt(torboxApiKey);
   
@@ -86,6 +116,10 @@ async function createToken(torboxApiKey, torboxApiUrl, visibleCatalogs, seriesLa
     torboxApiUrl: torboxApiUrl,
     visibleCatalogs: Array.isArray(visibleCatalogs) ? visibleCatalogs : undefined,
     seriesLanguages: Array.isArray(seriesLanguages) ? seriesLanguages : undefined,
+    audioLanguages: Array.isArray(audioLanguages) ? audioLanguages : undefined,
+    maxCertification: validCertification(maxCertification),
+    hideUnrated: hideUnrated === true,
+    knownCatalogs: CATALOG_ROW_IDS,
     encrypted: encrypted, // Store encrypted for persistence
     createdAt: new Date().toISOString()
   };
@@ -98,18 +132,30 @@ async function createToken(torboxApiKey, torboxApiUrl, visibleCatalogs, seriesLa
 }
 
 /**
- * Update catalog visibility (and optionally series languages) for an existing token.
- * `seriesLanguages` is only updated when an array is provided, so existing
- * callers that pass just visibleCatalogs leave it untouched.
+ * Update catalog visibility (and optionally series/audio languages, the
+ * maximum certification and hiding unrated titles) for an existing token.
+ * `seriesLanguages`, `audioLanguages`, `maxCertification` and `hideUnrated` are
+ * only updated when provided, so existing callers that pass just visibleCatalogs
+ * leave them untouched.
  */
-async function updateTokenCatalogs(token, visibleCatalogs, seriesLanguages) {
+async function updateTokenCatalogs(token, visibleCatalogs, seriesLanguages, audioLanguages, maxCertification, hideUnrated) {
   if (!tokensCache[token]) {
     return false;
   }
   tokensCache[token].visibleCatalogs = Array.isArray(visibleCatalogs) ? visibleCatalogs : undefined;
+  tokensCache[token].knownCatalogs = CATALOG_ROW_IDS;
   if (seriesLanguages !== undefined) {
     tokensCache[token].seriesLanguages = Array.isArray(seriesLanguages) ? seriesLanguages : undefined;
   }
+  if (audioLanguages !== undefined) {
+    tokensCache[token].audioLanguages = Array.isArray(audioLanguages) ? audioLanguages : undefined;
+  }
+  if (maxCertification !== undefined) {
+    tokensCache[token].maxCertification = validCertification(maxCertification);
+  }
+  if (hideUnrated !== undefined) {
+    tokensCache[token].hideUnrated = hideUnrated === true;
+  }
   await saveTokens();
   logger.info(`[TOKEN] Updated catalogs for token: ${token.substring(0, 8)}...`);
   return true;
@@ -124,7 +170,10 @@ function getConfigForToken(token) {
       torboxApiKey: tokensCache[token].torboxApiKey,
       torboxApiUrl: tokensCache[token].torboxApiUrl,
       visibleCatalogs: tokensCache[token].visibleCatalogs,
-      seriesLanguages: tokensCache[token].seriesLanguages
+      seriesLanguages: tokensCache[token].seriesLanguages,
+      audioLanguages: tokensCache[token].audioLanguages,
+      maxCertification: tokensCache[token].maxCertification,
+      hideUnrated: tokensCache[token].hideUnrated === true
     };
   }
   return null;
@@ -144,6 +193,10 @@ async function saveTokens() {
         torboxApiUrl: config.torboxApiUrl,
         visibleCatalogs: config.visibleCatalogs,
         seriesLanguages: config.seriesLanguages,
+        audioLanguages: config.audioLanguages,
+        maxCertification: config.maxCertification,
+        hideUnrated: config.hideUnrated,
+        knownCatalogs: config.knownCatalogs,
         createdAt: config.createdAt
       };
     }
@@ -171,8 +224,12 @@ async function loadTokens() {
         tokensCache[token] = {
           torboxApiKey: decryptedKey,
           torboxApiUrl: config.torboxApiUrl,
-          visibleCatalogs: config.visibleCatalogs,
+          visibleCatalogs: withNewCatalogs(config.visibleCatalogs, config.knownCatalogs),
           seriesLanguages: config.seriesLanguages,
+          audioLanguages: config.audioLanguages,
+          maxCertification: config.maxCertification,
+          hideUnrated: config.hideUnrated === true,
+          knownCatalogs: CATALOG_ROW_IDS,
           encrypted: config.encrypted,
           createdAt: config.createdAt
         };
@@ -216,6 +273,7 @@ module.exports = {
   getConfigForToken,
   updateTokenCatalogs,
   extractTokenFromPath,
-  loadTokens
+  loadTokens,
+  withNewCatalogs
 };
 
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const bencode = require('./bencode');
+
+/**
+ * Decode a bencoded utf8 field (Buffer) to a string
+ */
+function text(value) {
+  return Buffer.isBuffer(value) ? value.toString('utf8') : (value != null ? String(value) : '');
+}
+
+/**
+ * Parse a .torrent file
+ * @param {Buffer} buffer - Raw .torrent contents
+ * @returns {Object} - { infoHash, name, trackers, totalSize, files: [{ path, length }] }
+ */
+function parseTorrentFile(buffer) {
+  const torrent = bencode.decode(buffer);
+  const info = torrent && torrent.info;
+  const rawInfo = bencode.getRawValue(buffer, 'info');
+  if (!info || typeof info !== 'object' || !rawInfo) {
+    throw new Error('Not a torrent file: missing info dictionary');
+  }
+
+  const infoHash = crypto.createHash('sha1').update(rawInfo).digest('hex');
+  const name = text(info['name.utf-8'] || info.name);
+
+  // Single-file torrents carry `length`; multi-file ones a `files` list
+  const files = Array.isArray(info.files)
+    ? info.files.map(file => ({
+        path: (file['path.utf-8'] || file.path || []).map(text).join('/'),
+        length: file.length || 0
+      }))
+    : [{ path: name, length: info.length || 0 }];
+
+  // `announce-list` is a list of tiers; flatten and drop duplicates
+  const trackers = [];
+  const addTracker = url => {
+    const tracker = text(url).trim();
+    if (tracker && !trackers.includes(tracker)) trackers.push(tracker);
+  };
+  if (torrent.announce) addTracker(torrent.announce);
+  for (const tier of torrent['announce-list'] || []) {
+    for (const url of Array.isArray(tier) ? tier : [tier]) addTracker(url);
+  }
+
+  return {
+    infoHash,
+    name,
+    trackers,
+    totalSize: files.reduce((sum, file) => sum + file.length, 0),
+    files
+  };
+}
+
+/**
+ * Build a magnet link equivalent to a parsed torrent
+ * @param {Object} torrent - Result of parseTorrentFile
+ * @returns {string}
+ */
+function toMagnet(torrent) {
+  let magnet = `magnet:?xt=urn:btih:${torrent.infoHash}`;
+  if (torrent.name) magnet += `&dn=${encodeURIComponent(torrent.name)}`;
+  for (const tracker of torrent.trackers || []) {
+    magnet += `&tr=${encodeURIComponent(tracker)}`;
+  }
+  return magnet;
+}
+
+module.exports = {
+  parseTorrentFile,
+  toMagnet
+};
@@ -0,0 +1,125 @@
+/**
+ * Loose romanization of Indic scripts for search
+ *
+ * Devanagari, Bengali, Gurmukhi, Gujarati, Oriya, Tamil, Telugu, Kannada and
+ * Malayalam share one Unicode layout (each a 128-codepoint block at the same
+ * offsets), so a single table keyed by offset covers all of them:
+ * "விக்ரம்" -> "vikram", "लियो" -> "liyo". The output is meant for fuzzy
+ * matching (see catalog-search.js), not for display.
+ */
+
+const INDIC_START = 0x0900;
+const INDIC_END = 0x0D7F;
+// Devanagari .. Gujarati drop a word's final inherent vowel ("राम" is "ram")
+const SCHWA_DELETION_END = 0x0AFF;
+
+const VIRAMA = 0x4D;
+
+// Offset within a block -> romanization
+const VOWELS = {
+  0x05: 'a', 0x06: 'aa', 0x07: 'i', 0x08: 'ii', 0x09: 'u', 0x0A: 'uu', 0x0B: 'ri', 0x0C: 'li',
+  0x0D: 'e', 0x0E: 'e', 0x0F: 'e', 0x10: 'ai', 0x11: 'o', 0x12: 'o', 0x13: 'o', 0x14: 'au'
+};
+
+const CONSONANTS = {
+  0x15: 'k', 0x16: 'kh', 0x17: 'g', 0x18: 'gh', 0x19: 'ng',
+  0x1A: 'ch', 0x1B: 'chh', 0x1C: 'j', 0x1D: 'jh', 0x1E: 'ny',
+  0x1F: 't', 0x20: 'th', 0x21: 'd', 0x22: 'dh', 0x23: 'n',
+  0x24: 't', 0x25: 'th', 0x26: 'd', 0x27: 'dh', 0x28: 'n', 0x29: 'n',
+  0x2A: 'p', 0x2B: 'ph', 0x2C: 'b', 0x2D: 'bh', 0x2E: 'm',
+  0x2F: 'y', 0x30: 'r', 0x31: 'r', 0x32: 'l', 0x33: 'l', 0x34: 'zh', 0x35: 'v',
+  0x36: 'sh', 0x37: 'sh', 0x38: 's', 0x39: 'h',
+  // Devanagari nukta forms (क़ ख़ ग़ ज़ ड़ ढ़ फ़ य़)
+  0x58: 'q', 0x59: 'kh', 0x5A: 'g', 0x5B: 'z', 0x5C: 'r', 0x5D: 'rh', 0x5E: 'f', 0x5F: 'y'
+};
+
+// Dependent vowel signs replace the consonant's inherent "a"
+const VOWEL_SIGNS = {
+  0x3E: 'aa', 0x3F: 'i', 0x40: 'ii', 0x41: 'u', 0x42: 'uu', 0x43: 'ri', 0x44: 'rii',
+  0x45: 'e', 0x46: 'e', 0x47: 'e', 0x48: 'ai', 0x49: 'o', 0x4A: 'o', 0x4B: 'o', 0x4C: 'au'
+};
+
+// Nasal and aspiration marks
+const MARKS = { 0x01: 'n', 0x02: 'n', 0x03: 'h' };
+
+// Malayalam chillu letters: consonants without a vowel
+const CHILLU = { 0x0D7A: 'n', 0x0D7B: 'n', 0x0D7C: 'r', 0x0D7D: 'l', 0x0D7E: 'l', 0x0D7F: 'k' };
+
+function isIndic(code) {
+  return code >= INDIC_START && code <= INDIC_END;
+}
+
+/**
+ * Romanize the Indic-script parts of a string; everything else is kept
+ * @param {string} text
+ * @returns {string}
+ */
+function transliterate(text) {
+  if (!text || typeof text !== 'string') return '';
+
+  let output = '';
+  let pendingVowel = false; // Last consonant still carries its inherent "a"
+  let schwaDeletion = false;
+
+  const flushVowel = (atWordEnd) => {
+    if (pendingVowel && !(atWordEnd && schwaDeletion)) output += 'a';
+    pendingVowel = false;
+  };
+
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (!isIndic(code)) {
+      flushVowel(true);
+      output += char;
+      continue;
+    }
+
+    if (CHILLU[code]) {
+      flushVowel(false);
+      output += CHILLU[code];
+      continue;
+    }
+
+    const offset = code & 0x7F;
+    schwaDeletion = code <= SCHWA_DELETION_END;
+
+    if (CONSONANTS[offset]) {
+      flushVowel(false);
+      output += CONSONANTS[offset];
+      pendingVowel = true;
+    } else if (VOWEL_SIGNS[offset]) {
+      output += VOWEL_SIGNS[offset];
+      pendingVowel = false;
+    } else if (offset === VIRAMA) {
+      pendingVowel = false;
+    } else if (VOWELS[offset]) {
+      flushVowel(false);
+      output += VOWELS[offset];
+    } else if (MARKS[offset]) {
+      flushVowel(false);
+      output += MARKS[offset];
+    } else if (offset >= 0x66 && offset <= 0x6F) {
+      flushVowel(true);
+      output += String(offset - 0x66); // Native digits
+    }
+    // Nukta, length marks, accents: nothing to add
+  }
+  flushVowel(true);
+
+  return output;
+}
+
+/**
+ * Whether a string contains any Indic-script characters
+ */
+function hasIndicScript(text) {
+  for (const char of text || '') {
+    if (isIndic(char.codePointAt(0))) return true;
+  }
+  return false;
+}
+
+module.exports = {
+  transliterate,
+  hasIndicScript
+};
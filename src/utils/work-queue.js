@@ -0,0 +1,30 @@
+/**
+ * Run an async worker over items with at most `concurrency` in flight.
+ * Results keep input order and are settled like Promise.allSettled, so one
+ * failing item never aborts the rest of the queue.
+ * @param {Array} items - Work items
+ * @param {number} concurrency - Max workers running at once (>= 1)
+ * @param {Function} worker - async (item, index) => value
+ * @returns {Promise<Array>} - [{ status: 'fulfilled', value } | { status: 'rejected', reason }]
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  return results;
+}
+
+module.exports = { mapWithConcurrency };
@@ -0,0 +1,172 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache dir (cached catalogs and metas) before requiring modules
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-carry-forward-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const constants = require('../src/utils/constants');
+const fileCache = require('../src/cache/file-cache');
+const TamilMVScraper = require('../src/scraper/tamilmv-scraper');
+const {
+  structureMovieForMeta,
+  structureMovieForCatalog,
+  structureSeriesForMeta,
+  structureSeriesForCatalog
+} = require('../src/scraper/extractors');
+
+const emptyResult = () => ({
+  catalogs: { tamil: [], telugu: [] }, movies: {}, series: {}, streams: {}, topics: {}, aliases: {}
+});
+
+// Catalog item as cached before `fields` were added to catalog items
+function withoutFields(item, fields) {
+  const old = { ...item };
+  for (const field of fields) delete old[field];
+  return old;
+}
+
+test('carried-forward items cached without popularity get it from their meta', async () => {
+  const movie = { ...structureMovieForMeta({ id: 'tamil-leo-1', title: 'Leo (2023)', languages: ['tamil'] }), popularity: 48.2 };
+  const series = { ...structureSeriesForMeta({ id: 'series-farzi-1', title: 'Farzi', season: 1, episodes: [1], languages: ['tamil'] }), popularity: 12.5 };
+  const cached = emptyResult();
+  cached.movies[movie.id] = movie;
+  cached.series[series.id] = series;
+  cached.catalogs.tamil.push(
+    { ...withoutFields(structureMovieForCatalog(movie), ['popularity']), qualities: ['1080p'], hdr: [] },
+    withoutFields(structureSeriesForCatalog(series), ['popularity'])
+  );
+  await fileCache.ensureDirectories();
+  assert.equal(await fileCache.setAll(cached), true);
+
+  const result = emptyResult();
+  const scraper = new TamilMVScraper();
+  assert.equal(await scraper.carryForwardCachedTopic(result, { id: movie.id, type: 'movie', languages: ['tamil'] }, fileCache), true);
+  assert.equal(await scraper.carryForwardCachedTopic(result, { id: series.id, type: 'series', languages: ['tamil'] }, fileCache), true);
+
+  const [movieItem, seriesItem] = result.catalogs.tamil;
+  assert.equal(movieItem.popularity, 48.2);
+  assert.deepEqual(movieItem.qualities, ['1080p'], 'fields computed on the item are kept');
+  assert.equal(seriesItem.type, 'series');
+  assert.equal(seriesItem.popularity, 12.5);
+});
+
+test('carried-forward metas matched to TMDB without alternative titles get them fetched again', async () => {
+  const meta = { ...structureMovieForMeta({ id: 'tamil-jailer-1', title: 'Jailer (2023)', languages: ['tamil'] }), tmdbId: 7 };
+  delete meta.alternativeTitles;
+  const unmatched = structureMovieForMeta({ id: 'tamil-vikram-1', title: 'Vikram (2022)', languages: ['tamil'] });
+  delete unmatched.alternativeTitles;
+  const cached = emptyResult();
+  cached.movies[meta.id] = meta;
+  cached.movies[unmatched.id] = unmatched;
+  cached.catalogs.tamil.push(structureMovieForCatalog(meta), structureMovieForCatalog(unmatched));
+  assert.equal(await fileCache.setAll(cached), true);
+
+  const requested = [];
+  const scraper = new TamilMVScraper();
+  scraper.tmdbClient = {
+    getMovieDetails: async (tmdbId) => { requested.push(tmdbId); return { id: tmdbId }; },
+    extractMetadata: () => ({ alternativeTitles: ['Jailer: The Warden'] })
+  };
+  const result = emptyResult();
+  for (const item of cached.catalogs.tamil) {
+    await scraper.carryForwardCachedTopic(result, { id: item.id, type: 'movie', languages: ['tamil'] }, fileCache);
+  }
+  await scraper.backfillTmdbFields(result);
+
+  assert.deepEqual(requested, [7], 'only items matched to TMDB are fetched');
+  assert.deepEqual(Object.keys(result.movies), [meta.id]);
+  assert.deepEqual(result.movies[meta.id].alternativeTitles, ['Jailer: The Warden']);
+  assert.deepEqual(result.catalogs.tamil.find(item => item.id === meta.id).alternativeTitles, ['Jailer: The Warden']);
+
+  // Written with the run: nothing is fetched again next time
+  assert.equal(await fileCache.setAll(result), true);
+  const next = emptyResult();
+  await scraper.carryForwardCachedTopic(next, { id: meta.id, type: 'movie', languages: ['tamil'] }, fileCache);
+  await scraper.backfillTmdbFields(next);
+  assert.deepEqual(requested, [7]);
+});
+
+test('carried-forward metas without a certification get it fetched again', async () => {
+  const meta = { ...structureSeriesForMeta({ id: 'series-suzhal-1', title: 'Suzhal', season: 1, episodes: [1], languages: ['tamil'] }), tmdbId: 9 };
+  delete meta.certification;
+  const cached = emptyResult();
+  cached.series[meta.id] = meta;
+  cached.catalogs.tamil.push(withoutFields(structureSeriesForCatalog(meta), ['certification']));
+  assert.equal(await fileCache.setAll(cached), true);
+
+  const scraper = new TamilMVScraper();
+  scraper.tmdbClient = {
+    getTVDetails: async (tmdbId) => ({ id: tmdbId }),
+    extractTVMetadata: () => ({ alternativeTitles: null, certification: 'U/A 16+' })
+  };
+  const result = emptyResult();
+  await scraper.carryForwardCachedTopic(result, { id: meta.id, type: 'series', languages: ['tamil'] }, fileCache);
+  await scraper.backfillTmdbFields(result);
+
+  assert.equal(result.series[meta.id].certification, 'U/A 16+');
+  assert.deepEqual(result.series[meta.id].videos, meta.videos);
+  assert.equal(result.catalogs.tamil.find(item => item.id === meta.id).certification, 'U/A 16+');
+});
+
+test('backfills are fetched a few at a time, up to the per-run maximum', async () => {
+  const cached = emptyResult();
+  for (let i = 1; i <= 5; i++) {
+    const meta = { ...structureMovieForMeta({ id: `tamil-film-${i}`, title: `Film ${i} (2023)`, languages: ['tamil'] }), tmdbId: i };
+    delete meta.alternativeTitles;
+    cached.movies[meta.id] = meta;
+    cached.catalogs.tamil.push(structureMovieForCatalog(meta));
+  }
+  assert.equal(await fileCache.setAll(cached), true);
+
+  const saved = { concurrency: constants.TMDB_BACKFILL_CONCURRENCY, maxItems: constants.TMDB_BACKFILL_MAX_ITEMS };
+  constants.TMDB_BACKFILL_CONCURRENCY = 2;
+  constants.TMDB_BACKFILL_MAX_ITEMS = 3;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const requested = [];
+  const scraper = new TamilMVScraper();
+  scraper.tmdbClient = {
+    getMovieDetails: async (tmdbId) => {
+      requested.push(tmdbId);
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight--;
+      if (tmdbId === 2) throw new Error('TMDB unavailable');
+      return { id: tmdbId };
+    },
+    extractMetadata: () => ({ alternativeTitles: [] })
+  };
+  const result = emptyResult();
+  try {
+    for (const item of cached.catalogs.tamil) {
+      await scraper.carryForwardCachedTopic(result, { id: item.id, type: 'movie', languages: ['tamil'] }, fileCache);
+    }
+    await scraper.backfillTmdbFields(result);
+  } finally {
+    constants.TMDB_BACKFILL_CONCURRENCY = saved.concurrency;
+    constants.TMDB_BACKFILL_MAX_ITEMS = saved.maxItems;
+  }
+
+  assert.deepEqual(requested, [1, 2, 3]);
+  assert.equal(maxInFlight, 2);
+  assert.deepEqual(Object.keys(result.movies), ['tamil-film-1', 'tamil-film-3'], 'a failed fetch leaves the item for later runs');
+});
+
+test('re-scraped topics keep when they were first seen, even on a full replace', async () => {
+  const scraper = new TamilMVScraper();
+  const listing = { url: 'https://www.1tamilmv.test/index.php?/forums/topic/101-leo/', title: 'Leo (2023)' };
+  const topicIndex = {
+    get: async (topicKey) => topicKey === 'tamilmv:101' ? { id: 'tamil-leo-1', firstSeen: '2024-03-01T00:00:00.000Z' } : null
+  };
+  const runStartedAt = '2024-06-01T00:00:00.000Z';
+  assert.equal(await scraper.getTopicFirstSeen(listing, 'tamilmv:101', topicIndex, runStartedAt), '2024-03-01T00:00:00.000Z');
+  assert.equal(await scraper.getTopicFirstSeen(listing, 'tamilmv:102', topicIndex, runStartedAt), runStartedAt);
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
@@ -0,0 +1,78 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache dir before requiring constants/handlers
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-catalog-index-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const fileCache = require('../src/cache/file-cache');
+const catalogIndex = require('../src/cache/catalog-index');
+const { buildIndex } = require('../src/cache/catalog-index');
+const catalogHandler = require('../src/addon/catalog-handler');
+
+const CATALOGS = {
+  tamil: [
+    { id: 'leo', type: 'movie', name: 'Leo', releaseInfo: '2023', genres: ['Action'], postedAt: '2025-02-01T00:00:00.000Z' },
+    { id: 'suzhal', type: 'series', name: 'Suzhal', languages: ['tamil', 'telugu'], genres: ['Crime'], postedAt: '2025-03-01T00:00:00.000Z' },
+    { id: 'nayakan', type: 'movie', name: 'Nayakan', releaseInfo: '1987', genres: ['crime'], postedAt: '2025-01-01T00:00:00.000Z' }
+  ],
+  telugu: [
+    { id: 'suzhal', type: 'series', name: 'Suzhal', languages: ['tamil', 'telugu'] },
+    { id: 'kota', type: 'series', name: 'Kota Factory', languages: ['telugu'], postedAt: '2025-04-01T00:00:00.000Z' }
+  ]
+};
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('buildIndex dedupes across languages and indexes genre, year and search terms', () => {
+  const index = buildIndex(CATALOGS);
+  const ids = items => [...items].map(item => item.id);
+
+  assert.deepEqual(ids(index.byLanguage.get('tamil').movie), ['leo', 'nayakan']);
+  assert.deepEqual(ids(index.series), ['kota', 'suzhal']);
+  assert.deepEqual(ids(index.seriesByLanguage.get('tamil')), ['suzhal']);
+  assert.deepEqual([...index.languagesById.get('suzhal')], ['tamil', 'telugu']);
+  assert.deepEqual([...index.byGenre.get('crime')], ['suzhal', 'nayakan']);
+  assert.deepEqual([...index.byYear.get(1987)], ['nayakan']);
+  assert.deepEqual([...index.terms.get('factory').ids], ['kota']);
+});
+
+test('lookups follow committed scrapes without re-reading catalogs per request', async () => {
+  await fileCache.ensureDirectories();
+  assert.equal(await fileCache.setAll({ catalogs: CATALOGS }), true);
+
+  const ids = items => [...items].map(item => item.id);
+  assert.deepEqual(ids(await catalogIndex.getCatalog('tamil', 'movie')), ['leo', 'nayakan']);
+  assert.deepEqual(ids(await catalogIndex.getSeries(['telugu'])), ['kota', 'suzhal']);
+  assert.deepEqual([...await catalogIndex.getYears(1980, 1990)], ['nayakan']);
+  assert.deepEqual([...await catalogIndex.getSearchMatches('kota factry')], ['kota']);
+  assert.deepEqual([...await catalogIndex.getSearchMatches('suzhal leo')], []);
+
+  // Served from memory until the next commit
+  const before = await catalogIndex.load();
+  assert.equal(await catalogIndex.load(), before);
+
+  assert.equal(await fileCache.setAll({
+    catalogs: { tamil: [...CATALOGS.tamil, { id: 'jailer', type: 'movie', name: 'Jailer', releaseInfo: '2023' }] }
+  }), true);
+  assert.deepEqual(ids(await catalogIndex.getCatalog('tamil', 'movie')), ['leo', 'nayakan', 'jailer']);
+  assert.deepEqual([...await catalogIndex.getSearchMatches('jailer')], ['jailer']);
+});
+
+test('an item in several language catalogs passes genre, year and search filters in each', async () => {
+  // Each catalog file holds its own copy of a "multi-" item
+  const item = () => ({ id: 'multi-vikram', type: 'movie', name: 'Vikram', releaseInfo: '2022', genres: ['Action'] });
+  assert.equal(await fileCache.setAll({ catalogs: { tamil: [item()], telugu: [item()] } }), true);
+
+  for (const id of ['tamil', 'telugu']) {
+    for (const extra of [{ genre: 'Action' }, { year: '2022' }, { search: 'vikram' }, { genre: 'Action', year: '2020s', search: 'vikrm' }]) {
+      const { metas } = await catalogHandler({ type: 'movie', id, extra });
+      assert.deepEqual(metas.map(meta => meta.id), ['multi-vikram'], `${id} ${JSON.stringify(extra)}`);
+    }
+  }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { searchCatalog, normalizeSearchText, phoneticKey } = require('../src/utils/catalog-search');
+const { transliterate } = require('../src/utils/transliterate');
+const { levenshteinDistance } = require('../src/utils/levenshtein');
+
+const ITEMS = [
+  { id: 'leo', name: 'Leo', releaseInfo: '2023', cast: ['Vijay', 'Trisha Krishnan'], director: ['Lokesh Kanagaraj'] },
+  { id: 'vikram-vedha', name: 'Vikram Vedha', releaseInfo: '2017', cast: ['R. Madhavan', 'Vijay Sethupathi'] },
+  { id: 'vikram', name: 'Vikram', releaseInfo: '2022', cast: ['Kamal Haasan'] },
+  { id: 'jailer', name: 'Jailer', releaseInfo: '2023', cast: ['Rajinikanth'] },
+  { id: 'leo-2013', name: 'Leo', releaseInfo: '2013' },
+  { id: 'manjummel', name: 'Manjummel Boys', tmdbOriginalTitle: 'മഞ്ഞുമ്മൽ ബോയ്സ്', releaseInfo: '2024' },
+  { id: 'pathaan', name: 'Pathaan', alternativeTitles: ['Pathan'], releaseInfo: '2023' },
+  { id: 'leon', name: 'Leon: The Professional', releaseInfo: '1994' }
+];
+
+const search = query => searchCatalog(ITEMS, query).map(item => item.id);
+
+test('levenshteinDistance counts edits and stops past the limit', () => {
+  assert.equal(levenshteinDistance('vikram', 'vikrm'), 1);
+  assert.equal(levenshteinDistance('kitten', 'sitting'), 3);
+  assert.equal(levenshteinDistance('', 'abc'), 3);
+  assert.equal(levenshteinDistance('leo', 'manjummel', 2), 3);
+});
+
+test('transliterate romanizes Indic scripts and keeps the rest', () => {
+  assert.equal(transliterate('விக்ரம்'), 'vikram');
+  assert.equal(transliterate('ஜெயிலர்'), 'jeyilar');
+  assert.equal(transliterate('पठान 2023'), 'pathaan 2023');
+  assert.equal(transliterate('జైలర్'), 'jailar');
+  assert.equal(normalizeSearchText('Leon: The Professional!'), 'leon the professional');
+});
+
+test('phoneticKey brings spellings from different scripts together', () => {
+  assert.equal(phoneticKey('leo'), phoneticKey('liyo'));
+  assert.equal(phoneticKey('kanguva'), phoneticKey('kangkuvaa'));
+  assert.equal(phoneticKey('jeyilar'), phoneticKey('jailar'));
+});
+
+test('search matches words in any order, with a year, ranked by relevance', () => {
+  assert.deepEqual(search('Leo 2023'), ['leo']);
+  assert.deepEqual(search('leo'), ['leo', 'leo-2013', 'leon']);
+  assert.deepEqual(search('vikram'), ['vikram', 'vikram-vedha']);
+  assert.deepEqual(search('vedha vikram'), ['vikram-vedha']);
+});
+
+test('search tolerates typos', () => {
+  assert.deepEqual(search('vikrm vedha'), ['vikram-vedha']);
+  assert.deepEqual(search('manjumel boys'), ['manjummel']);
+  assert.deepEqual(search('rajnikanth'), ['jailer']);
+});
+
+test('search understands Tamil, Devanagari and Malayalam script', () => {
+  assert.deepEqual(search('விக்ரம்'), ['vikram', 'vikram-vedha']);
+  assert.deepEqual(search('लियो'), ['leo', 'leo-2013']);
+  assert.deepEqual(search('ஜெயிலர்'), ['jailer']);
+  assert.deepEqual(search('पठान'), ['pathaan']);
+});
+
+test('search matches TMDB alternative titles, cast and director', () => {
+  assert.deepEqual(search('pathan'), ['pathaan']);
+  assert.deepEqual(search('lokesh'), ['leo']);
+  assert.deepEqual(search('kamal haasan'), ['vikram']);
+  assert.deepEqual(search('the'), ['leon']); // Stopwords only count when nothing else is typed
+  assert.deepEqual(search('  '), []);
+});
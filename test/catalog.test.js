@@ -10,11 +10,18 @@ const fs = require('node:fs');
 const constants = require('../src/utils/constants');
 const catalogHandler = require('../src/addon/catalog-handler');
 const fileCache = require('../src/cache/file-cache');
+const catalogIndex = require('../src/cache/catalog-index');
 
 const catalogsDir = path.resolve(constants.CACHE_CATALOGS_DIR);
 const tamilFile = path.join(catalogsDir, 'tamil.json');
 const teluguFile = path.join(catalogsDir, 'telugu.json');
 
+// Pick up catalog files written (or removed) behind fileCache's back
+function reloadCatalogs(...languages) {
+  for (const language of languages) fileCache.clearCatalogCache(language);
+  catalogIndex.invalidate();
+}
+
 // Build a catalog with 150 movies so we can assert 100-item pagination
 function seedCatalog() {
   fs.mkdirSync(catalogsDir, { recursive: true });
@@ -39,8 +46,7 @@ function seedCatalog() {
     { id: 'series-shared', type: 'series', name: 'Shared Series', genres: ['Action'], languages: ['tamil', 'telugu'] }
   ]), 'utf8');
 
-  fileCache.clearCatalogCache('tamil');
-  fileCache.clearCatalogCache('telugu');
+  reloadCatalogs('tamil', 'telugu');
 }
 
 test.before(() => seedCatalog());
@@ -161,6 +167,122 @@ test('empty configuredSeriesLanguages shows everything', async () => {
   assert.equal(res.metas.length, 3);
 });
 
+// --- Cross-language "Recently Added" catalog ---
+
+test('recent catalog mixes movies and series from visible catalogs only', async () => {
+  const all = await catalogHandler({ type: 'movie', id: 'recent', extra: {} });
+  assert.equal(all.metas.length, constants.PAGE_SIZE); // 151 movies + 3 series, paginated
+
+  const ids = async extra => (await catalogHandler({ type: 'movie', id: 'recent', extra })).metas.map(m => m.id).sort();
+  assert.deepEqual(
+    await ids({ visibleCatalogs: ['telugu', 'series'], configuredSeriesLanguages: ['telugu'] }),
+    ['series-shared', 'telugu-movie-0', 'telugu-series-B']
+  );
+  assert.deepEqual(await ids({ visibleCatalogs: ['telugu', 'recent'] }), ['telugu-movie-0']);
+});
+
+test('recent catalog orders by first appearance in the cache, deduped', async () => {
+  const kannadaFile = path.join(catalogsDir, 'kannada.json');
+  fs.writeFileSync(kannadaFile, JSON.stringify([
+    { id: 'k-old', type: 'movie', name: 'Old', firstSeen: '2025-01-01T00:00:00.000Z', postedAt: '2025-06-01T00:00:00.000Z' },
+    { id: 'k-legacy', type: 'movie', name: 'Legacy', postedAt: '2025-02-01T00:00:00.000Z' },
+    { id: 'k-series', type: 'series', name: 'Show', languages: ['kannada'], firstSeen: '2025-03-01T00:00:00.000Z' },
+    { id: 'k-new', type: 'movie', name: 'New', firstSeen: '2025-04-01T00:00:00.000Z' }
+  ]), 'utf8');
+  reloadCatalogs('kannada');
+
+  try {
+    const res = await catalogHandler({
+      type: 'movie', id: 'recent', extra: { visibleCatalogs: ['kannada', 'series'], configuredSeriesLanguages: ['kannada'] }
+    });
+    assert.deepEqual(res.metas.map(m => m.id), ['k-new', 'k-series', 'k-legacy', 'k-old']);
+    assert.equal(res.metas[1].type, 'series');
+  } finally {
+    fs.unlinkSync(kannadaFile);
+    reloadCatalogs('kannada');
+  }
+});
+
+// --- Sort extra ---
+
+test('sort extra orders a catalog by the chosen field, missing values last', async () => {
+  const malayalamFile = path.join(catalogsDir, 'malayalam.json');
+  fs.writeFileSync(malayalamFile, JSON.stringify([
+    { id: 'm-new', type: 'movie', name: 'premalu', postedAt: '2025-03-01T00:00:00.000Z', released: '2024-02-09', imdbRating: '7.9', popularity: 12.5 },
+    { id: 'm-old', type: 'movie', name: 'Aavesham', postedAt: '2025-01-01T00:00:00.000Z', releaseInfo: '2024', imdbRating: '8.1', popularity: 40 },
+    { id: 'm-bare', type: 'movie', name: 'Bramayugam' },
+    { id: 'm-classic', type: 'movie', name: '2018', released: '2023-05-05', imdbRating: '7.5' }
+  ]), 'utf8');
+  reloadCatalogs('malayalam');
+  const sorted = async sort => (await catalogHandler({ type: 'movie', id: 'malayalam', extra: { sort } })).metas.map(m => m.id);
+
+  try {
+    assert.deepEqual(await sorted('Recently added'), ['m-new', 'm-old', 'm-bare', 'm-classic']);
+    assert.deepEqual(await sorted('Release date'), ['m-new', 'm-old', 'm-classic', 'm-bare']);
+    assert.deepEqual(await sorted('Rating'), ['m-old', 'm-new', 'm-classic', 'm-bare']);
+    assert.deepEqual(await sorted('Popularity'), ['m-old', 'm-new', 'm-bare', 'm-classic']);
+    assert.deepEqual(await sorted('Title A–Z'), ['m-classic', 'm-old', 'm-bare', 'm-new']);
+    assert.deepEqual(await sorted('Loudest'), ['m-new', 'm-old', 'm-bare', 'm-classic']); // Cache order
+  } finally {
+    fs.unlinkSync(malayalamFile);
+    reloadCatalogs('malayalam');
+  }
+});
+
+// --- Quality extra ---
+
+test('quality extra keeps items with a stream of that quality', async () => {
+  const kannadaFile = path.join(catalogsDir, 'kannada.json');
+  fs.writeFileSync(kannadaFile, JSON.stringify([
+    { id: 'k-uhd', type: 'movie', name: 'Kantara', qualities: ['4K', '1080p'], hdr: ['DV', 'HDR10'] },
+    { id: 'k-hdr', type: 'movie', name: 'Salaar', qualities: ['1080p'], hdr: ['HDR10+'] },
+    { id: 'k-sd', type: 'movie', name: 'Ugramm', qualities: ['720p'], hdr: [] },
+    { id: 'k-bare', type: 'movie', name: 'Mungaru Male' }
+  ]), 'utf8');
+  reloadCatalogs('kannada');
+  const ids = async quality => (await catalogHandler({ type: 'movie', id: 'kannada', extra: { quality } })).metas.map(m => m.id);
+
+  try {
+    assert.deepEqual(await ids('4K'), ['k-uhd']);
+    assert.deepEqual(await ids('HDR'), ['k-uhd', 'k-hdr']);
+    assert.deepEqual(await ids('Dolby Vision'), ['k-uhd']);
+    assert.deepEqual(await ids('1080p'), ['k-uhd', 'k-hdr']);
+    assert.deepEqual(await ids('720p'), ['k-sd']);
+    assert.equal((await ids('8K')).length, 4); // Unknown option: unfiltered
+  } finally {
+    fs.unlinkSync(kannadaFile);
+    reloadCatalogs('kannada');
+  }
+});
+
+// --- Search-only catalogs ---
+
+test('search catalogs search every language once per title', async () => {
+  const hindiFile = path.join(catalogsDir, 'hindi.json');
+  const multi = { id: 'multi-movie-9', type: 'movie', name: 'Movie 9 Returns' };
+  fs.writeFileSync(hindiFile, JSON.stringify([multi, { id: 'hindi-movie-9', type: 'movie', name: 'Movie 9' }]), 'utf8');
+  fs.writeFileSync(teluguFile, JSON.stringify([...JSON.parse(fs.readFileSync(teluguFile, 'utf8')), multi]), 'utf8');
+  reloadCatalogs('hindi', 'telugu');
+
+  try {
+    const movies = await catalogHandler({ type: 'movie', id: 'search', extra: { search: 'movie 9' } });
+    // Exact titles from two languages lead; the multi-language title is listed once
+    assert.deepEqual(movies.metas.slice(0, 2).map(m => m.id).sort(), ['hindi-movie-9', 'tamil-movie-9']);
+    assert.equal(movies.metas.filter(m => m.id === 'multi-movie-9').length, 1);
+    assert.ok(movies.metas.every(m => m.type === 'movie'));
+
+    const series = await catalogHandler({ type: 'series', id: 'search', extra: { search: 'shared' } });
+    assert.deepEqual(series.metas.map(m => m.id), ['series-shared']);
+
+    const empty = await catalogHandler({ type: 'movie', id: 'search', extra: {} });
+    assert.deepEqual(empty.metas, []);
+  } finally {
+    fs.unlinkSync(hindiFile);
+    seedCatalog();
+    reloadCatalogs('hindi');
+  }
+});
+
 test.after(() => {
   try { fs.unlinkSync(tamilFile); } catch { /* ignore */ }
   try { fs.unlinkSync(teluguFile); } catch { /* ignore */ }
@@ -0,0 +1,113 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache dir before requiring constants/handlers
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-certification-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const fileCache = require('../src/cache/file-cache');
+const catalogHandler = require('../src/addon/catalog-handler');
+const metaHandler = require('../src/addon/meta-handler');
+const streamHandler = require('../src/addon/stream-handler');
+const TMDBClient = require('../src/integrations/tmdb-client');
+const { toCertification, isCertificationAllowed } = require('../src/utils/certification');
+
+const HASH = 'dd8255ecdc7ca55fb0bbf81323d87062db1f6d1c';
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('ratings from India and the US map onto the CBFC scale', () => {
+  assert.equal(toCertification('IN', 'U/A 13+'), 'U/A 13+');
+  assert.equal(toCertification('IN', 'UA'), 'U/A 13+');
+  assert.equal(toCertification('IN', 'a'), 'A');
+  assert.equal(toCertification('US', 'PG-13'), 'U/A 13+');
+  assert.equal(toCertification('US', 'TV-MA'), 'A');
+  assert.equal(toCertification('US', 'Unrated'), null);
+  assert.equal(toCertification('GB', '15'), null);
+});
+
+test('a maximum certification allows its level and below, and unrated titles', () => {
+  assert.equal(isCertificationAllowed('U/A 7+', 'U/A 13+'), true);
+  assert.equal(isCertificationAllowed('U/A 13+', 'U/A 13+'), true);
+  assert.equal(isCertificationAllowed('A', 'U/A 16+'), false);
+  assert.equal(isCertificationAllowed(null, 'U'), true);
+  assert.equal(isCertificationAllowed('A', undefined), true);
+  assert.equal(isCertificationAllowed('A', 'PG'), true); // Not a CBFC level: no limit
+});
+
+test('tokens can also hide unrated titles under a maximum', () => {
+  assert.equal(isCertificationAllowed(null, 'U/A 13+', true), false);
+  assert.equal(isCertificationAllowed('Unrated', 'U/A 13+', true), false);
+  assert.equal(isCertificationAllowed('U', 'U/A 13+', true), true);
+  assert.equal(isCertificationAllowed(null, undefined, true), true); // No maximum: nothing hidden
+});
+
+test('TMDB certification prefers India, then falls back to the US', () => {
+  const tmdb = new TMDBClient('test-key');
+  const releases = (country, ...certifications) => ({
+    iso_3166_1: country,
+    release_dates: certifications.map(certification => ({ certification, type: 3 }))
+  });
+
+  assert.equal(tmdb.extractCertification({
+    release_dates: { results: [releases('US', 'R'), releases('IN', '', 'UA')] }
+  }), 'U/A 13+');
+  assert.equal(tmdb.extractCertification({
+    release_dates: { results: [releases('IN', ''), releases('US', 'PG')] }
+  }), 'U/A 7+');
+  assert.equal(tmdb.extractCertification({
+    content_ratings: { results: [{ iso_3166_1: 'US', rating: 'TV-14' }] }
+  }), 'U/A 16+');
+  assert.equal(tmdb.extractCertification({}), null);
+});
+
+test('catalogs, metas and streams hide titles above the maximum', async () => {
+  const adult = { id: 'tamil-adult-1', type: 'movie', name: 'Adult Film', certification: 'A' };
+  const family = { id: 'tamil-family-2', type: 'movie', name: 'Family Film', certification: 'U' };
+  const unrated = { id: 'tamil-unrated-3', type: 'movie', name: 'Unrated Film' };
+  await fileCache.ensureDirectories();
+  assert.equal(await fileCache.setAll({
+    catalogs: { tamil: [adult, family, unrated] },
+    movies: { [adult.id]: adult, [family.id]: family },
+    streams: { [adult.id]: [{ name: '1080p', infoHash: HASH }] }
+  }), true);
+
+  const extra = { maxCertification: 'U/A 16+' };
+  const catalog = await catalogHandler({ type: 'movie', id: 'tamil', extra });
+  assert.deepEqual(catalog.metas.map(m => m.id), [family.id, unrated.id]);
+  const search = await catalogHandler({ type: 'movie', id: 'search', extra: { ...extra, search: 'film' } });
+  assert.ok(!search.metas.some(m => m.id === adult.id));
+
+  assert.equal((await metaHandler({ type: 'movie', id: adult.id, extra })).meta, null);
+  assert.equal((await metaHandler({ type: 'movie', id: family.id, extra })).meta.id, family.id);
+
+  assert.deepEqual((await streamHandler({ type: 'movie', id: adult.id, extra })).streams, []);
+  assert.equal((await streamHandler({ type: 'movie', id: adult.id, extra: {} })).streams.length, 1);
+});
+
+test('with hideUnrated, catalogs, metas and streams also hide unrated titles', async () => {
+  const family = { id: 'tamil-family-4', type: 'movie', name: 'Family Film', certification: 'U' };
+  const unrated = { id: 'tamil-unrated-5', type: 'movie', name: 'Unrated Film', certification: null };
+  assert.equal(await fileCache.setAll({
+    catalogs: { telugu: [family, unrated] },
+    movies: { [family.id]: family, [unrated.id]: unrated },
+    streams: { [unrated.id]: [{ name: '1080p', infoHash: HASH }] }
+  }), true);
+
+  const extra = { maxCertification: 'U/A 16+', hideUnrated: true };
+  const catalog = await catalogHandler({ type: 'movie', id: 'telugu', extra });
+  assert.deepEqual(catalog.metas.map(m => m.id), [family.id]);
+  assert.equal((await metaHandler({ type: 'movie', id: unrated.id, extra })).meta, null);
+  assert.deepEqual((await streamHandler({ type: 'movie', id: unrated.id, extra })).streams, []);
+
+  // Without the setting they stay
+  const shown = { maxCertification: 'U/A 16+' };
+  assert.equal((await catalogHandler({ type: 'movie', id: 'telugu', extra: shown })).metas.length, 2);
+  assert.equal((await metaHandler({ type: 'movie', id: unrated.id, extra: shown })).meta.id, unrated.id);
+  assert.equal((await streamHandler({ type: 'movie', id: unrated.id, extra: shown })).streams.length, 1);
+});
@@ -0,0 +1,121 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache dir before requiring constants
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-domain-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const { DomainResolver, looksLikeForumHomepage } = require('../src/utils/domain-resolver');
+
+const FORUM_PAGE = '<html><body><strong><a href="https://new.test/index.php?/forums/topic/101-leo/">Leo</a></strong></body></html>';
+const PARKED_PAGE = '<html><body>This domain is for sale</body></html>';
+
+/**
+ * Fake axios.get: `routes` maps a URL to { finalUrl, body } or an Error
+ */
+function fakeHttp(routes, calls = []) {
+  return async (url) => {
+    calls.push(url);
+    const route = routes[url];
+    if (typeof route === 'function') return route();
+    if (!route || route instanceof Error) throw route || Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' });
+    return { status: 200, data: route.body, request: { res: { responseUrl: route.finalUrl || url } } };
+  };
+}
+
+function makeResolver(name, routes, options = {}) {
+  const calls = [];
+  const resolver = new DomainResolver({
+    resolvers: ['https://resolver.test'],
+    mirrors: ['https://mirror-a.test/', 'https://mirror-b.test/'],
+    stateFile: path.join(tmpDir, `${name}.json`),
+    historyLimit: 5,
+    httpGet: fakeHttp(routes, calls),
+    attempts: 1,
+    ...options
+  });
+  return { resolver, calls };
+}
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('looksLikeForumHomepage requires topic links', () => {
+  assert.equal(looksLikeForumHomepage(FORUM_PAGE), true);
+  assert.equal(looksLikeForumHomepage(PARKED_PAGE), false);
+  assert.equal(looksLikeForumHomepage(undefined), false);
+});
+
+test('resolver redirect target wins and is persisted as last-known-good', async () => {
+  const { resolver } = makeResolver('redirect', {
+    'https://resolver.test': { finalUrl: 'https://new.test/index.php', body: FORUM_PAGE }
+  });
+  assert.equal(await resolver.resolve(), 'https://new.test/');
+
+  const saved = JSON.parse(fs.readFileSync(path.join(tmpDir, 'redirect.json'), 'utf8'));
+  assert.equal(saved.lastKnownGood, 'https://new.test/');
+  assert.equal(saved.health['https://new.test/'].successes, 1);
+});
+
+test('stale resolver falls through to a mirror that validates', async () => {
+  const { resolver, calls } = makeResolver('mirror', {
+    'https://resolver.test': { finalUrl: 'https://parked.test/', body: PARKED_PAGE },
+    'https://mirror-a.test/': new Error('timeout of 15000ms exceeded'),
+    'https://mirror-b.test/': { body: FORUM_PAGE }
+  });
+  assert.equal(await resolver.resolve(), 'https://mirror-b.test/');
+  assert.deepEqual(calls, ['https://resolver.test', 'https://mirror-a.test/', 'https://mirror-b.test/']);
+
+  const status = await resolver.getStatus();
+  assert.equal(status.current, 'https://mirror-b.test/');
+  assert.deepEqual(status.history.map(p => [p.kind, p.ok, p.reason]), [
+    ['mirror', true, null],
+    ['mirror', false, 'timeout of 15000ms exceeded'],
+    ['resolver', false, 'not-forum']
+  ]);
+  assert.ok(status.health['https://mirror-a.test/'].score < status.health['https://mirror-b.test/'].score);
+});
+
+test('last-known-good from disk is reused on startup and when nothing validates', async () => {
+  const routes = { 'https://mirror-b.test/': { body: FORUM_PAGE } };
+  await makeResolver('restart', routes).resolver.resolve();
+
+  // Fresh instance (restart): last-known-good is probed before the mirrors
+  const { resolver, calls } = makeResolver('restart', routes);
+  assert.equal(await resolver.resolve(), 'https://mirror-b.test/');
+  assert.deepEqual(calls, ['https://resolver.test', 'https://mirror-b.test/']);
+
+  // Everything down: keep the last domain that worked
+  const { resolver: offline } = makeResolver('restart', {});
+  assert.equal(await offline.resolve(), 'https://mirror-b.test/');
+  assert.equal((await offline.getStatus()).history.length, 5);
+});
+
+test('probes retry 503s after Retry-After but not 404s', async () => {
+  const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+  let resolverCalls = 0;
+  const { resolver, calls } = makeResolver('retry', {
+    'https://resolver.test': () => {
+      resolverCalls++;
+      if (resolverCalls === 1) throw httpError(503, { 'retry-after': '0' });
+      return { status: 200, data: FORUM_PAGE, request: { res: { responseUrl: 'https://new.test/' } } };
+    },
+    'https://mirror-a.test/': httpError(404)
+  }, { attempts: 3, mirrors: ['https://mirror-a.test/'] });
+
+  assert.equal(await resolver.resolve(), 'https://new.test/');
+  assert.equal(resolverCalls, 2);
+
+  const { resolver: gone, calls: goneCalls } = makeResolver('gone', {
+    'https://resolver.test': httpError(404),
+    'https://mirror-a.test/': { body: FORUM_PAGE }
+  }, { attempts: 3 });
+  assert.equal(await gone.resolve(), 'https://mirror-a.test/');
+  assert.deepEqual(goneCalls, ['https://resolver.test', 'https://mirror-a.test/']);
+  assert.equal(calls.length, 2);
+});
+
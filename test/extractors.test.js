@@ -4,6 +4,7 @@ const assert = require('node:assert/strict');
 const {
   generateMovieId,
   generateSeriesId,
+  extractShowName,
   generateEpisodeStreamId,
   extractInfoHash,
   extractStreamDetailsFromMagnet,
@@ -12,7 +13,16 @@ const {
   structureStreamsForStremio,
   cleanTitleForDisplay,
   structureSeriesForCatalog,
-  structureSeriesForMeta
+  structureSeriesForMeta,
+  getEpisodesBySeason,
+  mergeSeriesMeta,
+  computeTopicFingerprint,
+  mergeStreams,
+  structureMovieForMeta,
+  structureMovieForCatalog,
+  mergeTopicDates,
+  compareNewestFirst,
+  summarizeStreamQualities
 } = require('../src/scraper/extractors');
 
 const HASH = 'dd8255ecdc7ca55fb0bbf81323d87062db1f6d1c';
@@ -30,12 +40,21 @@ test('generateMovieId: multi-language uses multi prefix', () => {
   assert.ok(id.startsWith('multi-salaar-'));
 });
 
-test('generateSeriesId includes season, episode stream id format', () => {
-  const sid = generateSeriesId('Farzi', 1, ['hindi']);
-  assert.ok(sid.startsWith('hindi-farzi-s1-'));
+test('generateSeriesId is keyed by show name, episode stream id format', () => {
+  const sid = generateSeriesId('Farzi (2023) S01 EP(01-04) - Tamil - 1080p - [Tam + Tel]');
+  assert.ok(sid.startsWith('series-farzi-'));
+  // Other episode ranges, seasons and language mixes of the same show share the ID
+  assert.equal(generateSeriesId('Farzi (2023) S01 EP (05-08) [Tamil + Telugu] 720p'), sid);
+  assert.equal(generateSeriesId('Farzi (2024) S02 EP(01-08) - Hindi'), sid);
   assert.equal(generateEpisodeStreamId(sid, 1, 5), `${sid}:1:5`);
 });
 
+test('extractShowName keeps language words that are part of the name', () => {
+  assert.equal(extractShowName('Bigg Boss Tamil Season 8 DAY 90'), 'Bigg Boss Tamil');
+  assert.equal(extractShowName('Heeramandi: The Diamond Bazaar (2024) (Tamil + Telugu) S01 EP(01-08)'), 'Heeramandi: The Diamond Bazaar');
+  assert.equal(extractShowName('Farzi (2023) S01EP(01-04) (Tamil + Telugu)'), 'Farzi');
+});
+
 test('extractInfoHash pulls 40-char btih hash', () => {
   assert.equal(extractInfoHash(MAGNET_4K), HASH);
 });
@@ -72,6 +91,66 @@ test('structureStreamsForStremio builds stream objects with known-good shape', (
   assert.ok(typeof s.behaviorHints.bingeGroup === 'string');
 });
 
+test('structureStreamsForStremio tags each stream with its own audio languages', () => {
+  const single = `magnet:?xt=urn:btih:${'a'.repeat(40)}&dn=${encodeURIComponent('Leo (2023) Tamil 2160p HEVC - 12GB.mkv')}`;
+  const multi = `magnet:?xt=urn:btih:${'b'.repeat(40)}&dn=${encodeURIComponent('Leo (2023) 1080p AVC - 5GB.mkv')}`;
+  const streams = structureStreamsForStremio(
+    [single, multi],
+    ['Leo (2023) 4K HEVC - 12GB', 'Leo (2023) 1080p [Tam + Tel + Hin] - 5GB']
+  );
+  assert.deepEqual(streams[0].languages, ['tamil']);
+  assert.deepEqual(streams[1].languages, ['tamil', 'telugu', 'hindi']);
+  assert.match(streams[1].description, /🗣 Tamil \+ Telugu \+ Hindi/);
+
+  // No language info anywhere -> empty list, nothing added to the description
+  const [plain] = structureStreamsForStremio([MAGNET_4K], ['2160p UHD'], ['4K']);
+  assert.deepEqual(plain.languages, []);
+  assert.doesNotMatch(plain.description, /🗣/);
+});
+
+test('structureStreamsForStremio stores the parsed release and never invents a quality', () => {
+  const noResolution = `magnet:?xt=urn:btih:${'c'.repeat(40)}&dn=${encodeURIComponent('Leo (2023) Tamil HD Print - x264 - 700MB.mkv')}`;
+  const [stream] = structureStreamsForStremio([noResolution], ['Leo (2023) Tamil HDRip - (DD+5.1 - 640Kbps) - ESub']);
+  assert.equal(stream.name, 'Unknown');
+  assert.equal(stream.release.resolution, null);
+  assert.equal(stream.release.source, 'HDRip'); // From the post's description
+  assert.deepEqual(stream.release.audioCodecs, ['DD+']);
+  assert.equal(stream.release.size, 700 * 1024 ** 2);
+
+  // The topic's quality only stands in when it is the only one listed
+  assert.equal(structureStreamsForStremio([noResolution], [], ['720p'])[0].name, '720p');
+  assert.equal(structureStreamsForStremio([noResolution], [], ['1080p', '720p'])[0].name, 'Unknown');
+
+  const [uhd] = structureStreamsForStremio([MAGNET_4K]);
+  assert.equal(uhd.name, '2160p');
+  assert.equal(uhd.release.codec, 'HEVC');
+});
+
+test('structureSeriesForMeta lists every season from episodesBySeason', () => {
+  const meta = structureSeriesForMeta({
+    id: 'series-farzi-x', title: 'Farzi (2023) S02 EP(01-02)', languages: ['hindi'],
+    episodesBySeason: { 2: [2, 1], 1: [1, 2, 3] }
+  });
+  assert.deepEqual(meta.videos.map(v => v.id), [
+    'series-farzi-x:1:1', 'series-farzi-x:1:2', 'series-farzi-x:1:3',
+    'series-farzi-x:2:1', 'series-farzi-x:2:2'
+  ]);
+  assert.deepEqual(meta.seasons.map(s => [s.season, s.episodes.length]), [[1, 3], [2, 2]]);
+  assert.equal(meta.description, 'Farzi - Seasons 1, 2 (hindi)');
+  // Built meta round-trips through its videos
+  assert.deepEqual([...getEpisodesBySeason(meta)], [[1, [1, 2, 3]], [2, [1, 2]]]);
+});
+
+test('mergeSeriesMeta re-keys source episodes and keeps target metadata', () => {
+  const target = { ...structureSeriesForMeta({ id: 'a', title: 'Show', season: 1, episodes: [1, 2], languages: ['tamil'] }), tmdbId: 7 };
+  const source = structureSeriesForMeta({ id: 'b', title: 'Show', season: 2, episodes: [1], languages: ['telugu'] });
+  const merged = mergeSeriesMeta(target, source);
+  assert.equal(merged.id, 'a');
+  assert.equal(merged.tmdbId, 7);
+  assert.deepEqual(merged.videos.map(v => v.id), ['a:1:1', 'a:1:2', 'a:2:1']);
+  assert.deepEqual(merged.languages, ['tamil', 'telugu']);
+});
+
 test('cleanTitleForDisplay strips year, language, technical noise', () => {
   const cleaned = cleanTitleForDisplay('Leo (2023) (Tamil) - WEB-DL - [1080p & 720p]');
   assert.ok(!/2023/.test(cleaned));
@@ -117,3 +196,81 @@ test('structureSeriesForMeta emits a flat videos[] array of episodes', () => {
   assert.equal(meta.seasons.length, 1);
   assert.equal(meta.seasons[0].episodes.length, 3);
 });
+
+test('computeTopicFingerprint: order-insensitive, changes when magnets or edit time change', () => {
+  const a = { infoHash: 'aaaa' };
+  const b = { infoHash: 'bbbb' };
+  assert.equal(computeTopicFingerprint([a, b]), computeTopicFingerprint([b, a]));
+  assert.notEqual(computeTopicFingerprint([a]), computeTopicFingerprint([a, b]));
+  assert.notEqual(
+    computeTopicFingerprint([a], '2025-01-01T00:00:00.000Z'),
+    computeTopicFingerprint([a], '2025-02-01T00:00:00.000Z')
+  );
+});
+
+test('mergeStreams: dedupes by infoHash, fresh streams first, keeps cached extras', () => {
+  const cached = [
+    { name: '1080p', infoHash: 'aaaa', description: 'old' },
+    { name: '720p', infoHash: 'cccc' }
+  ];
+  const fresh = [
+    { name: '4K', infoHash: 'bbbb' },
+    { name: '1080p', infoHash: 'AAAA', description: 'new' }
+  ];
+  const merged = mergeStreams(cached, fresh);
+  assert.deepEqual(merged.map(s => s.name), ['4K', '1080p', '720p']);
+  assert.equal(merged[1].description, 'new');
+  assert.deepEqual(mergeStreams(null, fresh).length, 2);
+});
+
+test('forum dates stand in for TMDB release fields and order catalogs', () => {
+  const leo = structureMovieForMeta({
+    id: 'tamil-leo', title: 'Leo (2023) Tamil', year: 2023, languages: ['tamil'],
+    postedAt: '2023-11-20T10:00:00.000Z', firstSeen: '2023-11-21T00:00:00.000Z'
+  });
+  assert.equal(leo.releaseInfo, '2023');
+  assert.equal(leo.released, '2023-11-20T10:00:00.000Z');
+  assert.equal(leo.firstSeen, '2023-11-21T00:00:00.000Z');
+
+  // An old film posted years later: the post date is no release date
+  const nayakan = structureMovieForMeta({ id: 'tamil-nayakan', title: 'Nayakan (1987) Tamil', year: 1987, postedAt: '2025-01-02T00:00:00.000Z' });
+  assert.equal(nayakan.releaseInfo, '1987');
+  assert.equal(nayakan.released, null);
+  assert.equal(structureMovieForCatalog({ id: 'x', title: 'Untitled', postedAt: '2025-01-02T00:00:00.000Z' }).releaseInfo, '2025');
+
+  const catalog = [
+    structureMovieForCatalog({ id: 'undated', title: 'A' }),
+    structureMovieForCatalog({ id: 'old', title: 'B', postedAt: '2024-05-01T00:00:00.000Z' }),
+    structureMovieForCatalog({ id: 'seen', title: 'C', firstSeen: '2024-06-01T00:00:00.000Z' }),
+    structureMovieForCatalog({ id: 'new', title: 'D', postedAt: '2025-02-01T00:00:00.000Z' })
+  ];
+  assert.deepEqual(catalog.sort(compareNewestFirst).map(item => item.id), ['new', 'seen', 'old', 'undated']);
+});
+
+test('mergeTopicDates: newest post, earliest sighting', () => {
+  const merged = mergeTopicDates(
+    { postedAt: '2024-01-01T00:00:00.000Z', firstSeen: '2024-01-02T00:00:00.000Z' },
+    { postedAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-03T00:00:00.000Z', firstSeen: '2025-01-02T00:00:00.000Z' }
+  );
+  assert.deepEqual(merged, {
+    postedAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-01-03T00:00:00.000Z',
+    firstSeen: '2024-01-02T00:00:00.000Z'
+  });
+});
+
+test('summarizeStreamQualities lists resolutions and HDR formats, best first', () => {
+  const streams = structureStreamsForStremio([
+    `magnet:?xt=urn:btih:${'a'.repeat(40)}&dn=${encodeURIComponent('Movie (2025) 1080p WEB-DL x264 - 2.4GB')}`,
+    MAGNET_4K,
+    `magnet:?xt=urn:btih:${'b'.repeat(40)}&dn=${encodeURIComponent('Movie (2025) 2160p DV HDR10+ HEVC - 21GB')}`
+  ]);
+  // Streams cached before `release` was recorded
+  const legacy = [{ name: '720p', description: '💎 HDR10' }];
+
+  assert.deepEqual(summarizeStreamQualities([...streams, ...legacy]), {
+    qualities: ['4K', '1080p', '720p'],
+    hdr: ['DV', 'HDR10+', 'HDR10']
+  });
+  assert.deepEqual(summarizeStreamQualities([]), { qualities: [], hdr: [] });
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isExtraFile,
+  parseEpisodeFromFilename,
+  selectEpisodeFile,
+  selectMainVideoFile
+} = require('../src/utils/file-selector');
+const { selectTorboxFileId } = require('../src/routes/proxy-stream');
+
+const GB = 1024 ** 3;
+
+// Season pack as a torrent lays it out: sample and extras alongside episodes
+const pack = [
+  { name: 'Farzi S01 (2023) 1080p/Sample/Farzi.S01E01.sample.mkv', size: 50e6 },
+  { name: 'Farzi S01 (2023) 1080p/Farzi.S01E01.1080p.WEB-DL.mkv', size: 2 * GB },
+  { name: 'Farzi S01 (2023) 1080p/Farzi.S01E02.1080p.WEB-DL.mkv', size: 2 * GB },
+  { name: 'Farzi S01 (2023) 1080p/Farzi.S01E02.1080p.WEB-DL.srt', size: 80e3 },
+  { name: 'Farzi S01 (2023) 1080p/Extras/Farzi.S01E03.Behind.The.Scenes.mkv', size: 300e6 },
+  { name: 'Farzi S01 (2023) 1080p/Farzi.S01E03.1080p.WEB-DL.mkv', size: 2 * GB }
+];
+
+test('parseEpisodeFromFilename reads common episode markers', () => {
+  assert.deepEqual(parseEpisodeFromFilename('Show.S02E05.1080p.mkv'), { season: 2, episodes: [5] });
+  assert.deepEqual(parseEpisodeFromFilename('Show S01E01-E03 720p.mkv'), { season: 1, episodes: [1, 2, 3] });
+  assert.deepEqual(parseEpisodeFromFilename('Show.S01E05 - 10bit.mkv'), { season: 1, episodes: [5] });
+  assert.deepEqual(parseEpisodeFromFilename('Show 1x07 HDTV x264.mkv'), { season: 1, episodes: [7] });
+  assert.deepEqual(parseEpisodeFromFilename('Show S01 EP04 [Tamil].mkv'), { season: 1, episodes: [4] });
+  assert.deepEqual(parseEpisodeFromFilename('Show Episode 12.mp4'), { season: null, episodes: [12] });
+  // Folder names don't count, only the file itself
+  assert.equal(parseEpisodeFromFilename('Show S01E01-E08/Show 1080p x264.mkv'), null);
+});
+
+test('selectEpisodeFile picks the episode and skips samples, extras and subtitles', () => {
+  assert.equal(selectEpisodeFile(pack, 1, 1), 1);
+  assert.equal(selectEpisodeFile(pack, 1, 2), 2);
+  assert.equal(selectEpisodeFile(pack, 1, 3), 5);
+  assert.equal(selectEpisodeFile(pack, 2, 1), null);
+  assert.equal(selectEpisodeFile(pack, 1, 9), null);
+  assert.ok(isExtraFile(pack[0].name));
+  assert.ok(!isExtraFile(pack[1].name));
+});
+
+test('selectEpisodeFile prefers files that name the season', () => {
+  const files = [
+    { name: 'Show EP03.mkv', size: 3 * GB },
+    { name: 'Show S02E03.mkv', size: 1 * GB }
+  ];
+  assert.equal(selectEpisodeFile(files, 2, 3), 1);
+  assert.equal(selectEpisodeFile(files.slice(0, 1), 2, 3), 0);
+});
+
+test('selectMainVideoFile picks the largest non-extra video', () => {
+  assert.equal(selectMainVideoFile([
+    { name: 'Movie/Sample.mkv', size: 4 * GB },
+    { name: 'Movie/Movie.2023.1080p.mkv', size: 3 * GB },
+    { name: 'Movie/Movie.2023.nfo', size: 10e3 }
+  ]), 1);
+  assert.equal(selectMainVideoFile([]), null);
+});
+
+test('selectTorboxFileId maps the match to the TorBox file id', () => {
+  const files = pack.map((file, i) => ({ id: 100 + i, name: file.name, short_name: file.name.split('/').pop(), size: file.size }));
+  assert.equal(selectTorboxFileId(files, 1, 2), 102);
+  assert.equal(selectTorboxFileId(null, 1, 2), null);
+});
+
+test('selectTorboxFileId falls back to the largest video only when no file is marked with episodes', () => {
+  const files = [
+    { id: 7, name: 'Farzi S01E04 1080p/Sample.mkv', size: 60e6 },
+    { id: 8, name: 'Farzi S01E04 1080p/Farzi 1080p WEB-DL.mkv', size: 2 * GB },
+    { id: 9, name: 'Farzi S01E04 1080p/Farzi 1080p WEB-DL.nfo', size: 4e3 }
+  ];
+  assert.equal(selectTorboxFileId(files, 1, 4), 8);
+
+  // An episode missing from a marked pack matches nothing rather than another episode
+  const packFiles = pack.map((file, i) => ({ id: 100 + i, name: file.name, size: file.size + i }));
+  assert.equal(selectTorboxFileId(packFiles, 1, 9), null);
+  assert.equal(selectTorboxFileId([{ id: 1, name: 'Farzi.S01E01.nfo', size: 4e3 }], 1, 1), null);
+});
@@ -4,6 +4,7 @@ const assert = require('node:assert/strict');
 const manifest = require('../src/addon/manifest');
 const { getManifestForCatalogs } = require('../src/addon/manifest');
 const constants = require('../src/utils/constants');
+const { withNewCatalogs } = require('../src/utils/token-manager');
 
 function seriesCatalog(m) {
   return m.catalogs.find((c) => c.id === 'series' && c.type === 'series');
@@ -25,10 +26,46 @@ test('series dropdown always offers the full language option list', () => {
 
 test('visibleCatalogs filters catalog list (movies)', () => {
   const m = getManifestForCatalogs(['tamil', 'telugu']);
-  assert.deepEqual(m.catalogs.map((c) => c.id).sort(), ['tamil', 'telugu']);
+  assert.deepEqual(m.catalogs.map((c) => c.id).sort(), ['search', 'search', 'tamil', 'telugu']);
 });
 
 test('visibleCatalogs can include the series catalog', () => {
   const m = getManifestForCatalogs(['tamil', 'series']);
-  assert.deepEqual(m.catalogs.map((c) => c.id).sort(), ['series', 'tamil']);
+  assert.deepEqual(m.catalogs.map((c) => c.id).sort(), ['search', 'search', 'series', 'tamil']);
+});
+
+test('tokens saved before the Recently Added row existed are shown it', () => {
+  // No knownCatalogs: saved when only the language rows were offered
+  const legacy = withNewCatalogs(['tamil', 'series']);
+  assert.deepEqual(legacy, ['tamil', 'series', 'recent']);
+  assert.deepEqual(getManifestForCatalogs(legacy).catalogs.map((c) => c.id).sort(),
+    ['recent', 'search', 'search', 'series', 'tamil']);
+
+  // Hidden on purpose by a token saved since: stays hidden
+  const known = [...Object.values(constants.LANGUAGES), 'recent'];
+  assert.deepEqual(withNewCatalogs(['tamil'], known), ['tamil']);
+  assert.equal(withNewCatalogs(undefined), undefined);
+  assert.deepEqual(withNewCatalogs([]), []);
+});
+
+test('every row offers the sort options', () => {
+  for (const catalog of manifest.catalogs.filter((c) => c.id !== 'search')) {
+    const sort = catalog.extra.find((e) => e.name === 'sort');
+    assert.deepEqual(sort.options, constants.CATALOG_SORT_OPTIONS, catalog.id);
+    assert.equal(sort.isRequired, false);
+  }
+});
+
+test('recent catalog leads the manifest and can be hidden like any other', () => {
+  assert.equal(manifest.catalogs[0].id, 'recent');
+  const m = getManifestForCatalogs(['tamil', 'series']);
+  assert.ok(!m.catalogs.some((c) => c.id === 'recent'));
+});
+
+test('only the search-only catalogs advertise search, one per type', () => {
+  const searchable = manifest.catalogs.filter((c) => c.extra.some((e) => e.name === 'search'));
+  assert.deepEqual(searchable.map((c) => `${c.type}/${c.id}`), ['movie/search', 'series/search']);
+  for (const catalog of searchable) {
+    assert.equal(catalog.extra.find((e) => e.name === 'search').isRequired, true);
+  }
 });
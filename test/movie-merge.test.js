@@ -0,0 +1,111 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache dir (topic + alias index, cached movies) before requiring modules
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-movie-merge-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const fileCache = require('../src/cache/file-cache');
+const aliasIndex = require('../src/cache/alias-index');
+const TamilMVScraper = require('../src/scraper/tamilmv-scraper');
+const ScrapeReport = require('../src/scraper/scrape-report');
+const handleMeta = require('../src/addon/meta-handler');
+const handleStream = require('../src/addon/stream-handler');
+const { structureMovieForMeta, structureMovieForCatalog, movieTitleKey } = require('../src/scraper/extractors');
+
+const stream = hash => ({ name: '1080p', infoHash: hash.repeat(40) });
+
+// A movie topic scraped under `id`, optionally enriched with a TMDB id
+function addMovie(result, id, { title, tmdbId, languages, hash, topicKey }) {
+  const meta = { ...structureMovieForMeta({ id, title, languages }), ...(tmdbId && { tmdbId }) };
+  result.movies[id] = meta;
+  result.streams[id] = [stream(hash)];
+  for (const lang of languages) {
+    result.catalogs[lang].push(structureMovieForCatalog(meta));
+  }
+  result.topics[topicKey] = { id, type: 'movie', languages, titleKey: movieTitleKey(title), ...(tmdbId && { tmdbId }) };
+}
+
+const emptyResult = () => ({
+  catalogs: { tamil: [], telugu: [] }, movies: {}, series: {}, streams: {}, topics: {}, aliases: {}
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('movieTitleKey ignores languages and release details but needs a year', () => {
+  assert.equal(movieTitleKey('Leo (2023) Tamil TRUE WEB-DL - 4K SDR - HEVC - 15GB'), 'leo|2023');
+  assert.equal(movieTitleKey('Leo (2023) [Tam + Tel + Hin] ORG Audio - 1080p HDRip'), 'leo|2023');
+  assert.equal(movieTitleKey('1917 (2019) Tamil'), '1917|2019');
+  assert.equal(movieTitleKey('Leo Tamil HDRip'), null);
+});
+
+test('topics of one TMDB film in a run are merged onto the first ID', async () => {
+  const result = emptyResult();
+  addMovie(result, 'tamil-leo-a', { title: 'Leo (2023) Tamil 4K', tmdbId: 9, languages: ['tamil'], hash: 'a', topicKey: 'tamilmv:1' });
+  addMovie(result, 'multi-leo-b', { title: 'Leo (2023) [Tam + Tel] ORG Audio', tmdbId: 9, languages: ['tamil', 'telugu'], hash: 'b', topicKey: 'tamilmv:2' });
+  const report = new ScrapeReport();
+  report.add({ url: 'u2', title: 'Leo ORG', outcome: 'added', id: 'multi-leo-b' });
+
+  await new TamilMVScraper().mergeMoviesByIdentity(result, { skipCacheCheck: true, report });
+
+  assert.deepEqual(Object.keys(result.movies), ['tamil-leo-a']);
+  assert.equal(result.movies['tamil-leo-a'].language, 'tamil, telugu');
+  assert.deepEqual(result.streams['tamil-leo-a'].map(s => s.infoHash[0]).sort(), ['a', 'b']);
+  assert.equal(result.streams['multi-leo-b'], undefined);
+  assert.deepEqual(result.catalogs.tamil.map(item => item.id), ['tamil-leo-a']);
+  assert.deepEqual(result.catalogs.telugu.map(item => item.id), ['tamil-leo-a']);
+  assert.equal(result.topics['tamilmv:2'].id, 'tamil-leo-a');
+  assert.deepEqual(result.aliases, { 'multi-leo-b': 'tamil-leo-a' });
+  assert.equal(report.items[0].id, 'tamil-leo-a');
+});
+
+test('without TMDB, name + year decides; a different TMDB film is left alone', async () => {
+  const result = emptyResult();
+  addMovie(result, 'tamil-leo-a', { title: 'Leo (2023) Tamil 4K', tmdbId: 9, languages: ['tamil'], hash: 'a', topicKey: 'tamilmv:1' });
+  addMovie(result, 'tamil-leo-c', { title: 'Leo (2023) Tamil PreDVD', languages: ['tamil'], hash: 'c', topicKey: 'tamilmv:3' });
+  addMovie(result, 'telugu-leo-d', { title: 'Leo (2023) Telugu', tmdbId: 77, languages: ['telugu'], hash: 'd', topicKey: 'tamilmv:4' });
+  addMovie(result, 'tamil-leo-e', { title: 'Leo (2013) Tamil', languages: ['tamil'], hash: 'e', topicKey: 'tamilmv:5' });
+
+  await new TamilMVScraper().mergeMoviesByIdentity(result, { skipCacheCheck: true });
+
+  assert.deepEqual(Object.keys(result.movies).sort(), ['tamil-leo-a', 'tamil-leo-e', 'telugu-leo-d']);
+  assert.deepEqual(result.aliases, { 'tamil-leo-c': 'tamil-leo-a' });
+});
+
+test('a new topic merges into the cached film and its old ID keeps resolving', async () => {
+  const cached = emptyResult();
+  addMovie(cached, 'tamil-jailer-x', { title: 'Jailer (2023) Tamil HDRip', languages: ['tamil'], hash: '1', topicKey: 'tamilmv:10' });
+  await fileCache.ensureDirectories();
+  assert.equal(await fileCache.setAll(cached), true);
+
+  // Next run: another release of the same film in its own topic
+  const result = emptyResult();
+  addMovie(result, 'multi-jailer-y', { title: 'Jailer (2023) [Tam + Tel] 1080p', languages: ['tamil', 'telugu'], hash: '3', topicKey: 'tamilmv:11' });
+  await new TamilMVScraper().mergeMoviesByIdentity(result);
+
+  assert.deepEqual(Object.keys(result.movies), ['tamil-jailer-x']);
+  assert.deepEqual(result.streams['tamil-jailer-x'].map(s => s.infoHash[0]).sort(), ['1', '3']);
+  assert.equal(await fileCache.setAll(result), true);
+  assert.equal(await aliasIndex.resolve('multi-jailer-y'), 'tamil-jailer-x');
+
+  // Library entries saved under the merged-away ID
+  const { meta } = await handleMeta({ type: 'movie', id: 'multi-jailer-y' });
+  assert.equal(meta.id, 'multi-jailer-y');
+  const { streams } = await handleStream({ type: 'movie', id: 'multi-jailer-y' });
+  assert.equal(streams.length, 2);
+});
+
+test('aliases follow later merges and drop IDs that become targets', async () => {
+  await aliasIndex.update({ 'movie-a': 'movie-b' });
+  await aliasIndex.update({ 'movie-b': 'movie-c' });
+  assert.equal(await aliasIndex.resolve('movie-a'), 'movie-c');
+
+  await aliasIndex.update({ 'movie-c': 'movie-a' });
+  assert.equal(await aliasIndex.resolve('movie-a'), 'movie-a');
+  assert.equal(await aliasIndex.resolve('movie-b'), 'movie-a');
+});
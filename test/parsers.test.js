@@ -3,10 +3,18 @@ const assert = require('node:assert/strict');
 
 const {
   detectLanguagesFromTitle,
+  detectAudioLanguages,
   detectSeriesFromTitle,
   extractEpisodeFromText,
   extractEpisodeRangeFromDescription,
-  extractQualityFromMagnetText
+  extractQualityFromMagnetText,
+  extractTopicId,
+  dedupeListings,
+  parseMovieListings,
+  parseLanguageForumLinks,
+  parseNextPageUrl,
+  parseNewestListingTimestamp,
+  extractTopicDates
 } = require('../src/scraper/parsers');
 
 test('detectLanguagesFromTitle: parenthesized full names', () => {
@@ -25,6 +33,19 @@ test('detectLanguagesFromTitle: no language returns empty', () => {
   assert.deepEqual(detectLanguagesFromTitle('Just A Title 2025'), []);
 });
 
+test('detectAudioLanguages: per-file languages from dn and description', () => {
+  assert.deepEqual(
+    detectAudioLanguages('Leo (2023) TRUE WEB-DL - 1080p - AVC - [Tam + Tel + Hin] - 5GB.mkv'),
+    ['tamil', 'telugu', 'hindi']
+  );
+  // Dotted filenames and a row description are combined without duplicates
+  assert.deepEqual(
+    detectAudioLanguages('Leo.2023.Tamil.2160p.HEVC.mkv', 'Leo (2023) 4K [Tamil (Org Aud) + Telugu]'),
+    ['tamil', 'telugu']
+  );
+  assert.deepEqual(detectAudioLanguages('Leo (2023) 1080p HEVC - 2.5GB.mkv', null), []);
+});
+
 test('detectSeriesFromTitle: season + episode range', () => {
   const info = detectSeriesFromTitle('Run Away (2025) S01 EP(01-08)');
   assert.equal(info.isSeries, true);
@@ -59,3 +80,105 @@ test('extractQualityFromMagnetText: quality detection', () => {
   assert.equal(extractQualityFromMagnetText('Movie 720p'), '720p');
   assert.equal(extractQualityFromMagnetText('Movie 480p'), '480p');
 });
+
+const BASE = 'https://www.1tamilmv.lc/';
+
+test('extractTopicId: reads id from query-path topic URLs', () => {
+  assert.equal(extractTopicId('https://x/index.php?/forums/topic/195489-leo-2023/'), '195489');
+  assert.equal(extractTopicId('https://x/index.php?/forums/topic/0/'), null);
+  assert.equal(extractTopicId('https://x/index.php?/forums/forum/11-tamil/'), null);
+});
+
+test('dedupeListings: first occurrence wins across groups', () => {
+  const homepage = [{ title: 'Leo (2023) (Tamil)', url: 'https://x/index.php?/forums/topic/1-leo/' }];
+  const forum = [
+    { title: 'Leo (2023) (Tamil) older title', url: 'https://x/index.php?/forums/topic/1-leo/page/2/#comments' },
+    { title: 'Jailer (2023) (Tamil)', url: 'https://x/index.php?/forums/topic/2-jailer/' }
+  ];
+  const merged = dedupeListings(homepage, forum);
+  assert.equal(merged.length, 2);
+  assert.equal(merged[0].title, 'Leo (2023) (Tamil)');
+  assert.equal(merged[1].title, 'Jailer (2023) (Tamil)');
+});
+
+test('parseLanguageForumLinks: finds language sub-forums once each', () => {
+  const html = `<html><body>
+    <a href="/index.php?/forums/forum/11-tamil-new-movies-hdrips/">Tamil New Movies - HDRips</a>
+    <a href="/index.php?/forums/forum/11-tamil-new-movies-hdrips/" title="Tamil New Movies">Tamil</a>
+    <a href="/index.php?/forums/forum/24-telugu-movies/">Telugu Movies</a>
+    <a href="/index.php?/forums/forum/5-announcements/">Announcements</a>
+  </body></html>`;
+  const forums = parseLanguageForumLinks(html, BASE, ['tamil', 'telugu', 'hindi']);
+  assert.deepEqual(forums.map(f => [f.forumId, f.language]), [['11', 'tamil'], ['24', 'telugu']]);
+  assert.equal(forums[0].url, 'https://www.1tamilmv.lc/index.php?/forums/forum/11-tamil-new-movies-hdrips/');
+});
+
+test('parseNextPageUrl: follows IPB pagination and stops on last page', () => {
+  const page1 = `<html><head></head><body><ul class="ipsPagination">
+    <li class="ipsPagination_next"><a href="/index.php?/forums/forum/11-tamil/page/2/" rel="next">Next</a></li>
+  </ul></body></html>`;
+  assert.equal(parseNextPageUrl(page1, BASE), 'https://www.1tamilmv.lc/index.php?/forums/forum/11-tamil/page/2/');
+
+  const headOnly = '<html><head><link rel="next" href="https://www.1tamilmv.lc/index.php?/forums/forum/11-tamil/page/3/"></head><body></body></html>';
+  assert.equal(parseNextPageUrl(headOnly, BASE), 'https://www.1tamilmv.lc/index.php?/forums/forum/11-tamil/page/3/');
+
+  const lastPage = `<html><body><ul class="ipsPagination">
+    <li class="ipsPagination_next ipsPagination_inactive"><a href="/index.php?/forums/forum/11-tamil/page/5/" rel="next">Next</a></li>
+  </ul></body></html>`;
+  assert.equal(parseNextPageUrl(lastPage, BASE), null);
+});
+
+test('parseNewestListingTimestamp: newest datetime on the page', () => {
+  const html = `<html><body>
+    <time datetime="2025-01-02T10:00:00Z">Jan 2</time>
+    <time datetime="2025-03-04T10:00:00Z">Mar 4</time>
+    <time datetime="not-a-date">?</time>
+  </body></html>`;
+  assert.equal(parseNewestListingTimestamp(html), Date.parse('2025-03-04T10:00:00Z'));
+  assert.equal(parseNewestListingTimestamp('<html><body></body></html>'), null);
+});
+
+test('extractTopicDates: first post time and edit notice', () => {
+  const html = `<html><body>
+    <article class="ipsComment">
+      <div class="ipsComment_meta"><time datetime="2025-05-01T08:00:00Z">May 1</time></div>
+      <div class="ipsType_richText">Leo (2023) ...
+        <span data-excludequote><strong>Edited <time datetime="2025-05-03T09:30:00Z">May 3</time> by uploader</strong></span>
+      </div>
+    </article>
+    <article class="ipsComment"><div class="ipsComment_meta"><time datetime="2025-06-01T00:00:00Z">reply</time></div></article>
+  </body></html>`;
+  assert.deepEqual(extractTopicDates(html), {
+    postedAt: '2025-05-01T08:00:00.000Z',
+    editedAt: '2025-05-03T09:30:00.000Z'
+  });
+  assert.deepEqual(extractTopicDates('<html><body></body></html>'), { postedAt: null, editedAt: null });
+});
+
+test('parseMovieListings: reads topic start and last post times from forum rows', () => {
+  const html = `<html><body><ol class="ipsDataList">
+    <li class="ipsDataItem" data-rowid="301">
+      <div class="ipsDataItem_main">
+        <h4 class="ipsDataItem_title"><a href="/index.php?/forums/topic/301-leo-2023-tamil/">Leo (2023) Tamil HDRip - 1080p - 2.5GB</a></h4>
+        <div class="ipsDataItem_meta">By uploader, <time datetime="2025-03-01T10:00:00Z">March 1</time></div>
+      </div>
+      <div class="ipsDataItem_lastPoster"><time datetime="2025-03-04T08:30:00Z">March 4</time></div>
+    </li>
+    <li class="ipsDataItem" data-rowid="302">
+      <div class="ipsDataItem_main">
+        <h4 class="ipsDataItem_title"><a href="/index.php?/forums/topic/302-jailer-2023-tamil/">Jailer (2023) Tamil HDRip - 720p - 1.4GB</a></h4>
+      </div>
+    </li>
+  </ol></body></html>`;
+  const listings = parseMovieListings(html, BASE);
+  const leo = listings.find(l => extractTopicId(l.url) === '301');
+  assert.equal(leo.postedAt, '2025-03-01T10:00:00.000Z');
+  assert.equal(leo.updatedAt, '2025-03-04T08:30:00.000Z');
+  assert.equal(listings.find(l => extractTopicId(l.url) === '302').postedAt, undefined);
+
+  // The homepage copy of a topic picks up the forum listing's dates
+  const homepage = [{ title: 'Leo (2023) Tamil', url: 'https://x/index.php?/forums/topic/301-leo/' }];
+  const [merged] = dedupeListings(homepage, [leo]);
+  assert.equal(merged.title, 'Leo (2023) Tamil');
+  assert.equal(merged.postedAt, '2025-03-01T10:00:00.000Z');
+});
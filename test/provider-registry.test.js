@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  registerProvider,
+  getProviderIds,
+  createProviders,
+  mergeScrapeResults
+} = require('../src/scraper/provider-registry');
+const BaseScraper = require('../src/scraper/base-scraper');
+
+test('tamilmv is registered as the built-in provider', () => {
+  assert.ok(getProviderIds().includes('tamilmv'));
+  const [provider] = createProviders(['tamilmv']);
+  assert.equal(provider.id, 'tamilmv');
+  assert.ok(provider instanceof BaseScraper);
+});
+
+test('createProviders instantiates registered providers and skips unknown ids', () => {
+  class FakeForum extends BaseScraper {
+    constructor() {
+      super({ id: 'fake', name: 'Fake Forum', baseUrl: 'https://fake.example/' });
+    }
+  }
+  registerProvider('fake', () => new FakeForum());
+
+  const providers = createProviders(['fake', 'does-not-exist']);
+  assert.equal(providers.length, 1);
+  assert.equal(providers[0].name, 'Fake Forum');
+  assert.equal(providers[0].getTopicKey({ url: 'https://fake.example/index.php?/forums/topic/42-x/' }), 'fake:42');
+});
+
+test('base provider rejects unimplemented source hooks', async () => {
+  const provider = new BaseScraper({ id: 'bare', baseUrl: 'https://bare.example/' });
+  await assert.rejects(() => provider.discoverListings(), /must implement discoverListings/);
+});
+
+test('mergeScrapeResults: first provider wins metadata, streams are unioned', () => {
+  const first = {
+    catalogs: { tamil: [{ id: 'tamil-leo-1', name: 'Leo' }] },
+    movies: { 'tamil-leo-1': { id: 'tamil-leo-1', name: 'Leo' } },
+    series: {},
+    streams: { 'tamil-leo-1': [{ name: '1080p', infoHash: 'aaaa' }] },
+    topics: { 'tamilmv:1': { id: 'tamil-leo-1' } }
+  };
+  const second = {
+    catalogs: { tamil: [{ id: 'tamil-leo-1', name: 'Leo (other)' }, { id: 'tamil-jailer-2', name: 'Jailer' }] },
+    movies: { 'tamil-leo-1': { id: 'tamil-leo-1', name: 'Leo (other)' } },
+    series: {},
+    streams: { 'tamil-leo-1': [{ name: '4K', infoHash: 'bbbb' }, { name: '1080p', infoHash: 'aaaa' }] },
+    topics: { 'other:1': { id: 'tamil-leo-1' } }
+  };
+
+  const merged = mergeScrapeResults([first, null, second]);
+  assert.deepEqual(merged.catalogs.tamil.map(item => item.name), ['Leo', 'Jailer']);
+  assert.equal(merged.movies['tamil-leo-1'].name, 'Leo');
+  assert.deepEqual(merged.streams['tamil-leo-1'].map(s => s.infoHash), ['aaaa', 'bbbb']);
+  assert.deepEqual(Object.keys(merged.topics), ['tamilmv:1', 'other:1']);
+});
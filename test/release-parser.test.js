@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseReleaseName, mergeReleaseInfo } = require('../src/scraper/release-parser');
+
+const GB = 1024 ** 3;
+const MB = 1024 ** 2;
+
+// Release names as posted on TamilMV; each row lists the attributes it pins down
+const FIXTURES = [
+  ['www.1TamilMV.ms - Leo (2023) Tamil TRUE WEB-DL - 4K SDR - HEVC - (DD+5.1 - 640Kbps & AAC) - 15GB - ESub.mkv', {
+    resolution: '2160p', source: 'WEB-DL', codec: 'HEVC', hdr: [], audioCodecs: ['DD+', 'AAC'],
+    audioChannels: '5.1', audioBitrate: '640Kbps', languages: ['tamil'], size: 15 * GB
+  }],
+  ['www.1TamilMV.re - Jailer (2023) Tamil HQ HDRip - 1080p - x264 - (DD+5.1 - 192Kbps & AAC) - 2.5GB - ESub.mkv', {
+    resolution: '1080p', source: 'HDRip', codec: 'AVC', audioCodecs: ['DD+', 'AAC'], size: Math.round(2.5 * GB),
+    subtitles: { english: true, multiple: false, hardcoded: false }
+  }],
+  ['www.1TamilMV.world - Kanguva (2024) Tamil PreDVD - 1080p - x264 - AAC - 2.3GB.mkv', {
+    resolution: '1080p', source: 'PreDVD', codec: 'AVC', audioCodecs: ['AAC'], audioChannels: null
+  }],
+  ['www.1TamilMV.tf - Amaran (2024) Tamil HQ PreDVD - 720p - x264 - AAC - 1.4GB.mkv', {
+    resolution: '720p', source: 'PreDVD'
+  }],
+  ['www.1TamilMV.app - Vettaiyan (2024) Tamil HQ HDTS - 720p - x264 - (AAC 2.0) - 1.4GB.mkv', {
+    resolution: '720p', source: 'HDTS', audioCodecs: ['AAC'], audioChannels: '2.0'
+  }],
+  ['www.1TamilMV.fi - Goat (2024) Tamil HQ CAMRip - 400MB - x264 - AAC.mkv', {
+    resolution: null, source: 'CAM', size: 400 * MB
+  }],
+  ['Thangalaan (2024) Tamil HDCAM - 720p - x264 - AAC - 1.2GB', {
+    resolution: '720p', source: 'CAM'
+  }],
+  ['Indian 2 (2024) Tamil HDTC - 1080p - x264 - AAC - 2.6GB', {
+    source: 'HDTC', resolution: '1080p'
+  }],
+  ['Salaar (2023) TRUE WEB-DL - 4K SDR - HEVC - [Tam + Tel + Hin + Mal + Kan] - (DD+5.1 - 640Kbps & AAC) - 12GB - ESub', {
+    resolution: '2160p', languages: ['tamil', 'telugu', 'hindi', 'malayalam', 'kannada'], size: 12 * GB
+  }],
+  ['Kalki 2898 AD (2024) [Tam + Tel + Hin] 2160p DV HDR10+ HEVC 10bit DDP5.1 Atmos - 18.5GB', {
+    resolution: '2160p', hdr: ['DV', 'HDR10+'], bitDepth: 10, audioCodecs: ['DD+'], audioChannels: '5.1', atmos: true
+  }],
+  ['Oppenheimer (2023) IMAX BluRay 2160p HDR10 HEVC 10bit [Tam + Eng] TrueHD 7.1 Atmos - 58.2GB - ESub', {
+    source: 'BluRay', hdr: ['HDR10'], audioCodecs: ['TrueHD'], audioChannels: '7.1', edition: 'IMAX', languages: ['tamil', 'english']
+  }],
+  ['Manjummel Boys (2024) Malayalam BluRay - 1080p - AVC - (DTS-HD MA 5.1) - 20GB - ESub', {
+    source: 'BluRay', codec: 'AVC', audioCodecs: ['DTS-HD MA'], audioChannels: '5.1', languages: ['malayalam']
+  }],
+  ['Premalu (2024) Malayalam BDRip - 720p - x265 - 10Bit - DTS 5.1 - 1.5GB', {
+    source: 'BluRay', codec: 'HEVC', bitDepth: 10, audioCodecs: ['DTS']
+  }],
+  ['Dune Part Two (2024) 2160p WEB-DL DV HDR HEVC DDP 5.1 [Tam + Tel + Hin + Eng] - 16GB', {
+    hdr: ['DV', 'HDR'], audioCodecs: ['DD+'], audioChannels: '5.1'
+  }],
+  ['Avatar The Way of Water (2022) Extended 1080p BluRay x264 DTS:X 7.1 [Tam + Eng] - 9.8GB', {
+    edition: 'Extended', audioCodecs: ['DTS:X'], audioChannels: '7.1', codec: 'AVC'
+  }],
+  ["Lucy (2014) Director's Cut 720p BluRay x264 AC3 5.1 [Tam + Eng] - 1.2GB", {
+    edition: "Director's Cut", audioCodecs: ['DD'], audioChannels: '5.1'
+  }],
+  ['Ponniyin Selvan Part 2 (2023) Tamil TRUE WEB-DL - 1080p - AVC - UNTOUCHED - (DD+5.1 - 640Kbps) - 7.4GB - ESub', {
+    source: 'WEB-DL', codec: 'AVC', audioBitrate: '640Kbps', audioCodecs: ['DD+']
+  }],
+  ['Maharaja (2024) Tamil WEBRip - 480p - x264 - AAC - 450MB', {
+    resolution: '480p', source: 'WEBRip', size: 450 * MB
+  }],
+  ['Farzi (2023) S01 EP(01-08) - Tamil - 1080p - HQ HDRip - x264 - (DD+5.1 & AAC 2.0) - 6.4GB - MSubs', {
+    audioChannels: '5.1', subtitles: { english: false, multiple: true, hardcoded: false }
+  }],
+  ['Squid Game (2024) S02 [Tam + Eng + Kor] HC ESub - 720p - HDRip - HEVC - 2.1GB', {
+    subtitles: { english: true, multiple: false, hardcoded: true }, codec: 'HEVC'
+  }],
+  ['Bigg Boss Tamil Season 8 DAY 90 - 720p - HDTV - x264 - AAC - 1GB', {
+    source: 'HDTV', resolution: '720p', size: 1 * GB
+  }],
+  ['Leo.2023.Tamil.1080p.WEB-DL.H.264.DDP5.1.ESub.mkv', {
+    resolution: '1080p', source: 'WEB-DL', codec: 'AVC', audioCodecs: ['DD+'], audioChannels: '5.1', languages: ['tamil']
+  }],
+  ['Aavesham.2024.Malayalam.2160p.NF.WEB-DL.AV1.Opus.2CH.mkv', {
+    codec: 'AV1', audioCodecs: ['Opus'], audioChannels: '2.0'
+  }],
+  ['Vikram (2022) Tamil Remastered BluRay - 1080p - x264 - (DD 5.1 - 448Kbps) - 3.2GB', {
+    edition: 'Remastered', audioCodecs: ['DD'], audioBitrate: '448Kbps'
+  }],
+  ['Raayan (2024) Tamil HDRip - 720p - HEVC - AAC 2.0 - 900MB', {
+    size: 900 * MB, audioChannels: '2.0', bitDepth: null, edition: null
+  }],
+  // Quality words alone don't make a resolution ("HD" is not 720p)
+  ['Vidaamuyarchi (2025) Tamil HD Print - x264 - AAC - 700MB', {
+    resolution: null, source: null, hdr: []
+  }],
+  ['Gladiator (2000) UHD BluRay Remux HDR10 HEVC DTS-HD MA 5.1', {
+    resolution: '2160p', source: 'BluRay', audioCodecs: ['DTS-HD MA']
+  }]
+];
+
+for (const [name, expected] of FIXTURES) {
+  test(`parseReleaseName: ${name}`, () => {
+    const parsed = parseReleaseName(name);
+    for (const [key, value] of Object.entries(expected)) {
+      assert.deepEqual(parsed[key], value, `${key} of "${name}"`);
+    }
+  });
+}
+
+test('parseReleaseName returns an empty structure for unusable input', () => {
+  const empty = parseReleaseName(undefined);
+  assert.equal(empty.resolution, null);
+  assert.equal(empty.source, null);
+  assert.deepEqual(empty.audioCodecs, []);
+  assert.deepEqual(empty.languages, []);
+  assert.equal(empty.size, null);
+});
+
+test('mergeReleaseInfo only fills what the first parse is missing', () => {
+  const fromFilename = parseReleaseName('Leo.2023.1080p.WEB-DL.x264.mkv');
+  const fromPost = parseReleaseName('Leo (2023) Tamil 720p HDRip - (DD+5.1 - 640Kbps) - 2.5GB - ESub');
+  const merged = mergeReleaseInfo(fromFilename, fromPost);
+
+  assert.equal(merged.resolution, '1080p');
+  assert.equal(merged.source, 'WEB-DL');
+  assert.deepEqual(merged.audioCodecs, ['DD+']);
+  assert.deepEqual(merged.languages, ['tamil']);
+  assert.equal(merged.size, Math.round(2.5 * GB));
+  assert.equal(merged.subtitles.english, true);
+});
@@ -0,0 +1,149 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache and archive dirs, and replay instead of hitting the network
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-replay-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+process.env.SCRAPE_HTTP_MODE = 'replay';
+process.env.SCRAPE_HTTP_ARCHIVE_DIR = path.join(tmpDir, 'http-archive');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const httpArchive = require('../src/utils/http-archive');
+const { HttpArchive } = require('../src/utils/http-archive');
+const { resolveLatestDomain } = require('../src/utils/domain-resolver');
+const TamilMVScraper = require('../src/scraper/tamilmv-scraper');
+const ScrapeReport = require('../src/scraper/scrape-report');
+const fileCache = require('../src/cache/file-cache');
+const topicIndex = require('../src/cache/topic-index');
+const manifest = require('../src/addon/manifest');
+const handleMeta = require('../src/addon/meta-handler');
+const handleStream = require('../src/addon/stream-handler');
+
+const BASE = 'https://www.1tamilmv.test/';
+const HASH_A = 'a'.repeat(40);
+const HASH_B = 'b'.repeat(40);
+const magnet = (hash, dn) => `magnet:?xt=urn:btih:${hash}&amp;dn=${encodeURIComponent(dn)}`;
+
+// One show split over three topics: two episode ranges of S01 and a later S02
+const SERIES_TOPICS = [
+  { id: 201, title: 'Farzi (2023) S01 EP(01-02) [Tamil + Telugu] 1080p', hash: 'c'.repeat(40) },
+  { id: 202, title: 'Farzi (2023) S01 EP(03-04) [Tamil + Telugu] 1080p', hash: 'd'.repeat(40) },
+  { id: 203, title: 'Farzi (2024) S02 EP(01-02) [Tamil] 1080p', hash: 'e'.repeat(40) }
+];
+const seriesTopic = t => `<html><body>
+  <h1 class="ipsType_pageTitle">${t.title}</h1>
+  <div class="ipsType_richText">
+    <p>${t.title} - 4GB <a href="${magnet(t.hash, `${t.title} - 4GB.mkv`)}">MAGNET</a></p>
+  </div>
+</body></html>`;
+
+const homepage = `<html><body>
+  <strong><a href="${BASE}index.php?/forums/topic/101-leo/">Leo (2023) (Tamil + Telugu) [1080p &amp; 4K]</a></strong>
+  <strong><a href="${BASE}index.php?/forums/topic/102-missing/">Missing Topic (2024) (Tamil) [1080p]</a></strong>
+  ${SERIES_TOPICS.map(t => `<strong><a href="${BASE}index.php?/forums/topic/${t.id}-farzi/">${t.title}</a></strong>`).join('\n  ')}
+</body></html>`;
+
+const leoTopic = `<html><body>
+  <h1 class="ipsType_pageTitle">Leo (2023) (Tamil + Telugu) [1080p &amp; 4K]</h1>
+  <div class="ipsType_richText">
+    <p>Leo (2023) 1080p WEB-DL - 2.5GB <a href="${magnet(HASH_A, 'Leo (2023) 1080p WEB-DL - 2.5GB.mkv')}">MAGNET</a></p>
+    <p>Leo (2023) 2160p HEVC - 12GB <a href="${magnet(HASH_B, 'Leo (2023) 2160p HEVC - 12GB.mkv')}">MAGNET</a></p>
+  </div>
+</body></html>`;
+
+test.before(async () => {
+  await httpArchive.record('https://www.1tamilmv.fi', { body: '', finalUrl: `${BASE}index.php` });
+  await httpArchive.record(BASE, { body: homepage });
+  await httpArchive.record(`${BASE}index.php?/forums/topic/101-leo/`, { body: leoTopic });
+  for (const t of SERIES_TOPICS) {
+    await httpArchive.record(`${BASE}index.php?/forums/topic/${t.id}-farzi/`, { body: seriesTopic(t) });
+  }
+});
+
+test('archive round-trips text and binary bodies', async () => {
+  const archive = new HttpArchive({ mode: 'record', dir: path.join(tmpDir, 'roundtrip') });
+  await archive.record('https://x.test/page', { body: '<html>hi</html>', contentType: 'text/html' });
+  await archive.record('https://x.test/file.torrent', { body: Buffer.from([0, 1, 2, 255]) });
+
+  const page = await archive.lookup('https://x.test/page');
+  assert.equal(page.body, '<html>hi</html>');
+  assert.equal(page.contentType, 'text/html');
+  assert.deepEqual([...(await archive.lookup('https://x.test/file.torrent')).body], [0, 1, 2, 255]);
+  assert.equal(await archive.lookup('https://x.test/never'), null);
+  await assert.rejects(() => archive.replay('https://x.test/never'), { code: 'ENOTARCHIVED' });
+});
+
+test('resolveLatestDomain replays the recorded redirect target', async () => {
+  assert.equal(await resolveLatestDomain(), BASE);
+});
+
+test('scrapeAll runs offline from the archive', async () => {
+  const scraper = new TamilMVScraper();
+  assert.equal(scraper.tmdbClient, null);
+
+  const report = new ScrapeReport();
+  const result = await scraper.scrapeAll(true, { report });
+  const ids = Object.keys(result.movies);
+  assert.equal(ids.length, 1, 'unarchived topic is skipped like a failed fetch');
+  assert.ok(ids[0].startsWith('multi-'));
+  assert.deepEqual(result.catalogs.tamil.filter(item => item.type === 'movie').map(item => item.id), ids);
+  assert.deepEqual(result.catalogs.telugu.filter(item => item.type === 'movie').map(item => item.id), ids);
+  assert.deepEqual(result.streams[ids[0]].map(s => s.infoHash).sort(), [HASH_A, HASH_B]);
+  assert.equal(result.topics['tamilmv:101'].id, ids[0]);
+  assert.deepEqual(report.items.slice(0, 2).map(item => [item.outcome, item.reason, item.id]), [
+    ['added', null, ids[0]],
+    ['failed', 'fetch-failed', null]
+  ]);
+  assert.match(report.items[1].error, /No archived response/);
+
+  // The three Farzi topics become one series covering both seasons
+  const seriesIds = Object.keys(result.series);
+  assert.equal(seriesIds.length, 1);
+  const farzi = result.series[seriesIds[0]];
+  assert.deepEqual(farzi.videos.map(v => `${v.season}x${v.episode}`), ['1x1', '1x2', '1x3', '1x4', '2x1', '2x2']);
+  assert.deepEqual(farzi.languages, ['tamil', 'telugu']);
+  assert.equal(result.catalogs.tamil.filter(item => item.type === 'series').length, 1);
+  assert.equal(result.streams[`${seriesIds[0]}:1:3`][0].infoHash, SERIES_TOPICS[1].hash);
+  assert.equal(result.streams[`${seriesIds[0]}:2:1`][0].infoHash, SERIES_TOPICS[2].hash);
+  assert.ok(SERIES_TOPICS.every(t => result.topics[`tamilmv:${t.id}`].id === seriesIds[0]));
+
+  // Same archive, same output
+  const again = await new TamilMVScraper().scrapeAll(true);
+  assert.deepEqual(again.catalogs, result.catalogs);
+  assert.deepEqual(again.streams, result.streams);
+  const leoPage = await httpArchive.lookup(`${BASE}index.php?/forums/topic/101-leo/`);
+  assert.equal(result.movies[ids[0]].firstSeen, leoPage.recordedAt, 'first seen when the page was recorded');
+});
+
+test('every scraped catalog item ID is covered by a manifest ID prefix', async () => {
+  const result = await new TamilMVScraper().scrapeAll(true);
+  const items = Object.values(result.catalogs).flat();
+  assert.ok(items.some(item => item.type === 'movie') && items.some(item => item.type === 'series'));
+  for (const item of items) {
+    assert.ok(manifest.idPrefixes.some(prefix => item.id.startsWith(prefix)), `${item.id} has no manifest prefix`);
+  }
+});
+
+test('a topic cached under a legacy per-season series ID is aliased to the show', async () => {
+  const legacyId = 'multi-farzi-2023-s01-ep-01-02-tamil-telugu-1080p-s1-1a2b3c4d';
+  await topicIndex.update({ 'tamilmv:201': { id: legacyId, type: 'series', languages: ['tamil', 'telugu'], fingerprint: 'old' } });
+
+  const result = await new TamilMVScraper().scrapeAll(false);
+  const [seriesId] = Object.keys(result.series);
+  assert.equal(result.aliases[legacyId], seriesId);
+  assert.equal(result.topics['tamilmv:201'].id, seriesId);
+  assert.equal(await fileCache.setAll(result), true);
+
+  // Library items saved with the legacy ID keep their meta and episode streams
+  const { meta } = await handleMeta({ type: 'series', id: legacyId });
+  assert.equal(meta.id, legacyId);
+  assert.equal(meta.videos.length, 6);
+  const { streams } = await handleStream({ type: 'series', id: `${legacyId}:1:1` });
+  assert.equal(streams[0].infoHash, SERIES_TOPICS[0].hash);
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
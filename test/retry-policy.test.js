@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  parseRetryAfter,
+  isRetryable,
+  getRetryDelay,
+  retryRequest
+} = require('../src/utils/retry-policy');
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+test('parseRetryAfter accepts seconds and HTTP dates', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfter(undefined, now), null);
+  assert.equal(parseRetryAfter('soon', now), null);
+});
+
+test('isRetryable skips 404/410 and other client errors', () => {
+  assert.equal(isRetryable(Object.assign(new Error('timeout'), { code: 'ECONNABORTED' })), true);
+  for (const status of [408, 429, 500, 502, 503]) assert.equal(isRetryable(httpError(status)), true, String(status));
+  for (const status of [400, 403, 404, 410]) assert.equal(isRetryable(httpError(status)), false, String(status));
+});
+
+test('getRetryDelay backs off exponentially with jitter, or uses Retry-After', () => {
+  const options = { baseDelay: 1000, maxDelay: 5000 };
+  assert.equal(getRetryDelay(1, { ...options, random: () => 0 }), 500);
+  assert.equal(getRetryDelay(1, { ...options, random: () => 1 }), 1000);
+  assert.equal(getRetryDelay(3, { ...options, random: () => 1 }), 4000);
+  assert.equal(getRetryDelay(6, { ...options, random: () => 1 }), 5000);
+  assert.equal(getRetryDelay(1, { ...options, retryAfter: 12000 }), 12000);
+});
+
+test('retryRequest honors Retry-After and stops on non-retryable errors', async () => {
+  const waits = [];
+  const sleep = async ms => { waits.push(ms); };
+
+  let calls = 0;
+  const result = await retryRequest(async () => {
+    calls++;
+    if (calls === 1) throw httpError(429, { 'retry-after': '7' });
+    return 'ok';
+  }, { attempts: 3, sleep });
+  assert.equal(result, 'ok');
+  assert.deepEqual(waits, [7000]);
+
+  calls = 0;
+  await assert.rejects(() => retryRequest(async () => { calls++; throw httpError(404); }, { attempts: 3, sleep }), /404/);
+  assert.equal(calls, 1);
+
+  calls = 0;
+  await assert.rejects(() => retryRequest(async () => { calls++; throw httpError(503); }, { attempts: 3, sleep }), /503/);
+  assert.equal(calls, 3);
+});
@@ -0,0 +1,119 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache dir before requiring constants
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-guard-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const { classifyPage } = require('../src/scraper/page-classifier');
+const { findScrapeAnomaly, createAbortError } = require('../src/scraper/scrape-guard');
+const ScraperScheduler = require('../src/scheduler/scraper-scheduler');
+const ScrapeReport = require('../src/scraper/scrape-report');
+const fileCache = require('../src/cache/file-cache');
+const { saveReport, listReports } = require('../src/cache/report-store');
+
+const FORUM_HOME = '<html><head><title>1TamilMV</title></head><body><a href="https://x.test/index.php?/forums/topic/1-leo/">Leo</a></body></html>';
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('classifyPage recognises challenge, error and empty pages', () => {
+  assert.deepEqual(classifyPage(FORUM_HOME, { listing: true }), { kind: 'forum', detail: null });
+  assert.equal(classifyPage('<html><head><title>Just a moment...</title></head></html>').kind, 'challenge');
+  assert.equal(classifyPage('<div id="cf-browser-verification"></div>').kind, 'challenge');
+  assert.equal(classifyPage('<html><head><title>Site Maintenance</title></head></html>').kind, 'error');
+  assert.equal(classifyPage('<html><head><title>503 Service Unavailable</title></head></html>').kind, 'error');
+  assert.deepEqual(classifyPage('<html><body>Welcome</body></html>', { listing: true }), { kind: 'empty', detail: 'no topic links' });
+  assert.equal(classifyPage('   ').kind, 'empty');
+  // Topic pages need no topic links of their own
+  assert.equal(classifyPage('<html><body><h1>Leo</h1></body></html>').kind, 'forum');
+});
+
+test('findScrapeAnomaly flags runs far smaller than the last successful one', () => {
+  const previous = { total: 200, outcomes: { added: 10, unchanged: 150, skipped: 40 } };
+
+  assert.equal(findScrapeAnomaly({ total: 190, outcomes: { unchanged: 150 } }, previous), null);
+  assert.equal(findScrapeAnomaly({ total: 40, outcomes: { added: 5 } }, previous).reason, 'too-few-listings');
+  const anomaly = findScrapeAnomaly({ total: 200, outcomes: { unchanged: 20, failed: 180 } }, previous);
+  assert.equal(anomaly.code, 'SCRAPE_ABORTED');
+  assert.equal(anomaly.reason, 'too-few-items');
+  // No baseline, or a baseline too small to compare against
+  assert.equal(findScrapeAnomaly({ total: 1, outcomes: {} }, null), null);
+  assert.equal(findScrapeAnomaly({ total: 1, outcomes: {} }, { total: 5, outcomes: { added: 5 } }), null);
+});
+
+test('aborted runs keep the existing cache and are reported', async () => {
+  const movie = { id: 'tamil-leo-1a2b3c4d', type: 'movie', name: 'Leo' };
+  await fileCache.ensureDirectories();
+  await fileCache.setAll({ catalogs: { tamil: [movie] }, movies: { [movie.id]: movie }, streams: { [movie.id]: [{ infoHash: 'a'.repeat(40) }] } });
+
+  const scheduler = new ScraperScheduler();
+  scheduler.providers = [{
+    name: 'Blocked',
+    scrapeAll: async () => { throw createAbortError('challenge-page', 'Homepage is not a forum page (Cloudflare challenge)'); }
+  }];
+  await scheduler.runScrape('manual');
+
+  assert.deepEqual((await fileCache.getCatalog('tamil')).map(m => m.id), [movie.id]);
+  assert.ok(await fileCache.getStreams(movie.id));
+  const [latest] = await listReports();
+  assert.equal(latest.status, 'aborted');
+  assert.equal(latest.reason, 'challenge-page');
+});
+
+test('a run far below the last successful one is aborted before writing', async () => {
+  const baseline = new ScrapeReport({ trigger: 'scheduled' });
+  for (let i = 0; i < 30; i++) baseline.add({ url: `u${i}`, title: `t${i}`, outcome: 'unchanged', id: `m${i}` });
+  baseline.finish('success');
+  await saveReport(baseline);
+
+  let written = false;
+  const originalSetAll = fileCache.setAll;
+  fileCache.setAll = async () => { written = true; return true; };
+  try {
+    const scheduler = new ScraperScheduler();
+    scheduler.providers = [{
+      name: 'Shrunk',
+      scrapeAll: async (skipCacheCheck, { report }) => {
+        report.add({ url: 'u0', title: 't0', outcome: 'added', id: 'm0' });
+        return { catalogs: { tamil: [{ id: 'm0' }] }, movies: { m0: { id: 'm0' } }, series: {}, streams: {}, topics: {} };
+      }
+    }];
+    await scheduler.runScrape('manual');
+  } finally {
+    fileCache.setAll = originalSetAll;
+  }
+
+  assert.equal(written, false);
+  const [latest] = await listReports();
+  assert.equal(latest.status, 'aborted');
+  assert.equal(latest.reason, 'too-few-listings');
+});
+
+test('a failing provider aborts the run instead of writing the others alone', async () => {
+  let written = false;
+  const originalSetAll = fileCache.setAll;
+  fileCache.setAll = async () => { written = true; return true; };
+  try {
+    const scheduler = new ScraperScheduler();
+    scheduler.providers = [{
+      name: 'Working',
+      scrapeAll: async () => ({ catalogs: { tamil: [{ id: 'm0' }] }, movies: { m0: { id: 'm0' } }, series: {}, streams: {}, topics: {} })
+    }, {
+      name: 'Broken',
+      scrapeAll: async () => { throw new Error('Unexpected markup'); }
+    }];
+    await scheduler.runScrape('manual');
+  } finally {
+    fileCache.setAll = originalSetAll;
+  }
+
+  assert.equal(written, false);
+  const [latest] = await listReports();
+  assert.equal(latest.status, 'aborted');
+  assert.equal(latest.reason, 'provider-failed');
+});
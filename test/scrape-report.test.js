@@ -0,0 +1,74 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's reports dir and keep retention small
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-reports-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+process.env.SCRAPE_REPORT_RETENTION = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const ScrapeReport = require('../src/scraper/scrape-report');
+const { saveReport, getReport, listReports } = require('../src/cache/report-store');
+
+test('summary counts outcomes, reasons and TMDB statuses', () => {
+  const report = new ScrapeReport({ trigger: 'scheduled' });
+  report.add({ url: 'u1', title: 'Leo', outcome: 'added', id: 'tamil-leo' });
+  report.add({ url: 'u2', title: 'Leo Trailer', outcome: 'skipped', reason: 'trailer' });
+  report.add({ url: 'u3', title: 'Jailer', outcome: 'unchanged', id: 'tamil-jailer' });
+  report.add({ url: 'u4', title: 'Broken', outcome: 'failed', reason: 'fetch-failed', error: 'timeout' });
+  report.setTmdb('tamil-leo', 'matched');
+  report.setTmdb('tamil-jailer', 'no-match');
+  report.finish('success');
+
+  const json = report.toJSON();
+  assert.equal(json.status, 'success');
+  assert.equal(json.trigger, 'scheduled');
+  assert.ok(json.finishedAt);
+  assert.deepEqual(json.summary, {
+    total: 4,
+    outcomes: { added: 1, skipped: 1, unchanged: 1, failed: 1 },
+    reasons: { trailer: 1, 'fetch-failed': 1 },
+    tmdb: { matched: 1, 'no-match': 1 }
+  });
+  assert.equal(json.items[3].error, 'timeout');
+});
+
+test('finish records the failure message', () => {
+  const report = new ScrapeReport();
+  report.finish('failed', new Error('All scrape providers failed'));
+  assert.equal(report.status, 'failed');
+  assert.equal(report.error, 'All scrape providers failed');
+});
+
+test('store keeps only the newest reports and lists them without items', async () => {
+  const reports = [];
+  for (let i = 0; i < 3; i++) {
+    const report = new ScrapeReport();
+    // Distinct, ordered run ids regardless of clock resolution
+    report.runId = `2026-01-0${i + 1}T00-00-00-000Z-abc12${i}`;
+    report.add({ url: `u${i}`, title: `T${i}`, outcome: 'added', id: `id${i}` });
+    report.finish('success');
+    assert.equal(await saveReport(report), true);
+    reports.push(report);
+  }
+
+  const listed = await listReports();
+  assert.deepEqual(listed.map(r => r.runId), [reports[2].runId, reports[1].runId]);
+  assert.equal(listed[0].items, undefined);
+  assert.equal(listed[0].summary.total, 1);
+
+  assert.equal(await getReport(reports[0].runId), null, 'oldest report is pruned');
+  assert.equal((await getReport(reports[2].runId)).items[0].id, 'id2');
+});
+
+test('getReport rejects run ids that are not report names', async () => {
+  assert.equal(await getReport('../topics'), null);
+  assert.equal(await getReport(''), null);
+  assert.equal(await getReport(undefined), null);
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
@@ -0,0 +1,78 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache dir (topic index + cached series) before requiring modules
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-series-merge-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const fileCache = require('../src/cache/file-cache');
+const TamilMVScraper = require('../src/scraper/tamilmv-scraper');
+const ScrapeReport = require('../src/scraper/scrape-report');
+const { structureSeriesForMeta, structureSeriesForCatalog } = require('../src/scraper/extractors');
+
+const stream = hash => ({ name: '1080p', infoHash: hash.repeat(40) });
+
+// A show scraped under `id`, already enriched with a TMDB id
+function addSeries(result, id, { tmdbId, season, episodes, languages, topicKey }) {
+  const meta = { ...structureSeriesForMeta({ id, title: id, season, episodes, languages }), tmdbId };
+  result.series[id] = meta;
+  for (const ep of episodes) {
+    result.streams[`${id}:${season}:${ep}`] = [stream(String(season))];
+  }
+  for (const lang of languages) {
+    result.catalogs[lang].push(structureSeriesForCatalog(meta));
+  }
+  result.topics[topicKey] = { id, type: 'series', languages };
+}
+
+const emptyResult = () => ({
+  catalogs: { tamil: [], telugu: [] }, movies: {}, series: {}, streams: {}, topics: {}, aliases: {}
+});
+
+test('series matched to one TMDB show in a run are merged onto the first ID', async () => {
+  const result = emptyResult();
+  addSeries(result, 'series-farzi-a', { tmdbId: 42, season: 1, episodes: [1, 2], languages: ['tamil'], topicKey: 'tamilmv:1' });
+  addSeries(result, 'series-farzi-b', { tmdbId: 42, season: 2, episodes: [1], languages: ['telugu'], topicKey: 'tamilmv:2' });
+  const report = new ScrapeReport();
+  report.add({ url: 'u2', title: 'Farzi S02', outcome: 'added', id: 'series-farzi-b' });
+
+  await new TamilMVScraper().mergeSeriesByTmdbId(result, { skipCacheCheck: true, report });
+
+  assert.deepEqual(Object.keys(result.series), ['series-farzi-a']);
+  assert.deepEqual(result.series['series-farzi-a'].videos.map(v => v.id),
+    ['series-farzi-a:1:1', 'series-farzi-a:1:2', 'series-farzi-a:2:1']);
+  assert.deepEqual(Object.keys(result.streams).sort(),
+    ['series-farzi-a:1:1', 'series-farzi-a:1:2', 'series-farzi-a:2:1']);
+  assert.deepEqual(result.catalogs.tamil.map(item => item.id), ['series-farzi-a']);
+  assert.deepEqual(result.catalogs.telugu.map(item => item.id), ['series-farzi-a']);
+  assert.equal(result.topics['tamilmv:2'].id, 'series-farzi-a');
+  assert.deepEqual(result.aliases, { 'series-farzi-b': 'series-farzi-a' });
+  assert.equal(report.items[0].id, 'series-farzi-a');
+});
+
+test('a new topic merges into the show already cached for its TMDB id', async () => {
+  const cached = emptyResult();
+  addSeries(cached, 'series-the-family-man-x', { tmdbId: 7, season: 1, episodes: [1], languages: ['tamil'], topicKey: 'tamilmv:10' });
+  cached.topics['tamilmv:10'].tmdbId = 7;
+  await fileCache.ensureDirectories();
+  assert.equal(await fileCache.setAll(cached), true);
+
+  // Next run: a differently titled topic of the same show
+  const result = emptyResult();
+  addSeries(result, 'series-family-man-y', { tmdbId: 7, season: 2, episodes: [1], languages: ['tamil'], topicKey: 'tamilmv:11' });
+
+  await new TamilMVScraper().mergeSeriesByTmdbId(result);
+
+  assert.deepEqual(Object.keys(result.series), ['series-the-family-man-x']);
+  assert.deepEqual(result.series['series-the-family-man-x'].videos.map(v => `${v.season}x${v.episode}`), ['1x1', '2x1']);
+  assert.deepEqual(result.catalogs.tamil.map(item => item.id), ['series-the-family-man-x']);
+  assert.ok(result.streams['series-the-family-man-x:2:1']);
+  assert.equal(result.topics['tamilmv:11'].id, 'series-the-family-man-x');
+});
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
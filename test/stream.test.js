@@ -54,6 +54,36 @@ test('config is read per-request from extra (no cross-request leak)', async () =
   assert.ok(withBogusKey.streams.every(s => !s.url));
 });
 
+test('audioLanguages keeps matching and untagged streams', () => {
+  const { filterStreamsByAudioLanguages } = streamHandler;
+  const streams = [
+    { infoHash: 'a', languages: ['tamil'] },
+    { infoHash: 'b', languages: ['telugu', 'hindi'] },
+    { infoHash: 'c', languages: [] },
+    { infoHash: 'd' }
+  ];
+  const pick = list => list.map(s => s.infoHash);
+
+  assert.deepEqual(pick(filterStreamsByAudioLanguages(streams, ['hindi'])), ['b', 'c', 'd']);
+  assert.deepEqual(pick(filterStreamsByAudioLanguages(streams, [])), ['a', 'b', 'c', 'd']);
+  assert.deepEqual(pick(filterStreamsByAudioLanguages(streams, undefined)), ['a', 'b', 'c', 'd']);
+  // Nothing matches -> fall back to every stream instead of an empty list
+  const tagged = streams.slice(0, 2);
+  assert.deepEqual(pick(filterStreamsByAudioLanguages(tagged, ['kannada'])), ['a', 'b']);
+});
+
+test('episode proxy URLs carry season and episode for pack file selection', () => {
+  const { generateProxyUrl, parseEpisodeRef } = streamHandler;
+  assert.deepEqual(parseEpisodeRef('series-farzi-1a2b3c4d:2:5'), { season: 2, episode: 5 });
+  assert.equal(parseEpisodeRef('tamil-leo-abc12345'), null);
+
+  const magnet = `magnet:?xt=urn:btih:${HASH}`;
+  const movieUrl = generateProxyUrl(magnet, 'tok', 'enc', 'https://addon.test');
+  assert.match(movieUrl, /^https:\/\/addon\.test\/stremio\/tok\/enc\/proxy\/[^?]+$/);
+  const episodeUrl = generateProxyUrl(magnet, 'tok', 'enc', 'https://addon.test', { season: 2, episode: 5 });
+  assert.equal(episodeUrl, `${movieUrl}?s=2&e=5`);
+});
+
 test('unknown id returns empty streams', async () => {
   const res = await streamHandler({ type: 'movie', id: 'does-not-exist', extra: {} });
   assert.deepEqual(res.streams, []);
@@ -0,0 +1,115 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache and archive dirs, and replay instead of hitting the network
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-torrent-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+process.env.SCRAPE_HTTP_MODE = 'replay';
+process.env.SCRAPE_HTTP_ARCHIVE_DIR = path.join(tmpDir, 'http-archive');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+
+const bencode = require('../src/utils/bencode');
+const { parseTorrentFile, toMagnet } = require('../src/utils/torrent-file');
+const httpArchive = require('../src/utils/http-archive');
+const fileCache = require('../src/cache/file-cache');
+const TamilMVScraper = require('../src/scraper/tamilmv-scraper');
+
+const GB = 1024 ** 3;
+
+// Multi-file torrent: main video plus a sample, two tracker tiers
+const info = {
+  name: 'Leo (2023) Tamil 1080p WEB-DL',
+  'piece length': 262144,
+  pieces: Buffer.alloc(20, 7),
+  files: [
+    { path: ['Sample', 'sample.mkv'], length: 50 * 1024 * 1024 },
+    { path: ['Leo (2023) Tamil 1080p WEB-DL.mkv'], length: 3 * GB }
+  ]
+};
+const torrentBuffer = bencode.encode({
+  announce: 'udp://tracker.one.test:1337/announce',
+  'announce-list': [['udp://tracker.one.test:1337/announce'], ['udp://tracker.two.test:80/announce']],
+  info
+});
+const INFO_HASH = crypto.createHash('sha1').update(bencode.encode(info)).digest('hex');
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('bencode decodes what it encodes', () => {
+  const decoded = bencode.decode(bencode.encode({ b: [1, 'two'], a: -3 }));
+  assert.equal(decoded.a, -3);
+  assert.equal(decoded.b[0], 1);
+  assert.equal(decoded.b[1].toString(), 'two');
+  assert.equal(bencode.encode({ b: 1, a: 2 }).toString(), 'd1:ai2e1:bi1ee');
+  assert.throws(() => bencode.decode(Buffer.from('l1:a')), /Unterminated list/);
+});
+
+test('parseTorrentFile derives infohash, trackers, size and file list', () => {
+  const torrent = parseTorrentFile(torrentBuffer);
+  assert.equal(torrent.infoHash, INFO_HASH);
+  assert.equal(torrent.name, 'Leo (2023) Tamil 1080p WEB-DL');
+  assert.deepEqual(torrent.trackers, ['udp://tracker.one.test:1337/announce', 'udp://tracker.two.test:80/announce']);
+  assert.equal(torrent.totalSize, 3 * GB + 50 * 1024 * 1024);
+  assert.deepEqual(torrent.files.map(f => f.path), ['Sample/sample.mkv', 'Leo (2023) Tamil 1080p WEB-DL.mkv']);
+
+  const magnet = toMagnet(torrent);
+  assert.ok(magnet.startsWith(`magnet:?xt=urn:btih:${INFO_HASH}&dn=Leo%20(2023)`));
+  assert.ok(magnet.includes(`&tr=${encodeURIComponent('udp://tracker.two.test:80/announce')}`));
+});
+
+test('parseTorrentFile treats a single-file torrent as one file', () => {
+  const torrent = parseTorrentFile(bencode.encode({ info: { name: 'movie.mkv', length: 1234, 'piece length': 16384, pieces: Buffer.alloc(20) } }));
+  assert.deepEqual(torrent.files, [{ path: 'movie.mkv', length: 1234 }]);
+  assert.deepEqual(torrent.trackers, []);
+  assert.throws(() => parseTorrentFile(bencode.encode({ announce: 'x' })), /missing info/);
+});
+
+test('scrapeContentDetails turns .torrent attachments into streams', async () => {
+  const BASE = 'https://www.1tamilmv.test/';
+  const topicUrl = `${BASE}index.php?/forums/topic/301-leo/`;
+  const attachmentUrl = `${BASE}applications/core/interface/file/attachment.php?id=555`;
+  const brokenUrl = `${BASE}applications/core/interface/file/attachment.php?id=556`;
+  await httpArchive.record(topicUrl, { body: `<html><body>
+    <h1 class="ipsType_pageTitle">Leo (2023) (Tamil) [1080p]</h1>
+    <div class="ipsType_richText">
+      <p>Leo (2023) Tamil 1080p WEB-DL - 3GB <a href="/applications/core/interface/file/attachment.php?id=555" data-fileext="torrent">Leo.2023.1080p.torrent</a></p>
+      <p>Broken <a href="${brokenUrl}">broken.torrent</a></p>
+    </div>
+  </body></html>` });
+  await httpArchive.record(attachmentUrl, { body: torrentBuffer });
+  await httpArchive.record(brokenUrl, { body: Buffer.from('not a torrent') });
+
+  const scraper = new TamilMVScraper();
+  const outcome = {};
+  const content = await scraper.scrapeContentDetails(topicUrl, 'Leo (2023) (Tamil) [1080p]', outcome);
+
+  assert.ok(content, `expected content, got ${outcome.reason}`);
+  assert.equal(content.streams.length, 1);
+  const [stream] = content.streams;
+  assert.equal(stream.infoHash, INFO_HASH);
+  assert.equal(stream.name, '1080p');
+  assert.equal(stream.behaviorHints.videoSize, 3 * GB);
+  assert.equal(stream.behaviorHints.filename, 'Leo (2023) Tamil 1080p WEB-DL.mkv');
+  assert.deepEqual(stream.sources, [
+    'tracker:udp://tracker.one.test:1337/announce',
+    'tracker:udp://tracker.two.test:80/announce',
+    `dht:${INFO_HASH}`
+  ]);
+  assert.equal(content.torrents[INFO_HASH].files.length, 2);
+});
+
+test('fileCache stores torrent file lists by infohash', async () => {
+  const { infoHash, ...details } = parseTorrentFile(torrentBuffer);
+  assert.equal(await fileCache.setAll({ torrents: { [infoHash]: details } }), true);
+
+  const stored = await fileCache.getTorrent(infoHash.toUpperCase());
+  assert.equal(stored.totalSize, details.totalSize);
+  assert.deepEqual(stored.files, details.files);
+  assert.equal(await fileCache.getTorrent('f'.repeat(40)), null);
+  assert.equal(await fileCache.getTorrent('../topics'), null);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mapWithConcurrency } = require('../src/utils/work-queue');
+const HostThrottle = require('../src/utils/host-throttle');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('mapWithConcurrency: keeps input order and caps in-flight workers', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 5, 20, 1, 10], 2, async (ms, i) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return i * 10;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(results.map(r => r.value), [0, 10, 20, 30, 40]);
+});
+
+test('mapWithConcurrency: a failing item does not stop the queue', async () => {
+  const results = await mapWithConcurrency(['a', 'b', 'c'], 3, async (item) => {
+    if (item === 'b') throw new Error('boom');
+    return item.toUpperCase();
+  });
+
+  assert.deepEqual(results.map(r => r.status), ['fulfilled', 'rejected', 'fulfilled']);
+  assert.equal(results[1].reason.message, 'boom');
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+});
+
+test('HostThrottle: spaces requests to the same host but not across hosts', async () => {
+  const throttle = new HostThrottle({ minInterval: 40, maxInterval: 200 });
+  const start = Date.now();
+  await Promise.all([
+    throttle.acquire('https://forum.example/a'),
+    throttle.acquire('https://forum.example/b'),
+    throttle.acquire('https://other.example/c')
+  ]);
+  const elapsed = Date.now() - start;
+  assert.ok(elapsed >= 35, `expected second same-host request to wait, took ${elapsed}ms`);
+  assert.ok(elapsed < 75, `expected hosts to be throttled independently, took ${elapsed}ms`);
+});
+
+test('HostThrottle: backs off on failures and recovers on success', () => {
+  const throttle = new HostThrottle({ minInterval: 100, maxInterval: 500 });
+  const url = 'https://forum.example/topic/1';
+
+  throttle.reportFailure(url);
+  assert.equal(throttle.getInterval(url), 200);
+  throttle.reportFailure(url);
+  throttle.reportFailure(url);
+  assert.equal(throttle.getInterval(url), 500);
+
+  for (let i = 0; i < 50; i++) throttle.reportSuccess(url);
+  assert.equal(throttle.getInterval(url), 100);
+  assert.equal(throttle.getInterval('https://other.example/'), 100);
+});
+
+test('HostThrottle: throttling responses pause every host', async () => {
+  const throttle = new HostThrottle({ minInterval: 0, maxInterval: 0, throttleBudget: 2, throttleWindow: 1000, throttlePause: 60 });
+
+  throttle.reportThrottled('https://forum.example/a');
+  assert.equal(throttle.getPauseRemaining(), 0);
+  throttle.reportThrottled('https://forum.example/b');
+  assert.ok(throttle.getPauseRemaining() > 0);
+
+  const start = Date.now();
+  await throttle.acquire('https://other.example/c');
+  assert.ok(Date.now() - start >= 50, 'expected the pause to hold requests to other hosts too');
+
+  // Retry-After pauses right away, regardless of the budget
+  throttle.reportThrottled('https://forum.example/a', 40);
+  assert.ok(throttle.getPauseRemaining() > 30);
+});
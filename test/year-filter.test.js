@@ -0,0 +1,69 @@
+const os = require('node:os');
+const path = require('node:path');
+// Isolate this suite's cache dir before requiring constants/handlers
+const tmpDir = path.join(os.tmpdir(), `indiastreamz-year-filter-${process.pid}`);
+process.env.CACHE_DIR = tmpDir;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+
+const manifest = require('../src/addon/manifest');
+const fileCache = require('../src/cache/file-cache');
+const catalogHandler = require('../src/addon/catalog-handler');
+const { itemYear, buildYearOptions, parseYearOption, refreshYearOptions } = require('../src/addon/year-filter');
+
+const movie = (id, releaseInfo, extra = {}) => ({ id, type: 'movie', name: id, releaseInfo, ...extra });
+
+test.after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('recent years are listed one by one, older ones by decade', () => {
+  assert.deepEqual(
+    buildYearOptions([2024, 2025, 2024, 2016, 2015, 2009, 1995, 1998, 1987], 2025),
+    ['2025', '2024', '2016', '2010s', '2000s', '1990s', '1980s']
+  );
+  assert.deepEqual(buildYearOptions([], 2025), []);
+});
+
+test('year options parse to year ranges', () => {
+  assert.deepEqual(parseYearOption('2024'), { from: 2024, to: 2025 });
+  assert.deepEqual(parseYearOption('1990s'), { from: 1990, to: 2000 });
+  assert.equal(parseYearOption('1995s'), null);
+  assert.equal(parseYearOption('last year'), null);
+  assert.equal(itemYear({ releaseInfo: '2019-2022' }), 2019);
+  assert.equal(itemYear({ released: '2023-10-19T00:00:00.000Z' }), 2023);
+  assert.equal(itemYear({}), null);
+});
+
+test('catalogs filter by year or decade and the options follow the cache', async () => {
+  await fileCache.ensureDirectories();
+  const cached = fileCache.setAll({
+    catalogs: {
+      tamil: [
+        movie('leo', '2023'),
+        movie('jailer', null, { released: '2023-08-10' }),
+        movie('thalapathi', '1991'),
+        movie('nayakan', '1987'),
+        movie('undated', null)
+      ]
+    }
+  });
+  const changed = new Promise(resolve => fileCache.once('change', resolve));
+  assert.equal(await cached, true);
+  await changed;
+
+  const ids = async year => (await catalogHandler({ type: 'movie', id: 'tamil', extra: { year } })).metas.map(m => m.id);
+  assert.deepEqual(await ids('2023'), ['leo', 'jailer']);
+  assert.deepEqual(await ids('1990s'), ['thalapathi']);
+  assert.deepEqual(await ids('1980s'), ['nayakan']);
+  assert.equal((await ids('someday')).length, 5); // Unknown option: unfiltered
+
+  await refreshYearOptions();
+  const yearExtra = manifest.catalogs.find(c => c.id === 'tamil').extra.find(e => e.name === 'year');
+  assert.deepEqual(yearExtra.options, buildYearOptions([2023, 1991, 1987]));
+  // One option list shared by every row (search catalogs don't filter)
+  const rows = manifest.catalogs.filter(c => c.id !== 'search');
+  assert.ok(rows.every(c => c.extra.find(e => e.name === 'year').options === yearExtra.options));
+});